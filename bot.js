@@ -0,0 +1,91 @@
+import { Events } from 'discord.js';
+import { DateTime } from 'luxon';
+import { createKvStore } from './store/kv.js';
+import { createSettingsStore } from './store/settings.js';
+import { createAuditLog } from './store/audit.js';
+import { createReminderService } from './reminders/service.js';
+import { createLunaReplies } from './llm/replies.js';
+import { createLunaRequests } from './llm/requests.js';
+import { createLunaJobs } from './llm/jobs.js';
+import { createViews } from './commands/views.js';
+import { createReminderDrafts } from './commands/remind.js';
+import { createCommandHandlers } from './commands/slash.js';
+import { createPrefixHandler } from './commands/prefix.js';
+import { createComponentHandlers } from './commands/components.js';
+import { createModLogMirror } from './commands/audit.js';
+
+/**
+ * The bot, assembled from its parts and wired to a Discord client.
+ * - `db`: an open, migrated database (db/open.js)
+ * - `client`: a discord.js Client, or anything with the same events, `user`, `channels.fetch` and `users.fetch`
+ * - `stream`: Luna's delta stream (default lunaStream from llm/provider.js); `limiter`: Luna's burst limits
+ * - `config`: per-part overrides of the env defaults: { kv, settings, reminders, replies, audit }
+ *
+ * Returns the parts (kv, settings, reminders, ...) plus the event handlers, so they can be driven
+ * directly; `stop` cancels the reminder timer. Logging in is left to the caller.
+ */
+export function createBot({ client, db, stream, limiter, config = {} }) {
+  const settings = createSettingsStore(db, config.settings);
+  const audit = createAuditLog(db, { onRecord: createModLogMirror({ client, settings }), ...config.audit });
+  const kv = createKvStore(db, { audit, ...config.kv });
+  const replies = createLunaReplies({ stream, audit, ...config.replies });
+  const luna = createLunaRequests({ settings, kv, limiter });
+  const jobs = createLunaJobs({ kv, settings, luna, replies });
+  const app = {
+    client,
+    db,
+    kv,
+    settings,
+    audit,
+    reminders: createReminderService({ db, client, settings, runJob: jobs.run, audit, ...config.reminders }),
+    replies,
+    luna,
+    jobs,
+    drafts: createReminderDrafts()
+  };
+  app.views = createViews(app);
+
+  const commandHandlers = createCommandHandlers(app);
+  const { handleAutocomplete, handleModal, handleButton } = createComponentHandlers(app);
+  const handleMessage = createPrefixHandler(app);
+
+  function handleReady(c) {
+    console.log(`Logged in as ${c.user.tag}`);
+    app.reminders.start();
+    kv.purgeExpiredTrash();
+    audit.prune();
+    settings.purgeUsage(DateTime.utc().minus({ days: 7 }).toISODate());
+  }
+
+  async function handleInteraction(interaction) {
+    if (interaction.isButton()) return handleButton(interaction);
+    if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
+    if (interaction.isModalSubmit()) return handleModal(interaction);
+    if (!interaction.isChatInputCommand() && !interaction.isMessageContextMenuCommand()) return;
+
+    const handler = commandHandlers[interaction.commandName];
+    if (!handler) return console.warn(`No handler for command ${interaction.commandName}`);
+
+    try {
+      await handler(interaction);
+    } catch (err) {
+      console.error(err);
+      if (interaction.deferred || interaction.replied) {
+        return interaction.followUp({ content: 'Error while executing command.', ephemeral: true });
+      }
+      return interaction.reply({ content: 'Error while executing command.', ephemeral: true });
+    }
+  }
+
+  client.once(Events.ClientReady, handleReady);
+  client.on(Events.MessageCreate, handleMessage);
+  client.on(Events.InteractionCreate, handleInteraction);
+
+  return {
+    ...app,
+    commandHandlers,
+    handleMessage,
+    handleInteraction,
+    stop: () => app.reminders.stop()
+  };
+}
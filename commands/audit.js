@@ -0,0 +1,108 @@
+import { unix, preview } from './views.js';
+
+/**
+ * The Discord side of the audit log (store/audit.js).
+ * - auditLine: one entry as a chat line, shared by /botadmin log and the mod-log channel
+ * - renderAuditLog, renderAuditStats: the /botadmin log and /botadmin stats replies
+ * - createModLogMirror: posts new entries to the guild's mod-log channel (/botadmin modlog)
+ */
+
+const AUDIT_PAGE_SIZE = 15;
+const OUTCOME_ICONS = { ok: '•', error: '❌', stopped: '⏹️', denied: '⛔' };
+
+function subjectLabel(e) {
+  if (!e.subject) return '';
+  if (e.category === 'luna') return ` in <#${e.subject}>`;
+  if (e.category === 'reminder') return ` \`${e.subject}\``;
+  return ` \`${preview(e.subject, 60)}\``;
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+export function auditLine(e) {
+  const by = e.actor_id ? ` by <@${e.actor_id}>` : '';
+  const via = e.provider ? ` via ${e.provider}` : '';
+  const took = e.latency_ms != null ? `${via ? ',' : ''} ${seconds(e.latency_ms)}` : '';
+  const detail = e.detail ? ` — ${preview(e.detail, 160)}` : '';
+  return `${OUTCOME_ICONS[e.outcome] ?? '•'} <t:${unix(e.created_at)}:f> **${e.category} ${e.action}**` +
+    `${subjectLabel(e)}${by}${via}${took}${detail}`;
+}
+
+/** One page of /botadmin log; `filters` are store/audit.js query options. Page is clamped to range. */
+export function renderAuditLog(audit, guildId, filters, page) {
+  const { total } = audit.query(guildId, filters, { limit: 1 });
+  const scope = [
+    `last ${filters.days} day${filters.days === 1 ? '' : 's'}`,
+    filters.category,
+    filters.actorId ? `<@${filters.actorId}>` : null,
+    filters.failures ? 'failures only' : null
+  ].filter(Boolean).join(', ');
+  if (!total) return `📜 No audit entries (${scope}).`;
+
+  const pages = Math.ceil(total / AUDIT_PAGE_SIZE);
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const { entries } = audit.query(guildId, filters, { limit: AUDIT_PAGE_SIZE, offset: page * AUDIT_PAGE_SIZE });
+  const header = `📜 Audit log (${scope}) — page ${page + 1}/${pages}, ${total} entries`;
+  return `${header}\n${entries.map(auditLine).join('\n')}`.slice(0, 1900);
+}
+
+export function renderAuditStats(audit, guildId, days) {
+  const { groups, luna, actors } = audit.stats(guildId, days);
+  const title = `📊 **Bot activity in the last ${days} day${days === 1 ? '' : 's'}**`;
+  if (!groups.length) return `${title}\nNothing recorded.`;
+
+  const lines = [title];
+  const count = (category, where = () => true) => groups.filter(g => g.category === category && where(g)).reduce((n, g) => n + g.n, 0);
+  const byAction = (category) => {
+    const totals = new Map();
+    for (const g of groups.filter(g => g.category === category)) totals.set(g.action, (totals.get(g.action) ?? 0) + g.n);
+    return [...totals].map(([action, n]) => `${n} ${action}`).join(', ');
+  };
+
+  if (count('kv')) lines.push(`• KV changes: **${count('kv')}** (${byAction('kv')})`);
+  if (count('reminder')) {
+    const failed = count('reminder', g => g.action === 'fail');
+    const retried = count('reminder', g => g.action === 'deliver' && g.outcome === 'error');
+    lines.push(`• Reminders: **${count('reminder', g => g.action === 'create')}** created, ` +
+      `**${count('reminder', g => g.action === 'deliver' && g.outcome === 'ok')}** delivered, ` +
+      `${retried} failed attempts, ${failed} given up`);
+  }
+  if (count('luna')) {
+    const outcomes = ['ok', 'error', 'stopped'].map(o => [o, count('luna', g => g.outcome === o)]).filter(([, n]) => n);
+    lines.push(`• Luna requests: **${count('luna')}** (${outcomes.map(([o, n]) => `${n} ${o}`).join(', ')})`);
+    for (const p of luna) {
+      lines.push(`  ◦ ${p.provider}: ${p.n} answered, avg ${seconds(p.avg_ms)}, slowest ${seconds(p.max_ms)}`);
+    }
+  }
+  if (count('permission')) lines.push(`• Permission denials: **${count('permission')}** (${byAction('permission')})`);
+  if (actors.length) lines.push(`• Most active: ${actors.map(a => `<@${a.actor_id}> (${a.n})`).join(', ')}`);
+  return lines.join('\n');
+}
+
+// Routine successes would drown out the rest of the mod log.
+function worthMirroring(e) {
+  if (e.category === 'luna') return e.outcome !== 'ok' && e.outcome !== 'stopped';
+  if (e.category === 'reminder') return e.action !== 'deliver' || e.outcome !== 'ok';
+  return true;
+}
+
+/**
+ * Returns the `onRecord` hook for createAuditLog: guild entries go to the channel set with
+ * /botadmin modlog, if any. Failures (settings lookup included) are logged and otherwise ignored.
+ */
+export function createModLogMirror({ client, settings }) {
+  return async function mirror(entry) {
+    if (!entry.guild_id || entry.guild_id.startsWith('DM-') || !worthMirroring(entry)) return;
+    let channelId;
+    try {
+      channelId = settings.guild(entry.guild_id).mod_log_channel_id;
+      if (!channelId) return;
+      const channel = await client.channels.fetch(channelId);
+      await channel.send({ content: auditLine(entry), allowedMentions: { parse: [] } });
+    } catch (err) {
+      console.error(`[audit] could not post to the mod-log channel ${channelId ?? `of guild ${entry.guild_id}`}`, err);
+    }
+  };
+}
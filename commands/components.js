@@ -0,0 +1,198 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { DateTime } from 'luxon';
+import { searchZones, zoneLabel } from '../time/zones.js';
+import { describeRecurrence } from '../time/recurrence.js';
+import { reminderRecipient, deliveryLabel } from '../reminders/service.js';
+import { AUTOCOMPLETE_LIMIT, KV_VIEW_TTL_MS, kvActor } from './views.js';
+import { renderReminderPage, snoozeTarget } from './remind.js';
+
+/**
+ * Handlers for everything that isn't a command: autocomplete, modal submits and buttons.
+ * Button ids are `<kind>:<parts…>`, e.g. `kvlist:<token>:<page>` or `snooze:<reminderId>:<option>`.
+ * `app` is the bot from bot.js.
+ */
+
+// Options that take an IANA timezone, by command
+const TZ_OPTIONS = { settz: ['tz'], convert: ['from', 'to'], config: ['tz'] };
+
+export function createComponentHandlers(app) {
+  const { kv, settings, reminders, replies, luna, views, drafts } = app;
+
+  // ---------- Autocomplete ----------
+  async function handleAutocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused(true);
+
+      if (TZ_OPTIONS[interaction.commandName]?.includes(focused.name)) {
+        const zones = focused.value
+          ? searchZones(focused.value, AUTOCOMPLETE_LIMIT)
+          : [...new Set([settings.userTZ(interaction.user.id, interaction.guildId), ...searchZones('')])].slice(0, AUTOCOMPLETE_LIMIT);
+        return interaction.respond(zones.map(z => ({ name: zoneLabel(z), value: z })));
+      }
+
+      if (interaction.commandName === 'kv') {
+        if (focused.name !== 'key') return interaction.respond([]);
+        const gid = interaction.guildId ?? `DM-${interaction.user.id}`;
+        const q = String(focused.value).toLowerCase();
+        const keys = kv.keys(gid);
+        // prefix matches first, then anything containing the text
+        const matches = [
+          ...keys.filter(k => k.toLowerCase().startsWith(q)),
+          ...keys.filter(k => !k.toLowerCase().startsWith(q) && k.toLowerCase().includes(q))
+        ];
+        return interaction.respond(matches.slice(0, AUTOCOMPLETE_LIMIT).map(k => ({ name: k.slice(0, 100), value: k.slice(0, 100) })));
+      }
+      return interaction.respond([]);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // ---------- Modals ----------
+  async function handleModal(interaction) {
+    try {
+      if (interaction.customId === 'kv:set') {
+        const gid = interaction.guildId ?? `DM-${interaction.user.id}`;
+        const key = interaction.fields.getTextInputValue('key').trim();
+        const value = interaction.fields.getTextInputValue('value');
+        if (!key || /\s/.test(key)) {
+          return interaction.reply({ content: '❌ Keys cannot be empty or contain spaces.', ephemeral: true });
+        }
+        const denial = kv.writeDenial(gid, key, kvActor(interaction.user.id, interaction.member, interaction.memberPermissions));
+        if (denial) return interaction.reply({ content: `⛔ ${denial}`, ephemeral: true, allowedMentions: { parse: [] } });
+        kv.write({ guild_id: gid, key, value, author_id: interaction.user.id });
+        return interaction.reply({ content: `Saved **${key}** ✅`, ephemeral: true });
+      }
+    } catch (err) {
+      console.error(err);
+      if (interaction.deferred || interaction.replied) {
+        return interaction.followUp({ content: 'Error while saving.', ephemeral: true });
+      }
+      return interaction.reply({ content: 'Error while saving.', ephemeral: true });
+    }
+  }
+
+  // ---------- Buttons ----------
+  async function handleButton(interaction) {
+    try {
+      const [kind, ...parts] = interaction.customId.split(':');
+
+      if (kind === 'kvlist') {
+        const [token, pageOrAction, sort] = parts;
+        const view = views.kvView(token);
+        if (!view || view.expiresAt < Date.now()) {
+          return interaction.update({ content: '⌛ This listing expired; run it again.', embeds: [], components: [] });
+        }
+        if (view.ownerId !== interaction.user.id) {
+          return interaction.reply({ content: '❌ Only the person who opened this listing can page through it.', ephemeral: true });
+        }
+        view.expiresAt = Date.now() + KV_VIEW_TTL_MS;
+        if (pageOrAction === 'sort') {
+          view.sort = sort;
+          return interaction.update(views.renderKvPage(token, 0));
+        }
+        return interaction.update(views.renderKvPage(token, Number(pageOrAction)));
+      }
+
+      if (kind === 'luna') {
+        const [action, token] = parts;
+        const run = replies.find(token);
+        if (!run) {
+          return interaction.update({ components: [] });
+        }
+        const isMod = interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages);
+        if (run.ownerId !== interaction.user.id && !isMod) {
+          return interaction.reply({ content: '❌ Only the person who asked (or a moderator) can control this reply.', ephemeral: true });
+        }
+
+        if (action === 'stop') {
+          run.controller?.abort();
+          return interaction.deferUpdate();
+        }
+        if (action === 'regen') {
+          if (run.regenerating) return interaction.deferUpdate();
+          run.regenerating = true;
+          try {
+            await interaction.deferUpdate();
+            if (run.controller) {
+              run.controller.abort();
+              await run.done;
+            }
+            const gate = luna.admit({
+              userId: interaction.user.id, guildId: interaction.guildId, channelId: interaction.channelId, member: interaction.member
+            });
+            if (!gate.ok) return interaction.followUp({ content: gate.message, ephemeral: true });
+            // the new answer starts over in the first message; later parts of the old one go away
+            for (const m of run.messages.slice(1)) await m.delete().catch(() => {});
+            await replies.rerun(run, gate.release);
+          } finally {
+            run.regenerating = false;
+          }
+          return;
+        }
+      }
+
+      if (kind === 'reminders' && parts[0] === 'page') {
+        const [, ownerId, page] = parts;
+        if (ownerId !== interaction.user.id) {
+          return interaction.reply({ content: '❌ That list belongs to someone else.', ephemeral: true });
+        }
+        return interaction.update(renderReminderPage(app, ownerId, Number(page)));
+      }
+
+      if (kind === 'remind') {
+        const [action, token] = parts;
+        const draft = drafts.peek(token);
+        if (draft && draft.row.user_id !== interaction.user.id) {
+          return interaction.reply({ content: '❌ That preview belongs to someone else.', ephemeral: true });
+        }
+        drafts.take(token);
+        if (!draft || draft.expiresAt < Date.now()) {
+          return interaction.update({ content: '⌛ That preview expired. Run `/remind` again.', components: [] });
+        }
+        if (action === 'cancel') {
+          return interaction.update({ content: '🚫 Reminder discarded.', components: [] });
+        }
+
+        const dt = DateTime.fromISO(draft.row.run_at_iso, { zone: 'utc' }).setZone(draft.tz);
+        if (!draft.row.recurrence && dt < DateTime.utc()) {
+          return interaction.update({ content: '❌ That time passed while the preview was open.', components: [] });
+        }
+        const id = reminders.save({ ...draft.row, created_at_iso: new Date().toISOString() }, draft.attachments);
+        reminders.arm();
+        const repeatNote = draft.row.recurrence ? `, repeating ${describeRecurrence(JSON.parse(draft.row.recurrence))}` : '';
+        const forNote = draft.row.target_type ? ` for ${reminderRecipient(draft.row).mention}` : '';
+        return interaction.update({
+          content: `✅ Reminder \`#${id}\`${forNote} saved for **${dt.toFormat('yyyy-LL-dd HH:mm')} ${draft.tz}** (UTC ${dt.toUTC().toFormat('yyyy-LL-dd HH:mm')})${repeatNote}, delivered ${deliveryLabel(draft.row)}`,
+          components: [],
+          allowedMentions: { parse: [] }
+        });
+      }
+
+      if (kind === 'snooze') {
+        const [id, option] = parts;
+        const r = reminders.get(Number(id));
+        if (!r) return interaction.reply({ content: '❌ That reminder no longer exists.', ephemeral: true });
+        if (r.user_id !== interaction.user.id && reminderRecipient(r).userId !== interaction.user.id) {
+          return interaction.reply({ content: '❌ Only the owner or recipient of this reminder can snooze it.', ephemeral: true });
+        }
+        const tz = settings.userTZ(r.user_id, r.guild_id);
+        const dt = snoozeTarget(option, tz);
+        if (!dt) return interaction.reply({ content: '❌ Unknown snooze option.', ephemeral: true });
+
+        reminders.reschedule(r.id, r.user_id, dt.toUTC().toISO());
+        reminders.arm();
+        await interaction.update({ components: [] });
+        return interaction.followUp({ content: `😴 Snoozed until **${dt.toFormat('yyyy-LL-dd HH:mm')} ${tz}**`, ephemeral: true });
+      }
+    } catch (err) {
+      console.error(err);
+      if (interaction.deferred || interaction.replied) {
+        return interaction.followUp({ content: 'Error while handling button.', ephemeral: true });
+      }
+      return interaction.reply({ content: 'Error while handling button.', ephemeral: true });
+    }
+  }
+
+  return { handleAutocomplete, handleModal, handleButton };
+}
@@ -0,0 +1,236 @@
+import {
+  SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, PermissionFlagsBits, ChannelType
+} from 'discord.js';
+
+// conflict modes of /kv import and /config import, see planKvImport in data/transfer.js
+const IMPORT_MODE_CHOICES = [
+  { name: 'Merge: the newer value wins', value: 'merge' },
+  { name: 'Overwrite: the file wins', value: 'overwrite' },
+  { name: 'Skip: keep what is here', value: 'skip' }
+];
+
+// when/repeat/channel of a /schedule subcommand, shared with /remind's wording
+function addJobTiming(sub) {
+  return sub
+    .addStringOption(o => o.setName('when').setDescription('First run, e.g. "tomorrow 9am" (omit to start with the schedule)'))
+    .addStringOption(o => o.setName('repeat').setDescription('e.g. "every weekday 09:00", "every monday 10:00"'))
+    .addChannelOption(o => o.setName('channel').setDescription('Post in this channel instead of here')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.GuildVoice));
+}
+
+/**
+ * Every slash and context-menu command the bot exposes.
+ * - scripts/register-commands.js registers exactly this list
+ * - commands/slash.js dispatches on these names and refuses to boot if a handler is missing or extra
+ */
+export const commands = [
+  new SlashCommandBuilder()
+    .setName('luna')
+    .setDescription('Chat with Luna')
+    .addSubcommand(s => s.setName('ask').setDescription('Ask Luna something')
+      .addStringOption(o => o.setName('message').setDescription('Your message').setRequired(true)))
+    .addSubcommand(s => s.setName('usage').setDescription('Show how many Luna requests you have left')),
+  new SlashCommandBuilder()
+    .setName('settz')
+    .setDescription('Save your timezone for reminders and times')
+    .addStringOption(o => o.setName('tz').setDescription('City or IANA name, e.g. Asia/Ho_Chi_Minh').setRequired(true).setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName('mytime')
+    .setDescription('Show your saved timezone and local time'),
+  new SlashCommandBuilder()
+    .setName('time')
+    .setDescription('Show another member\'s local time')
+    .addUserOption(o => o.setName('user').setDescription('Member').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('convert')
+    .setDescription('Convert a time between timezones')
+    .addStringOption(o => o.setName('time').setDescription('e.g. "3pm", "tomorrow 9:30", "2026-03-09 14:00"').setRequired(true))
+    .addStringOption(o => o.setName('from').setDescription('Timezone of that time (default: yours)').setAutocomplete(true))
+    .addStringOption(o => o.setName('to').setDescription('Timezone to convert to (default: yours)').setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName('when')
+    .setDescription('Post a time that everyone sees in their own timezone')
+    .addStringOption(o => o.setName('time').setDescription('In your timezone, e.g. "friday 18:00" or "in 2h"').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('meet')
+    .setDescription('Find working hours that overlap for several members')
+    .addStringOption(o => o.setName('members').setDescription('Mention them, e.g. @ana @bo (you are included)').setRequired(true))
+    .addIntegerOption(o => o.setName('start').setDescription('Start of the working day, local hour (default 9)').setMinValue(0).setMaxValue(23))
+    .addIntegerOption(o => o.setName('end').setDescription('End of the working day, local hour (default 17)').setMinValue(1).setMaxValue(24))
+    .addIntegerOption(o => o.setName('days').setDescription('How many days ahead to look (default 7)').setMinValue(1).setMaxValue(14)),
+  new SlashCommandBuilder()
+    .setName('remind')
+    .setDescription('Set a one-off or repeating reminder')
+    .addStringOption(o => o.setName('text').setDescription('What to remind about').setRequired(true))
+    .addStringOption(o => o.setName('when').setDescription('e.g. "in 20m", "tomorrow 8am", "next friday 17:00"'))
+    .addStringOption(o => o.setName('repeat').setDescription('e.g. "every weekday 09:30", "first monday of the month"'))
+    .addUserOption(o => o.setName('user').setDescription('Remind this member instead of you'))
+    .addRoleOption(o => o.setName('role').setDescription('Remind everyone with this role (it must be mentionable by you)'))
+    .addStringOption(o => o.setName('deliver').setDescription('Where to send it (default: here)')
+      .addChoices({ name: 'Here', value: 'here' }, { name: 'Direct message', value: 'dm' }))
+    .addChannelOption(o => o.setName('channel').setDescription('Post it in this channel instead of here')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.GuildVoice))
+    .addStringOption(o => o.setName('link').setDescription('Message link to include for context'))
+    .addAttachmentOption(o => o.setName('attachment').setDescription('File to include with the reminder')),
+  new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Schedule Luna to post in a channel, once or on a repeating schedule')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => addJobTiming(s.setName('prompt').setDescription('Ask Luna something and post the answer')
+      .addStringOption(o => o.setName('text').setDescription('e.g. "Write a short standup checklist for today"').setRequired(true).setMaxLength(1500))))
+    .addSubcommand(s => addJobTiming(s.setName('digest').setDescription('Post a digest of what changed in the KV entries')
+      .addIntegerOption(o => o.setName('days').setDescription('How many days back to look (default 7)').setMinValue(1).setMaxValue(31))))
+    .addSubcommand(s => addJobTiming(s.setName('summarize').setDescription('Post a summary of the channel\'s latest messages')
+      .addIntegerOption(o => o.setName('messages').setDescription('How many messages to summarize (default 50)').setMinValue(10).setMaxValue(100)))),
+  new SlashCommandBuilder()
+    .setName('summarize')
+    .setDescription('Have Luna summarize the latest messages in this channel')
+    .setDMPermission(false)
+    .addIntegerOption(o => o.setName('messages').setDescription('How many messages to summarize (default 50)').setMinValue(10).setMaxValue(100)),
+  new SlashCommandBuilder()
+    .setName('reminders')
+    .setDescription('Manage your pending reminders')
+    .addSubcommand(s => s.setName('list').setDescription('List your pending reminders')
+      .addIntegerOption(o => o.setName('page').setDescription('Page number').setMinValue(1)))
+    .addSubcommand(s => s.setName('cancel').setDescription('Cancel a pending reminder')
+      .addIntegerOption(o => o.setName('id').setDescription('Reminder id').setRequired(true)))
+    .addSubcommand(s => s.setName('edit').setDescription('Change the text or time of a pending reminder')
+      .addIntegerOption(o => o.setName('id').setDescription('Reminder id').setRequired(true))
+      .addStringOption(o => o.setName('text').setDescription('New reminder text'))
+      .addStringOption(o => o.setName('when').setDescription('New time, e.g. "tomorrow 9am" or YYYY-MM-DD HH:mm, in your timezone'))),
+  new SlashCommandBuilder()
+    .setName('kv')
+    .setDescription('Key/value store')
+    .addSubcommand(s => s.setName('set').setDescription('Save a value (leave value empty to open an editor)')
+      .addStringOption(o => o.setName('key').setDescription('Key').setRequired(true).setMaxLength(100).setAutocomplete(true))
+      .addStringOption(o => o.setName('value').setDescription('Value')))
+    .addSubcommand(s => s.setName('get').setDescription('Show a value')
+      .addStringOption(o => o.setName('key').setDescription('Key').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(s => s.setName('del').setDescription('Delete a key')
+      .addStringOption(o => o.setName('key').setDescription('Key').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(s => s.setName('list').setDescription('List keys and values')
+      .addStringOption(o => o.setName('prefix').setDescription('Only keys starting with this'))
+      .addStringOption(o => o.setName('sort').setDescription('Sort order')
+        .addChoices({ name: 'Name', value: 'name' }, { name: 'Last updated', value: 'updated' })))
+    .addSubcommand(s => s.setName('search').setDescription('Search keys and values')
+      .addStringOption(o => o.setName('text').setDescription('Words to look for').setRequired(true))
+      .addStringOption(o => o.setName('prefix').setDescription('Only keys starting with this'))
+      .addStringOption(o => o.setName('sort').setDescription('Sort order')
+        .addChoices({ name: 'Relevance', value: 'relevance' }, { name: 'Name', value: 'name' }, { name: 'Last updated', value: 'updated' })))
+    .addSubcommand(s => s.setName('history').setDescription('Show the change history of a key')
+      .addStringOption(o => o.setName('key').setDescription('Key').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(s => s.setName('trash').setDescription('List recently deleted keys that can still be restored'))
+    .addSubcommand(s => s.setName('export').setDescription('Download the keys as a file')
+      .addStringOption(o => o.setName('format').setDescription('File format (default JSON)')
+        .addChoices({ name: 'JSON', value: 'json' }, { name: 'CSV', value: 'csv' }))
+      .addStringOption(o => o.setName('prefix').setDescription('Only keys starting with this')))
+    .addSubcommand(s => s.setName('import').setDescription('Load keys from a JSON or CSV export')
+      .addAttachmentOption(o => o.setName('file').setDescription('File from /kv export').setRequired(true))
+      .addStringOption(o => o.setName('mode').setDescription('What to do with keys that already exist (default merge)')
+        .addChoices(...IMPORT_MODE_CHOICES))
+      .addBooleanOption(o => o.setName('dry_run').setDescription('Only show what would change'))),
+  new SlashCommandBuilder()
+    .setName('kvperm')
+    .setDescription('Configure who may change KV entries in this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName('show').setDescription('Show the current KV permission rules'))
+    .addSubcommand(s => s.setName('writer-role').setDescription('Only this role may set/delete keys (omit to allow everyone)')
+      .addRoleOption(o => o.setName('role').setDescription('Writer role')))
+    .addSubcommand(s => s.setName('mod-role').setDescription('Extra moderator role for protected keys (omit to clear)')
+      .addRoleOption(o => o.setName('role').setDescription('Moderator role')))
+    .addSubcommand(s => s.setName('lock').setDescription('Lock keys so only their original author can change them')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Lock keys to their author').setRequired(true)))
+    .addSubcommand(s => s.setName('protect').setDescription('Make a key namespace moderator-only, e.g. rules.*')
+      .addStringOption(o => o.setName('pattern').setDescription('Key or pattern, * matches anything').setRequired(true)))
+    .addSubcommand(s => s.setName('unprotect').setDescription('Remove a protected namespace')
+      .addStringOption(o => o.setName('pattern').setDescription('Pattern to remove').setRequired(true))),
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Configure Luna for this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName('show').setDescription('Show the current settings'))
+    .addSubcommand(s => s.setName('channel').setDescription('Allow or block Luna in a channel (threads follow their channel)')
+      .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildVoice))
+      .addStringOption(o => o.setName('mode').setDescription('Allowing any channel limits Luna to allowed channels').setRequired(true)
+        .addChoices({ name: 'Allow', value: 'allow' }, { name: 'Block', value: 'block' }, { name: 'Default', value: 'default' })))
+    .addSubcommand(s => s.setName('prefix').setDescription('Prefix for text commands like !get (omit to reset)')
+      .addStringOption(o => o.setName('prefix').setDescription('e.g. ? or luna!').setMaxLength(5)))
+    .addSubcommand(s => s.setName('timezone').setDescription('Timezone for members who have not set their own (omit to reset)')
+      .addStringOption(o => o.setName('tz').setDescription('City or IANA name, e.g. Europe/Berlin').setAutocomplete(true)))
+    .addSubcommand(s => s.setName('memory').setDescription('Let Luna use long-term server memory (omit to reset)')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Use server memory')))
+    .addSubcommand(s => s.setName('model').setDescription('Model Luna answers with (omit to reset)')
+      .addStringOption(o => o.setName('name').setDescription('Model name').setMaxLength(100)))
+    .addSubcommand(s => s.setName('persona').setDescription('Extra instructions for Luna\'s personality in this server (omit to clear)')
+      .addStringOption(o => o.setName('text').setDescription('e.g. "Answer like a pirate; keep it short."').setMaxLength(1500)))
+    .addSubcommand(s => s.setName('knowledge-exclude').setDescription('Never show matching KV keys to Luna, e.g. secret.*')
+      .addStringOption(o => o.setName('pattern').setDescription('Key or pattern, * matches anything').setRequired(true)))
+    .addSubcommand(s => s.setName('knowledge-include').setDescription('Let Luna see keys matching a pattern again')
+      .addStringOption(o => o.setName('pattern').setDescription('Pattern to remove').setRequired(true)))
+    .addSubcommand(s => s.setName('conversation-scope').setDescription('Where Luna keeps separate conversation memory')
+      .addStringOption(o => o.setName('scope').setDescription('Conversation scope').setRequired(true)
+        .addChoices(
+          { name: 'Whole server', value: 'guild' },
+          { name: 'Per channel (threads share their channel)', value: 'channel' },
+          { name: 'Per channel and per thread', value: 'thread' }
+        )))
+    .addSubcommand(s => s.setName('quota').setDescription('Daily Luna requests per member; the most generous matching quota applies')
+      .addIntegerOption(o => o.setName('limit').setDescription('Requests per day, 0 = unlimited; omit to remove this quota').setMinValue(0))
+      .addRoleOption(o => o.setName('role').setDescription('Only for members with this role')))
+    .addSubcommand(s => s.setName('export').setDescription('Back up KV entries, settings and pending reminders'))
+    .addSubcommand(s => s.setName('import').setDescription('Restore a backup from /config export')
+      .addAttachmentOption(o => o.setName('file').setDescription('File from /config export or /kv export').setRequired(true))
+      .addStringOption(o => o.setName('mode').setDescription('What to do with keys and settings that already exist (default merge)')
+        .addChoices(...IMPORT_MODE_CHOICES))
+      .addBooleanOption(o => o.setName('dry_run').setDescription('Only show what would change'))),
+  new SlashCommandBuilder()
+    .setName('botadmin')
+    .setDescription('Audit log and activity of the bot in this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName('stats').setDescription('Summary of KV changes, reminders, Luna requests and denials')
+      .addIntegerOption(o => o.setName('days').setDescription('How many days back (default 7)').setMinValue(1).setMaxValue(90)))
+    .addSubcommand(s => s.setName('log').setDescription('Audit log entries, newest first')
+      .addStringOption(o => o.setName('category').setDescription('Only this kind of entry')
+        .addChoices(
+          { name: 'KV changes', value: 'kv' },
+          { name: 'Reminders', value: 'reminder' },
+          { name: 'Luna requests', value: 'luna' },
+          { name: 'Permission denials', value: 'permission' }
+        ))
+      .addUserOption(o => o.setName('user').setDescription('Only entries by this member'))
+      .addBooleanOption(o => o.setName('failures').setDescription('Only errors, stopped replies and denials'))
+      .addIntegerOption(o => o.setName('days').setDescription('How many days back (default 7)').setMinValue(1).setMaxValue(90))
+      .addIntegerOption(o => o.setName('page').setDescription('Page number').setMinValue(1)))
+    .addSubcommand(s => s.setName('modlog').setDescription('Mirror the audit log to a channel (omit to turn it off)')
+      .addChannelOption(o => o.setName('channel').setDescription('Mod-log channel')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.PublicThread, ChannelType.PrivateThread))),
+  new ContextMenuCommandBuilder()
+    .setName('Ask Luna')
+    .setType(ApplicationCommandType.Message)
+];
+
+export const commandNames = commands.map(c => c.name);
+
+/** JSON bodies for Discord's bulk-overwrite endpoint. */
+export function commandPayload() {
+  return commands.map(c => c.toJSON());
+}
+
+/** Throws if `handlers` (name -> function) and the definitions above disagree. */
+export function assertHandlersMatch(handlers) {
+  const handled = Object.keys(handlers);
+  const missing = commandNames.filter(n => !handled.includes(n));
+  const extra = handled.filter(n => !commandNames.includes(n));
+  if (missing.length || extra.length) {
+    throw new Error(
+      `[commands] definitions and handlers differ` +
+      (missing.length ? `; no handler for: ${missing.join(', ')}` : '') +
+      (extra.length ? `; not defined: ${extra.join(', ')}` : '')
+    );
+  }
+}
@@ -0,0 +1,161 @@
+import { isLunaAnswer, replyChainMessages } from '../llm/context.js';
+import { ATTACHMENT_QUESTION, readAttachments } from '../llm/attachments.js';
+import { kvActor, parseSetArgs } from './views.js';
+
+/**
+ * Message handler for prefix commands (`!set`, `!get`, ...) and for questions to Luna
+ * by mention or by replying to one of her answers. `app` is the bot from bot.js.
+ */
+
+const LIMIT_NOTICE_TTL_MS = 15_000;   // rate-limit replies to mentions can't be ephemeral, so they clean up
+
+export function createPrefixHandler(app) {
+  const { client, kv, settings, replies, luna, views } = app;
+
+  // Replies to the bot's other messages (reminders, KV listings, job headers) are just chat.
+  async function repliesToAnswer(msg) {
+    const refId = msg.reference?.messageId;
+    if (!refId || msg.mentions.repliedUser?.id !== client.user.id) return false;
+    if (replies.isAnswer(refId)) return true;
+    const target = await msg.channel.messages.fetch(refId).catch(() => null);
+    return isLunaAnswer(target, client.user.id);
+  }
+
+  return async function handleMessage(msg) {
+    if (msg.author.bot) return;
+
+    const prefix = settings.prefix(msg.guild?.id);
+    const [cmd, ...rest] = msg.content.slice(prefix.length).trim().split(/\s+/);
+    const guildId = msg.guild?.id ?? `DM-${msg.author.id}`;
+
+    // A mention in the text always asks Luna. A reply only does when it answers one of her answers,
+    // whether or not the reply pings her (a ping also lands in msg.mentions.users).
+    const mentioned = new RegExp(`<@!?${client.user.id}>`).test(msg.content);
+    if (mentioned || (!msg.content.startsWith(prefix) && await repliesToAnswer(msg))) {
+      const q = msg.content
+        .replace(new RegExp(`<@!?${client.user.id}>`, 'g'), '')
+        .replace(/^[,:\-\s]+/, '')
+        .trim();
+
+      if (!settings.lunaAllowedIn(msg.guild?.id, msg.channel)) return;
+      const hasFiles = Boolean(msg.attachments?.size);
+      if (!q && !hasFiles) {
+        return msg.reply({ content: 'Ping me like: `@Luna hi`', allowedMentions: { repliedUser: false } });
+      }
+
+      const gate = luna.admit({ userId: msg.author.id, guildId: msg.guild?.id, channelId: msg.channel.id, member: msg.member });
+      if (!gate.ok) {
+        const notice = await msg.reply({ content: gate.message, allowedMentions: { repliedUser: false } });
+        setTimeout(() => notice.delete().catch(() => {}), LIMIT_NOTICE_TTL_MS);
+        return;
+      }
+
+      let out;
+      try {
+        const history = await replyChainMessages(msg, { botId: client.user.id });
+        out = await msg.reply({ content: '…', allowedMentions: { repliedUser: false } });
+        const attachments = hasFiles ? await readAttachments(msg) : undefined;
+        await replies.start(out, {
+          ownerId: msg.author.id,
+          args: luna.args({
+            user: msg.author, guild: msg.guild, channel: msg.channel, text: q || ATTACHMENT_QUESTION, history, attachments
+          }),
+          formatError: (e, text) => text
+            ? `${text}\n\n-# ⚠️ Reply interrupted.`
+            : '⚠️ Luna is unavailable right now (main server and local fallback both failed). Please try again later.',
+          release: gate.release
+        });
+      } catch (err) {
+        console.error('[luna] mention failed', err);
+        const failed = '⚠️ Sorry, something went wrong with that request. Please try again.';
+        await (out ? out.edit(failed) : msg.reply({ content: failed, allowedMentions: { repliedUser: false } }))
+          .catch(() => {});
+      } finally {
+        gate.release();
+      }
+    }
+
+    // --- Handle prefix commands
+    if (!msg.content.startsWith(prefix)) return;
+    // keys and values are user text: echoing them must never ping anyone
+    const quiet = (content) => msg.reply({ content, allowedMentions: { parse: [] } });
+    try {
+      if (cmd === 'set') {
+        const { key, value } = parseSetArgs(msg.content.slice(prefix.length).trim().slice(cmd.length));
+        if (!key) return msg.reply(`Usage: ${prefix}set <key> <value>`);
+        if (!value) return msg.reply(`Provide a value. Example: ${prefix}set motto "Ship fast."`);
+        const denial = kv.writeDenial(guildId, key, kvActor(msg.author.id, msg.member, msg.member?.permissions));
+        if (denial) return quiet(`⛔ ${denial}`);
+        kv.write({ guild_id: guildId, key, value, author_id: msg.author.id });
+        return quiet(`Saved **${key}** ✅`);
+      }
+
+      if (cmd === 'get') {
+        const key = rest[0];
+        if (!key) return msg.reply(`Usage: ${prefix}get <key>`);
+        const row = kv.get(guildId, key);
+        return quiet(row ? `**${key}** = ${row.value}` : `No value for **${key}**.`);
+      }
+
+      if (cmd === 'del') {
+        const key = rest[0];
+        if (!key) return msg.reply(`Usage: ${prefix}del <key>`);
+        const denial = kv.writeDenial(guildId, key, kvActor(msg.author.id, msg.member, msg.member?.permissions));
+        if (denial) return quiet(`⛔ ${denial}`);
+        const info = kv.remove(guildId, key, msg.author.id);
+        return quiet(info.changes ? `Deleted **${key}** 🗑️` : `Nothing to delete for **${key}**.`);
+      }
+
+      if (cmd === 'all') {
+        const token = views.openKvView({ ownerId: msg.author.id, guildId, prefix: rest[0], sort: 'name' });
+        return msg.reply(views.renderKvPage(token, 0));
+      }
+
+      if (cmd === 'history') {
+        const key = rest[0];
+        if (!key) return msg.reply(`Usage: ${prefix}history <key>`);
+        return quiet(views.renderHistory(guildId, key));
+      }
+
+      if (cmd === 'revert') {
+        const [key, versionArg] = rest;
+        if (!key) return msg.reply(`Usage: ${prefix}revert <key> [version]`);
+        const version = versionArg ? Number(versionArg.replace(/^v/i, '')) : null;
+        if (versionArg && !Number.isInteger(version)) return quiet(`Version must be a number, e.g. ${prefix}revert ${key} 3`);
+        const denial = kv.writeDenial(guildId, key, kvActor(msg.author.id, msg.member, msg.member?.permissions));
+        if (denial) return quiet(`⛔ ${denial}`);
+        return quiet(kv.revert(guildId, key, version, msg.author.id));
+      }
+
+      if (cmd === 'trash') {
+        return quiet(views.renderTrash(guildId));
+      }
+
+      if (cmd === 'restore') {
+        const key = rest[0];
+        if (!key) return msg.reply(`Usage: ${prefix}restore <key>`);
+        const denial = kv.writeDenial(guildId, key, kvActor(msg.author.id, msg.member, msg.member?.permissions));
+        if (denial) return quiet(`⛔ ${denial}`);
+        return quiet(kv.restore(guildId, key, msg.author.id));
+      }
+
+      if (cmd === 'help') {
+        return msg.reply(
+          `Commands:
+          ${prefix}set <key> <value>
+          ${prefix}get <key>
+          ${prefix}del <key>
+          ${prefix}all [keyPrefix]
+          ${prefix}history <key>
+          ${prefix}revert <key> [version]
+          ${prefix}trash
+          ${prefix}restore <key>
+          ${prefix}help`
+        );
+      }
+    } catch (err) {
+      console.error(err);
+      msg.reply('Error processing command.');
+    }
+  };
+}
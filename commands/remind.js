@@ -0,0 +1,189 @@
+import { PermissionFlagsBits, PermissionsBitField, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { DateTime } from 'luxon';
+import { parseWhen } from '../time/parse.js';
+import { parseRecurrence, nextOccurrence, describeRecurrence } from '../time/recurrence.js';
+import { reminderRecipient } from '../reminders/service.js';
+import { jobLabel } from '../llm/jobs.js';
+
+/**
+ * The Discord side of /remind, /schedule and /reminders.
+ * - scheduleFromOptions: the first run and recurrence rule from `when` and `repeat`
+ * - reminderTargeting: who a new reminder is for and where it goes, with the permission checks
+ * - importedReminderDenial: the same checks for a reminder restored from a backup
+ * - createReminderDrafts: previews waiting for their Confirm button
+ * - renderReminderPage: one page of someone's pending reminders
+ * - snoozeTarget, downloadAttachment and the confirm buttons
+ */
+
+// a file attached to /remind is stored until delivery, so keep it small
+const REMINDER_ATTACHMENT_MAX_BYTES = Number(process.env.REMINDER_ATTACHMENT_MAX_MB || 8) * 1024 * 1024;
+const REMINDERS_PAGE_SIZE = 10;
+const SNOOZE_TOMORROW_HOUR = 9; // "tomorrow" snoozes to 09:00 in the user's timezone
+// /remind drafts waiting for the Confirm button; in memory only, a restart just drops the preview
+const REMIND_DRAFT_TTL_MS = 5 * 60_000;
+
+export const WHEN_HELP = 'Try `in 20m`, `tomorrow 8am`, `next friday 17:00`, `tonight` or `YYYY-MM-DD HH:mm`.';
+export const MESSAGE_LINK = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(?:\d+|@me)\/\d+\/\d+$/;
+
+export function snoozeTarget(option, tz) {
+  const now = DateTime.now().setZone(tz);
+  if (option === '10m') return now.plus({ minutes: 10 });
+  if (option === '1h') return now.plus({ hours: 1 });
+  if (option === 'tomorrow') return now.plus({ days: 1 }).set({ hour: SNOOZE_TOMORROW_HOUR, minute: 0, second: 0, millisecond: 0 });
+  return null;
+}
+
+// Channel options arrive either as cached channels or as raw data carrying the caller's resolved permissions.
+export function canPostIn(channel, userId) {
+  const perms = channel.permissionsFor?.(userId)
+    ?? (channel.permissions ? new PermissionsBitField(BigInt(channel.permissions)) : null);
+  return Boolean(perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]));
+}
+
+/**
+ * The first run (a DateTime in `tz`) and the recurrence rule (or null) for `when` and/or `repeat`, or { error }.
+ * A `when` without a time in the rule supplies the time of day and the start date.
+ */
+export function scheduleFromOptions({ when, repeat, tz }) {
+  if (!when && !repeat) return { error: '❌ Provide `when`, `repeat`, or both.' };
+  let dt;
+  if (when) {
+    dt = parseWhen(when, { tz });
+    if (!dt) return { error: `❌ Could not parse date/time. ${WHEN_HELP}` };
+    if (dt < DateTime.now().setZone(tz)) return { error: '❌ That time is in the past.' };
+  }
+  if (!repeat) return { dt, rule: null };
+
+  const rule = parseRecurrence(repeat, { defaultTime: dt ? { hour: dt.hour, minute: dt.minute } : undefined });
+  if (!rule) {
+    return {
+      error: '❌ Could not understand that schedule. Try `every weekday 09:30`, `every 2 weeks on friday 17:00`, `first monday of the month 10:00` or `cron 30 9 * * 1-5`.'
+    };
+  }
+  const start = dt || DateTime.now().setZone(tz);
+  dt = nextOccurrence(rule, start.minus({ milliseconds: 1 }), { tz, anchor: start });
+  if (!dt) return { error: '❌ That schedule never fires.' };
+  return { dt, rule };
+}
+
+/**
+ * Target and delivery columns for a /remind, or { error }.
+ * A role must be mentionable by the creator; DMs to someone else need Manage Messages.
+ */
+export function reminderTargeting(interaction) {
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const channel = interaction.options.getChannel('channel');
+  const dm = interaction.options.getString('deliver') === 'dm';
+  const perms = interaction.memberPermissions;
+  const other = user && user.id !== interaction.user.id ? user : null;
+
+  if (user && role) return { error: '❌ Pick a user or a role, not both.' };
+  if ((other || role) && !interaction.inGuild()) {
+    return { error: '❌ Reminders for other people only work in a server.' };
+  }
+  if (other?.bot) return { error: '❌ Bots can\'t be reminded.' };
+  if (role && !role.mentionable && !perms?.has(PermissionFlagsBits.MentionEveryone)) {
+    return { error: `⛔ You can't mention <@&${role.id}>, so you can't remind it.` };
+  }
+  if (dm && role) return { error: '❌ Role reminders are posted in a channel, not sent by DM.' };
+  if (dm && channel) return { error: '❌ Choose DM delivery or a channel, not both.' };
+  if (dm && other && !perms?.has(PermissionFlagsBits.ManageMessages)) {
+    return { error: '⛔ Only moderators can send reminders to someone else\'s DMs.' };
+  }
+  if (channel && !canPostIn(channel, interaction.user.id)) {
+    return { error: `⛔ You can't post in <#${channel.id}>.` };
+  }
+
+  return {
+    target_type: role ? 'role' : other ? 'user' : null,
+    target_id: role?.id ?? other?.id ?? null,
+    delivery: dm ? 'dm' : null,
+    // DM reminders keep the current channel as the fallback when the recipient's DMs are closed
+    channel_id: channel?.id ?? interaction.channelId
+  };
+}
+
+/**
+ * Why the member behind `interaction` may not restore reminder row `r` from a backup, or null.
+ * A file can name any channel, role or user, so it gets the checks reminderTargeting applies to /remind,
+ * and the channel must belong to this server.
+ */
+export function importedReminderDenial(interaction, r) {
+  const channel = interaction.guild?.channels?.cache.get(String(r.channel_id));
+  const perms = interaction.memberPermissions;
+  if (!channel) return 'channel not in this server';
+  if (!canPostIn(channel, interaction.user.id)) return 'you can\'t post in the channel';
+  if (r.target_type === 'role') {
+    const role = interaction.guild.roles?.cache.get(String(r.target_id));
+    if (!role) return 'role not in this server';
+    if (!role.mentionable && !perms?.has(PermissionFlagsBits.MentionEveryone)) return 'role you can\'t mention';
+  }
+  const { userId } = reminderRecipient(r);
+  if (r.delivery === 'dm' && userId && userId !== interaction.user.id && !perms?.has(PermissionFlagsBits.ManageMessages)) {
+    return 'DM to someone else';
+  }
+  return null;
+}
+
+export async function downloadAttachment(attachment, maxBytes = REMINDER_ATTACHMENT_MAX_BYTES) {
+  if (attachment.size > maxBytes) {
+    throw new Error(`Attachments can be at most ${maxBytes / 1024 / 1024} MB.`);
+  }
+  const res = await fetch(attachment.url);
+  if (!res.ok) throw new Error(`Could not download the attachment (HTTP ${res.status}).`);
+  return { name: attachment.name, data: Buffer.from(await res.arrayBuffer()) };
+}
+
+export function confirmRow(token) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`remind:confirm:${token}`).setLabel('Confirm').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`remind:cancel:${token}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/** Drafts by token: `put` stores one for REMIND_DRAFT_TTL_MS, `take` removes and returns it (expired or not). */
+export function createReminderDrafts() {
+  const drafts = new Map();
+  return {
+    put(token, draft) {
+      drafts.set(token, { ...draft, expiresAt: Date.now() + REMIND_DRAFT_TTL_MS });
+    },
+    peek: (token) => drafts.get(token),
+    take(token) {
+      const now = Date.now();
+      for (const [k, d] of drafts) if (d.expiresAt < now) drafts.delete(k);
+      const draft = drafts.get(token);
+      drafts.delete(token);
+      return draft;
+    }
+  };
+}
+
+// Renders one page of the caller's pending reminders; page is clamped to range.
+export function renderReminderPage({ reminders, settings }, userId, page) {
+  const tz = settings.userTZ(userId);
+  const total = reminders.countPending(userId);
+  if (total === 0) return { content: 'You have no pending reminders.', components: [] };
+
+  const pages = Math.ceil(total / REMINDERS_PAGE_SIZE);
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const rows = reminders.listPending(userId, REMINDERS_PAGE_SIZE, page * REMINDERS_PAGE_SIZE);
+  const lines = rows.map(r => {
+    const at = DateTime.fromISO(r.next_run_iso, { zone: 'utc' }).setZone(tz).toFormat('yyyy-LL-dd HH:mm');
+    const repeat = r.recurrence ? ` 🔁 ${describeRecurrence(JSON.parse(r.recurrence))}` : '';
+    const target = r.target_type ? ` → ${reminderRecipient(r).mention}` : '';
+    const via = r.delivery === 'dm' ? ' (DM)' : '';
+    const what = r.job ? `🤖 ${jobLabel(r)} in <#${r.channel_id}>` : r.text;
+    return `• \`#${r.id}\` **${at}**${repeat}${target}${via} — ${what}`;
+  });
+
+  const content = `⏰ Pending reminders (${tz}) — page ${page + 1}/${pages}\n${lines.join('\n')}`.slice(0, 1900);
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`reminders:page:${userId}:${page - 1}`).setLabel('◀ Prev')
+      .setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(`reminders:page:${userId}:${page + 1}`).setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+  );
+  return { content, components: pages > 1 ? [nav] : [] };
+}
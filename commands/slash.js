@@ -0,0 +1,600 @@
+import { randomUUID } from 'node:crypto';
+import { PermissionFlagsBits } from 'discord.js';
+import { DateTime } from 'luxon';
+import { replyChainMessages } from '../llm/context.js';
+import { ATTACHMENT_QUESTION, readAttachments } from '../llm/attachments.js';
+import { parseWhen } from '../time/parse.js';
+import { resolveZone, zoneLabel, meetingWindows } from '../time/zones.js';
+import { describeRecurrence } from '../time/recurrence.js';
+import { ftsQuery } from '../store/kv.js';
+import { reminderRecipient, deliveryLabel } from '../reminders/service.js';
+import { jobLabel, DEFAULT_DIGEST_DAYS, DEFAULT_SUMMARY_MESSAGES } from '../llm/jobs.js';
+import { assertHandlersMatch } from './definitions.js';
+import { kvActor, kvSetModal } from './views.js';
+import {
+  WHEN_HELP, MESSAGE_LINK, scheduleFromOptions, reminderTargeting, canPostIn, downloadAttachment, confirmRow,
+  renderReminderPage
+} from './remind.js';
+import { exportAttachment, handleImport } from './transfer.js';
+import { renderAuditLog, renderAuditStats } from './audit.js';
+
+const MEET_MAX_WINDOWS = 8;
+const LUNA_OFF_MESSAGE = '🔕 Luna is turned off in this channel.';
+
+function unknownZone(input) {
+  return `❌ Unknown timezone \`${input}\`. Pick one of the suggestions or use an IANA name like \`Asia/Ho_Chi_Minh\`.`;
+}
+
+function formatDuration(start, end) {
+  const minutes = Math.round(end.diff(start, 'minutes').minutes);
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h ? `${h}h` : '', m ? `${m}m` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * One handler per entry in commands/definitions.js (checked here, so a mismatch refuses to boot).
+ * `app` is the bot from bot.js.
+ */
+export function createCommandHandlers(app) {
+  const { client, kv, settings, reminders, replies, luna, jobs, audit, views, drafts } = app;
+
+  // ⛔ replies to commands are recorded as permission denials (KV write denials are recorded by the store).
+  function deny(interaction, content) {
+    const sub = interaction.options.getSubcommand?.(false);
+    audit.record({
+      guildId: interaction.guildId, category: 'permission', action: 'command', actorId: interaction.user.id,
+      subject: `/${interaction.commandName}${sub ? ` ${sub}` : ''}`, outcome: 'denied', detail: content.replace(/^⛔ /, '')
+    });
+    return interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+
+  const handlers = {
+    async luna(interaction) {
+      if (interaction.options.getSubcommand() === 'usage') {
+        return interaction.reply({
+          content: luna.renderUsage(interaction.user.id, interaction.guildId, interaction.member),
+          ephemeral: true
+        });
+      }
+
+      const q = interaction.options.getString('message', true);
+      if (!settings.lunaAllowedIn(interaction.guildId, interaction.channel)) {
+        return interaction.reply({ content: LUNA_OFF_MESSAGE, ephemeral: true });
+      }
+      const gate = luna.admit({
+        userId: interaction.user.id, guildId: interaction.guildId, channelId: interaction.channelId, member: interaction.member
+      });
+      if (!gate.ok) return interaction.reply({ content: gate.message, ephemeral: true });
+
+      try {
+        await interaction.reply({ content: 'Thinking…', ephemeral: true });
+
+        const promptMsg = await interaction.channel.send({ content: `**${interaction.user}**: ${q}` });
+        const out = await promptMsg.reply({ content: '…' });
+
+        await replies.start(out, {
+          ownerId: interaction.user.id,
+          args: luna.args({ user: interaction.user, guild: interaction.guild, channel: interaction.channel, text: q }),
+          formatError: (e, text) => text
+            ? `${text}\n\n-# ⚠️ Reply interrupted.`
+            : 'Luna API error: ' + (e?.message || 'unknown'),
+          release: gate.release
+        });
+      } finally {
+        gate.release();
+      }
+    },
+
+    async settz(interaction) {
+      const input = interaction.options.getString('tz', true);
+      const tz = resolveZone(input);
+      if (!tz) return interaction.reply({ content: unknownZone(input), ephemeral: true });
+      const dt = DateTime.now().setZone(tz);
+      settings.setUserTZ(interaction.user.id, tz);
+      return interaction.reply({ content: `✅ Saved timezone: **${tz}** (now: ${dt.toFormat('yyyy-LL-dd HH:mm')})`, ephemeral: true });
+    },
+
+    async mytime(interaction) {
+      const saved = settings.savedTZ(interaction.user.id);
+      const tz = settings.userTZ(interaction.user.id, interaction.guildId);
+      const now = DateTime.now().setZone(tz);
+      const note = saved ? '' : ' (default — save yours with `/settz`)';
+      return interaction.reply({ content: `🕒 Your timezone: **${tz}**${note} — ${now.toFormat('yyyy-LL-dd HH:mm')}`, ephemeral: true });
+    },
+
+    async time(interaction) {
+      const user = interaction.options.getUser('user', true);
+      const tz = settings.savedTZ(user.id);
+      if (!tz) {
+        return interaction.reply({ content: `🤷 ${user} hasn't saved a timezone yet (\`/settz\`).`, ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      const now = DateTime.now().setZone(tz);
+      return interaction.reply({
+        content: `🕒 ${user}: **${now.toFormat('HH:mm')}** on ${now.toFormat('cccc, LLL d')} — ${zoneLabel(tz)}`,
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+      });
+    },
+
+    async convert(interaction) {
+      const text = interaction.options.getString('time', true);
+      const mine = settings.userTZ(interaction.user.id, interaction.guildId);
+      const zones = {};
+      for (const name of ['from', 'to']) {
+        const input = interaction.options.getString(name);
+        zones[name] = input ? resolveZone(input) : mine;
+        if (!zones[name]) return interaction.reply({ content: unknownZone(input), ephemeral: true });
+      }
+
+      const dt = parseWhen(text, { tz: zones.from });
+      if (!dt) return interaction.reply({ content: `❌ Could not parse that time. ${WHEN_HELP}`, ephemeral: true });
+      const converted = dt.setZone(zones.to);
+      return interaction.reply({
+        content: `🔁 **${dt.toFormat('ccc LLL d, HH:mm')}** ${zoneLabel(zones.from)}\n` +
+          `= **${converted.toFormat('ccc LLL d, HH:mm')}** ${zoneLabel(zones.to)}\n` +
+          `-# In your own timezone: <t:${Math.floor(dt.toSeconds())}:F>`,
+        ephemeral: true
+      });
+    },
+
+    async when(interaction) {
+      const text = interaction.options.getString('time', true);
+      const dt = parseWhen(text, { tz: settings.userTZ(interaction.user.id, interaction.guildId) });
+      if (!dt) return interaction.reply({ content: `❌ Could not parse that time. ${WHEN_HELP}`, ephemeral: true });
+      const ts = Math.floor(dt.toSeconds());
+      // posted publicly: Discord renders <t:…> in each reader's own timezone
+      return interaction.reply({ content: `🕒 <t:${ts}:F> (<t:${ts}:R>)\n-# Copy: \`<t:${ts}:F>\`` });
+    },
+
+    async meet(interaction) {
+      const mentioned = interaction.options.getString('members', true).match(/<@!?(\d+)>/g) ?? [];
+      const ids = [...new Set([interaction.user.id, ...mentioned.map(m => m.replace(/\D/g, ''))])];
+      const startHour = interaction.options.getInteger('start') ?? 9;
+      const endHour = interaction.options.getInteger('end') ?? 17;
+      const days = interaction.options.getInteger('days') ?? 7;
+      if (endHour <= startHour) {
+        return interaction.reply({ content: '❌ Working hours must end after they start.', ephemeral: true });
+      }
+
+      const members = ids.map(id => ({ id, tz: settings.savedTZ(id) }));
+      const known = members.filter(m => m.tz);
+      if (known.length < 2) {
+        return interaction.reply({ content: '❌ Mention at least one other member; everyone included needs a saved timezone (`/settz`).', ephemeral: true });
+      }
+
+      const windows = meetingWindows([...new Set(known.map(m => m.tz))], { days, startHour, endHour });
+      const who = members.map(m => `<@${m.id}> ${m.tz ? `(${m.tz})` : '— no timezone saved, skipped'}`).join(', ');
+      const hours = `${String(startHour).padStart(2, '0')}:00–${String(endHour).padStart(2, '0')}:00`;
+      const lines = windows.slice(0, MEET_MAX_WINDOWS).map(w =>
+        `• <t:${Math.floor(w.start.toSeconds())}:F> – <t:${Math.floor(w.end.toSeconds())}:t> (${formatDuration(w.start, w.end)})`);
+      const more = windows.length > MEET_MAX_WINDOWS ? `\n-# …and ${windows.length - MEET_MAX_WINDOWS} more` : '';
+
+      return interaction.reply({
+        content: windows.length
+          ? `📅 Shared working hours (${hours} local, Mon–Fri) for ${who}:\n${lines.join('\n')}${more}`
+          : `😕 No shared working hours (${hours} local, Mon–Fri) in the next ${days} days for ${who}.`,
+        allowedMentions: { parse: [] }
+      });
+    },
+
+    async remind(interaction) {
+      const text = interaction.options.getString('text', true);
+      const link = interaction.options.getString('link')?.trim() || null;
+      const attachment = interaction.options.getAttachment('attachment');
+      const tz = settings.userTZ(interaction.user.id, interaction.guildId);
+      const targeting = reminderTargeting(interaction);
+      if (targeting.error) {
+        return targeting.error.startsWith('⛔')
+          ? deny(interaction, targeting.error)
+          : interaction.reply({ content: targeting.error, ephemeral: true });
+      }
+      if (link && !MESSAGE_LINK.test(link)) {
+        return interaction.reply({ content: '❌ `link` must be a Discord message link (right-click a message → Copy Message Link).', ephemeral: true });
+      }
+      const schedule = scheduleFromOptions({
+        when: interaction.options.getString('when'), repeat: interaction.options.getString('repeat'), tz
+      });
+      if (schedule.error) return interaction.reply({ content: schedule.error, ephemeral: true });
+      const { dt, rule } = schedule;
+
+      // downloading can outlast the 3s reply window
+      const attachments = [];
+      if (attachment) {
+        await interaction.deferReply({ ephemeral: true });
+        try {
+          attachments.push(await downloadAttachment(attachment));
+        } catch (err) {
+          return interaction.editReply(`❌ ${err.message}`);
+        }
+      }
+
+      const token = randomUUID();
+      const row = {
+        user_id: interaction.user.id,
+        guild_id: interaction.guildId || null,
+        text,
+        run_at_iso: dt.toUTC().toISO(),
+        recurrence: rule ? JSON.stringify(rule) : null,
+        ...targeting,
+        context_link: link
+      };
+      drafts.put(token, { tz, row, attachments });
+      const who = row.target_type ? reminderRecipient(row).mention : 'you';
+      const notes = [
+        rule ? `🔁 Repeats ${describeRecurrence(rule)}` : null,
+        `📬 Delivered ${deliveryLabel(row)}`,
+        link ? `🔗 ${link}` : null,
+        attachment ? `📎 ${attachment.name}` : null
+      ].filter(Boolean).map(n => `\n${n}`).join('');
+      const payload = {
+        content: `🕒 Remind ${who} **${text}** at **${dt.toFormat('yyyy-LL-dd HH:mm')} ${tz}** (<t:${Math.floor(dt.toSeconds())}:R>)?${notes}`,
+        components: [confirmRow(token)],
+        allowedMentions: { parse: [] }
+      };
+      return interaction.deferred ? interaction.editReply(payload) : interaction.reply({ ...payload, ephemeral: true });
+    },
+
+    async schedule(interaction) {
+      if (!interaction.inGuild()) {
+        return interaction.reply({ content: '❌ Luna jobs are scheduled per server.', ephemeral: true });
+      }
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return deny(interaction, '⛔ You need the Manage Server permission to schedule Luna jobs.');
+      }
+      const job = interaction.options.getSubcommand();
+      const picked = interaction.options.getChannel('channel');
+      if (picked && !canPostIn(picked, interaction.user.id)) {
+        return deny(interaction, `⛔ You can't post in <#${picked.id}>.`);
+      }
+      if (!settings.lunaAllowedIn(interaction.guildId, picked ?? interaction.channel)) {
+        return interaction.reply({ content: LUNA_OFF_MESSAGE, ephemeral: true });
+      }
+      const tz = settings.userTZ(interaction.user.id, interaction.guildId);
+      const schedule = scheduleFromOptions({
+        when: interaction.options.getString('when'), repeat: interaction.options.getString('repeat'), tz
+      });
+      if (schedule.error) return interaction.reply({ content: schedule.error, ephemeral: true });
+      const { dt, rule } = schedule;
+
+      const options = job === 'digest' ? { days: interaction.options.getInteger('days') ?? DEFAULT_DIGEST_DAYS }
+        : job === 'summarize' ? { messages: interaction.options.getInteger('messages') ?? DEFAULT_SUMMARY_MESSAGES }
+          : null;
+      const row = {
+        user_id: interaction.user.id,
+        channel_id: picked?.id ?? interaction.channelId,
+        guild_id: interaction.guildId,
+        text: job === 'prompt' ? interaction.options.getString('text', true) : '',
+        run_at_iso: dt.toUTC().toISO(),
+        recurrence: rule ? JSON.stringify(rule) : null,
+        created_at_iso: new Date().toISOString(),
+        target_type: null,
+        target_id: null,
+        delivery: null,
+        context_link: null,
+        job,
+        job_options: options ? JSON.stringify(options) : null
+      };
+      if (!row.text) row.text = jobLabel(row);
+      const id = reminders.save(row);
+      reminders.arm();
+      const repeats = rule ? `\n🔁 Repeats ${describeRecurrence(rule)}` : '';
+      return interaction.reply({
+        content: `✅ Scheduled Luna job \`#${id}\`: **${jobLabel(row)}** in <#${row.channel_id}> at ` +
+          `**${dt.toFormat('yyyy-LL-dd HH:mm')} ${tz}** (<t:${Math.floor(dt.toSeconds())}:R>)${repeats}\n` +
+          '-# See, edit or cancel it with `/reminders`.',
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+      });
+    },
+
+    async summarize(interaction) {
+      const count = interaction.options.getInteger('messages') ?? DEFAULT_SUMMARY_MESSAGES;
+      if (!settings.lunaAllowedIn(interaction.guildId, interaction.channel)) {
+        return interaction.reply({ content: LUNA_OFF_MESSAGE, ephemeral: true });
+      }
+      // the messages are fetched with the bot's permissions, so the asker must be able to read them too
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ReadMessageHistory)) {
+        return deny(interaction, '⛔ You need Read Message History here to summarize this channel.');
+      }
+      if (!interaction.appPermissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory])) {
+        return interaction.reply({ content: '❌ I can\'t read this channel\'s message history.', ephemeral: true });
+      }
+      const gate = luna.admit({
+        userId: interaction.user.id, guildId: interaction.guildId, channelId: interaction.channelId, member: interaction.member
+      });
+      if (!gate.ok) return interaction.reply({ content: gate.message, ephemeral: true });
+
+      try {
+        await interaction.reply({ content: 'Working…', ephemeral: true });
+        await jobs.summarize({
+          channel: interaction.channel, guild: interaction.guild, user: interaction.user, count, release: gate.release
+        });
+      } catch (err) {
+        console.error('[luna] /summarize failed', err);
+        return interaction.editReply('❌ Could not write the summary. Please try again later.').catch(() => {});
+      } finally {
+        gate.release();
+      }
+      await interaction.editReply('Done.');
+    },
+
+    async kv(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId ?? `DM-${interaction.user.id}`;
+      const actor = kvActor(interaction.user.id, interaction.member, interaction.memberPermissions);
+
+      if (sub === 'set') {
+        const key = interaction.options.getString('key', true);
+        const value = interaction.options.getString('value');
+        // no value: open a modal so long or multiline text can be entered
+        if (!value) return interaction.showModal(kvSetModal(key, kv.get(gid, key)?.value ?? ''));
+        const denial = kv.writeDenial(gid, key, actor);
+        if (denial) return interaction.reply({ content: `⛔ ${denial}`, ephemeral: true, allowedMentions: { parse: [] } });
+        kv.write({ guild_id: gid, key, value, author_id: interaction.user.id });
+        return interaction.reply({ content: `Saved **${key}** ✅`, ephemeral: true });
+      }
+      if (sub === 'get') {
+        const key = interaction.options.getString('key', true);
+        const row = kv.get(gid, key);
+        return interaction.reply(row
+          ? { content: `**${key}** = ${row.value}`, allowedMentions: { parse: [] } }
+          : { content: `No value for **${key}**.`, ephemeral: true });
+      }
+      if (sub === 'del') {
+        const key = interaction.options.getString('key', true);
+        const denial = kv.writeDenial(gid, key, actor);
+        if (denial) return interaction.reply({ content: `⛔ ${denial}`, ephemeral: true, allowedMentions: { parse: [] } });
+        const info = kv.remove(gid, key, interaction.user.id);
+        return interaction.reply({ content: info.changes ? `Deleted **${key}** 🗑️` : `Nothing to delete for **${key}**.`, ephemeral: true });
+      }
+      if (sub === 'list') {
+        const token = views.openKvView({
+          ownerId: interaction.user.id,
+          guildId: gid,
+          prefix: interaction.options.getString('prefix'),
+          sort: interaction.options.getString('sort') ?? 'name'
+        });
+        return interaction.reply(views.renderKvPage(token, 0));
+      }
+      if (sub === 'search') {
+        const text = interaction.options.getString('text', true);
+        if (!ftsQuery(text)) {
+          return interaction.reply({ content: '❌ Search for at least one word or number.', ephemeral: true });
+        }
+        const token = views.openKvView({
+          ownerId: interaction.user.id,
+          guildId: gid,
+          search: text,
+          prefix: interaction.options.getString('prefix'),
+          sort: interaction.options.getString('sort') ?? 'relevance'
+        });
+        return interaction.reply(views.renderKvPage(token, 0));
+      }
+      if (sub === 'history') {
+        const key = interaction.options.getString('key', true);
+        return interaction.reply({ content: views.renderHistory(gid, key), ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      if (sub === 'trash') {
+        return interaction.reply({ content: views.renderTrash(gid), ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      if (sub === 'export') {
+        const file = exportAttachment(app, gid, {
+          format: interaction.options.getString('format') ?? 'json',
+          prefix: interaction.options.getString('prefix')
+        });
+        return interaction.reply({ content: '📤 Here is the export.', files: [file], ephemeral: true });
+      }
+      if (sub === 'import') return handleImport(app, interaction, gid);
+    },
+
+    async kvperm(interaction) {
+      if (!interaction.inGuild()) {
+        return interaction.reply({ content: '❌ KV permissions are configured per server.', ephemeral: true });
+      }
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return deny(interaction, '⛔ You need the Manage Server permission to change KV permissions.');
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+
+      if (sub === 'writer-role') kv.setPermission(gid, 'writer_role_id', interaction.options.getRole('role')?.id ?? null);
+      if (sub === 'mod-role') kv.setPermission(gid, 'mod_role_id', interaction.options.getRole('role')?.id ?? null);
+      if (sub === 'lock') kv.setPermission(gid, 'lock_to_author', interaction.options.getBoolean('enabled', true) ? 1 : 0);
+      if (sub === 'protect') kv.protect(gid, interaction.options.getString('pattern', true));
+      if (sub === 'unprotect') {
+        const pattern = interaction.options.getString('pattern', true);
+        if (!kv.unprotect(gid, pattern)) {
+          return interaction.reply({ content: `❌ \`${pattern}\` is not protected.`, ephemeral: true });
+        }
+      }
+      return interaction.reply({ content: views.renderKvPermissions(gid), ephemeral: true, allowedMentions: { parse: [] } });
+    },
+
+    async config(interaction) {
+      if (!interaction.inGuild()) {
+        return interaction.reply({ content: '❌ Settings are configured per server.', ephemeral: true });
+      }
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return deny(interaction, '⛔ You need the Manage Server permission to change settings.');
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+
+      if (sub === 'export') {
+        return interaction.reply({
+          content: '📤 Backup of this server\'s KV entries, settings and pending reminders (files attached to reminders are not included).',
+          files: [exportAttachment(app, gid, { admin: true })],
+          ephemeral: true
+        });
+      }
+      if (sub === 'import') return handleImport(app, interaction, gid, { admin: true });
+
+      const text = (name) => interaction.options.getString(name)?.trim() || null;   // empty = back to default
+
+      if (sub === 'conversation-scope') settings.set(gid, 'conversation_scope', interaction.options.getString('scope', true));
+      if (sub === 'channel') {
+        const channelId = interaction.options.getChannel('channel', true).id;
+        const mode = interaction.options.getString('mode', true);
+        if (mode === 'default') settings.clearLunaChannel(gid, channelId);
+        else settings.setLunaChannel(gid, channelId, mode);
+      }
+      if (sub === 'prefix') settings.set(gid, 'prefix', text('prefix'));
+      if (sub === 'timezone') {
+        const input = text('tz');
+        const tz = input && resolveZone(input);
+        if (input && !tz) return interaction.reply({ content: unknownZone(input), ephemeral: true });
+        settings.set(gid, 'default_tz', tz || null);
+      }
+      if (sub === 'memory') {
+        const enabled = interaction.options.getBoolean('enabled');
+        settings.set(gid, 'use_server_memory', enabled === null ? null : Number(enabled));
+      }
+      if (sub === 'model') settings.set(gid, 'model', text('name'));
+      if (sub === 'persona') settings.set(gid, 'persona', text('text'));
+      if (sub === 'knowledge-exclude') kv.excludeFromAi(gid, interaction.options.getString('pattern', true));
+      if (sub === 'knowledge-include') {
+        const pattern = interaction.options.getString('pattern', true);
+        if (!kv.includeInAi(gid, pattern)) {
+          return interaction.reply({ content: `❌ \`${pattern}\` is not hidden from Luna.`, ephemeral: true });
+        }
+      }
+      if (sub === 'quota') {
+        const limit = interaction.options.getInteger('limit');
+        const roleId = interaction.options.getRole('role')?.id ?? '';
+        if (limit === null) settings.clearQuota(gid, roleId);
+        else settings.setQuota(gid, roleId, limit);
+      }
+      return interaction.reply({ content: views.renderGuildSettings(gid), ephemeral: true, allowedMentions: { parse: [] } });
+    },
+
+    async botadmin(interaction) {
+      if (!interaction.inGuild()) {
+        return interaction.reply({ content: '❌ The audit log is kept per server.', ephemeral: true });
+      }
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return deny(interaction, '⛔ You need the Manage Server permission to see the bot\'s activity.');
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      const days = interaction.options.getInteger('days') ?? 7;
+
+      if (sub === 'stats') {
+        return interaction.reply({ content: renderAuditStats(audit, gid, days), ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      if (sub === 'log') {
+        const filters = {
+          category: interaction.options.getString('category'),
+          actorId: interaction.options.getUser('user')?.id ?? null,
+          failures: interaction.options.getBoolean('failures') ?? false,
+          days
+        };
+        const page = (interaction.options.getInteger('page') ?? 1) - 1;
+        return interaction.reply({ content: renderAuditLog(audit, gid, filters, page), ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      if (sub === 'modlog') {
+        const channel = interaction.options.getChannel('channel');
+        if (channel) {
+          try {
+            const target = await client.channels.fetch(channel.id);
+            await target.send({ content: `📜 The bot's audit log is mirrored here from now on (set up by <@${interaction.user.id}>).`, allowedMentions: { parse: [] } });
+          } catch {
+            return interaction.reply({ content: `❌ I can't post in <#${channel.id}>; give me View Channel and Send Messages there first.`, ephemeral: true });
+          }
+        }
+        settings.set(gid, 'mod_log_channel_id', channel?.id ?? null);
+        return interaction.reply({
+          content: channel ? `✅ The audit log is now mirrored to <#${channel.id}>.` : '✅ The audit log is no longer mirrored to a channel.',
+          ephemeral: true
+        });
+      }
+    },
+
+    async reminders(interaction) {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'list') {
+        const page = (interaction.options.getInteger('page') ?? 1) - 1;
+        return interaction.reply({ ...renderReminderPage(app, interaction.user.id, page), ephemeral: true });
+      }
+
+      const id = interaction.options.getInteger('id', true);
+      const r = reminders.get(id);
+      if (!r || r.user_id !== interaction.user.id || r.delivered) {
+        return interaction.reply({ content: `❌ No pending reminder \`#${id}\` of yours.`, ephemeral: true });
+      }
+
+      if (sub === 'cancel') {
+        reminders.cancel(id, interaction.user.id);
+        reminders.purgeFiles();
+        return interaction.reply({ content: `🗑️ Cancelled reminder \`#${id}\`: **${r.text}**`, ephemeral: true });
+      }
+
+      if (sub === 'edit') {
+        const text = interaction.options.getString('text');
+        const when = interaction.options.getString('when');
+        if (!text && !when) {
+          return interaction.reply({ content: '❌ Provide a new `text`, a new `when`, or both.', ephemeral: true });
+        }
+        const tz = settings.userTZ(interaction.user.id, r.guild_id);
+        let dt;
+        if (when) {
+          dt = parseWhen(when, { tz });
+          if (!dt) {
+            return interaction.reply({ content: `❌ Could not parse date/time. ${WHEN_HELP}`, ephemeral: true });
+          }
+          if (dt < DateTime.now().setZone(tz)) {
+            return interaction.reply({ content: '❌ That time is in the past.', ephemeral: true });
+          }
+        }
+        if (text) reminders.updateText(id, interaction.user.id, text);
+        if (dt) {
+          reminders.updateTime(id, interaction.user.id, dt.toUTC().toISO());
+          reminders.arm();
+        }
+
+        const at = (dt || DateTime.fromISO(r.next_run_iso, { zone: 'utc' }).setZone(tz)).toFormat('yyyy-LL-dd HH:mm');
+        return interaction.reply({ content: `✏️ Updated reminder \`#${id}\`: **${text || r.text}** at **${at} ${tz}**`, ephemeral: true });
+      }
+    },
+
+    async 'Ask Luna'(interaction) {
+      const target = interaction.targetMessage;
+      const q = (target.content || '').trim();
+      const hasFiles = Boolean(target.attachments?.size);
+      if (!q && !hasFiles) return interaction.reply({ content: 'Message has no text or attachments.', ephemeral: true });
+      if (!settings.lunaAllowedIn(interaction.guildId, interaction.channel)) {
+        return interaction.reply({ content: LUNA_OFF_MESSAGE, ephemeral: true });
+      }
+
+      const gate = luna.admit({
+        userId: interaction.user.id, guildId: interaction.guildId, channelId: interaction.channelId, member: interaction.member
+      });
+      if (!gate.ok) return interaction.reply({ content: gate.message, ephemeral: true });
+
+      try {
+        await interaction.reply({ content: 'Working…', ephemeral: true });
+        const history = await replyChainMessages(target, { botId: client.user.id });
+        const out = await target.reply({ content: '…' });
+        const attachments = hasFiles ? await readAttachments(target) : undefined;
+
+        await replies.start(out, {
+          ownerId: interaction.user.id,
+          args: luna.args({
+            user: interaction.user, guild: interaction.guild, channel: interaction.channel,
+            text: q || ATTACHMENT_QUESTION, history, attachments
+          }),
+          formatError: (e, text) => text
+            ? `${text}\n\n-# ⚠️ Reply interrupted.`
+            : 'Luna API error: ' + (e?.message || 'unknown'),
+          release: gate.release
+        });
+      } finally {
+        gate.release();
+      }
+      await interaction.editReply('Done.');
+    }
+  };
+  assertHandlersMatch(handlers);
+  return handlers;
+}
@@ -0,0 +1,215 @@
+import { AttachmentBuilder } from 'discord.js';
+import { DateTime } from 'luxon';
+import { buildExport, kvToCSV, parseImport, planKvImport } from '../data/transfer.js';
+import { CONVERSATION_SCOPES } from '../llm/context.js';
+import { resolveZone } from '../time/zones.js';
+import { GUILD_SETTING_COLUMNS } from '../store/settings.js';
+import { KV_SETTING_COLUMNS } from '../store/kv.js';
+import { kvActor } from './views.js';
+import { downloadAttachment, importedReminderDenial } from './remind.js';
+
+/**
+ * /kv export|import and /config export|import on top of data/transfer.js.
+ * - exportAttachment: a guild's KV entries (and for admins, settings and pending reminders) as a file
+ * - runImport: applies a parsed file in one transaction, or counts what it would do (dry run)
+ * - handleImport: the shared slash-command flow, from the attached file to the summary reply
+ *
+ * `app` is the bot from bot.js (db, kv, settings and reminders are used).
+ */
+
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_LIST_LIMIT = 10;   // keys named in a summary before "and N more"
+// values from a file are checked the way /config and /kvperm check them
+const SETTING_VALUES = {
+  conversation_scope: (v) => (CONVERSATION_SCOPES.includes(v) ? v : null),
+  default_tz: (v) => (v == null ? null : resolveZone(String(v))),
+  use_server_memory: (v) => (v == null ? null : v ? 1 : 0),
+  lock_to_author: (v) => (v ? 1 : 0)
+};
+const SETTINGS_LABELS = {
+  guild: 'Luna settings', kv_permissions: 'KV permissions', kv_protected: 'protected keys',
+  knowledge_excluded: 'knowledge exclusions', luna_channels: 'Luna channels', luna_quotas: 'quotas'
+};
+const DRY_RUN = Symbol('dry run');   // thrown to roll an import back after counting what it would do
+
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.map(c => [c, row?.[c] ?? null]));
+}
+
+function exportSettings({ kv, settings }, guildId) {
+  return {
+    guild: pickColumns(settings.guild(guildId), GUILD_SETTING_COLUMNS),
+    kv_permissions: pickColumns(kv.permissions(guildId), KV_SETTING_COLUMNS),
+    kv_protected: kv.protectedPatterns(guildId),
+    knowledge_excluded: kv.aiExcluded(guildId),
+    luna_channels: settings.lunaChannels(guildId),
+    luna_quotas: settings.quotas(guildId)
+  };
+}
+
+/** A .json (full document) or .csv (KV only) attachment; `admin` adds settings and pending reminders. */
+export function exportAttachment(app, guildId, { format = 'json', prefix = null, admin = false } = {}) {
+  const kv = app.kv.entries(guildId).filter(r => !prefix || r.key.startsWith(prefix));
+  const stamp = DateTime.utc().toFormat('yyyyLLdd-HHmm');
+  if (format === 'csv') {
+    return new AttachmentBuilder(Buffer.from(kvToCSV(kv), 'utf8'), { name: `kv-${guildId}-${stamp}.csv` });
+  }
+  const doc = buildExport({
+    guildId,
+    kv,
+    settings: admin ? exportSettings(app, guildId) : null,
+    reminders: admin ? app.reminders.exportRows(guildId) : null
+  });
+  return new AttachmentBuilder(Buffer.from(JSON.stringify(doc, null, 2), 'utf8'), {
+    name: `${admin ? 'backup' : 'kv'}-${guildId}-${stamp}.json`
+  });
+}
+
+/**
+ * overwrite: the file replaces every section it contains; merge: values set in the file win;
+ * skip: only settings that are unset here are filled in. List entries are added in every mode.
+ */
+function applySettings({ kv, settings }, guildId, s, mode) {
+  const applyColumns = (current, incoming, columns, set) => {
+    if (!incoming || typeof incoming !== 'object') return;
+    for (const col of columns) {
+      if (!(col in incoming)) continue;
+      const raw = incoming[col];
+      const value = SETTING_VALUES[col] ? SETTING_VALUES[col](raw) : (raw == null ? null : String(raw));
+      if (mode !== 'overwrite' && value == null) continue;
+      if (mode === 'skip' && current?.[col] != null) continue;
+      set(guildId, col, value);
+    }
+  };
+  applyColumns(settings.guild(guildId), s.guild, GUILD_SETTING_COLUMNS, settings.set);
+  applyColumns(kv.permissionSettings(guildId), s.kv_permissions, KV_SETTING_COLUMNS, kv.setPermission);
+
+  const list = (name) => (Array.isArray(s[name]) ? s[name] : null);
+  if (mode === 'overwrite') {
+    if (list('kv_protected')) kv.clearProtected(guildId);
+    if (list('knowledge_excluded')) kv.clearAiExcluded(guildId);
+    if (list('luna_channels')) settings.clearLunaChannels(guildId);
+    if (list('luna_quotas')) settings.clearQuotas(guildId);
+  }
+  for (const p of list('kv_protected') ?? []) if (typeof p === 'string' && p) kv.protect(guildId, p);
+  for (const p of list('knowledge_excluded') ?? []) if (typeof p === 'string' && p) kv.excludeFromAi(guildId, p);
+
+  const channels = new Set(settings.lunaChannels(guildId).map(c => c.channel_id));
+  for (const c of list('luna_channels') ?? []) {
+    if (!c?.channel_id || !['allow', 'block'].includes(c.mode)) continue;
+    if (mode === 'skip' && channels.has(String(c.channel_id))) continue;
+    settings.setLunaChannel(guildId, String(c.channel_id), c.mode);
+  }
+  const quotas = new Set(settings.quotas(guildId).map(q => q.role_id));
+  for (const q of list('luna_quotas') ?? []) {
+    const limit = Number(q?.daily_limit);
+    if (typeof q?.role_id !== 'string' || !Number.isInteger(limit) || limit < 0) continue;
+    if (mode === 'skip' && quotas.has(q.role_id)) continue;
+    settings.setQuota(guildId, q.role_id, limit);
+  }
+}
+
+/**
+ * Applies a parsed export file inside one transaction. KV writes go through the same
+ * permission checks and history as /kv set; `admin` also restores settings and reminders,
+ * except those `reminderDenial(row)` refuses. With `dryRun` everything is rolled back after counting.
+ */
+export function runImport(app, guildId, data, { mode, actor, dryRun, admin, reminderDenial }) {
+  const { db, kv } = app;
+  const result = { created: 0, updated: 0, unchanged: 0, skipped: 0, denied: [], settings: null, reminders: null };
+  try {
+    db.transaction(() => {
+      const existing = new Map(kv.entries(guildId).map(r => [r.key, r]));
+      const plan = planKvImport(existing, data.kv, mode);
+      result.unchanged = plan.unchanged.length;
+      result.skipped = plan.skipped.length;
+      for (const [kind, entries] of [['created', plan.create], ['updated', plan.update]]) {
+        for (const e of entries) {
+          if (kv.writeDenial(guildId, e.key, actor)) {
+            result.denied.push(e.key);
+            continue;
+          }
+          // new keys keep their author from the file, so author locks still protect them
+          kv.write({
+            guild_id: guildId, key: e.key, value: e.value, author_id: actor.userId, owner_id: e.author_id ?? actor.userId,
+            action: 'import'
+          });
+          result[kind]++;
+        }
+      }
+      if (admin && data.settings) {
+        const before = exportSettings(app, guildId);
+        applySettings(app, guildId, data.settings, mode);
+        const after = exportSettings(app, guildId);
+        result.settings = Object.keys(after).filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+      }
+      if (admin && data.reminders) {
+        result.reminders = app.reminders.importRows(guildId, data.reminders, { denial: reminderDenial });
+      }
+      if (dryRun) throw DRY_RUN;
+    })();
+  } catch (err) {
+    if (err !== DRY_RUN) throw err;
+  }
+  return result;
+}
+
+function renderImportSummary(result, { mode, dryRun, warnings, foreign }) {
+  const keys = (list) => list.slice(0, IMPORT_LIST_LIMIT).map(k => `\`${k}\``).join(', ')
+    + (list.length > IMPORT_LIST_LIMIT ? ` and ${list.length - IMPORT_LIST_LIMIT} more` : '');
+  const lines = [
+    `${dryRun ? '🧪 Dry run' : '📥 Imported'} (${mode})`,
+    `• KV: **${result.created}** new, **${result.updated}** updated, ${result.unchanged} unchanged, ${result.skipped} kept as they are`
+  ];
+  if (result.denied.length) lines.push(`• ⛔ Not allowed to change: ${keys(result.denied)}`);
+  if (result.settings) {
+    lines.push(`• Settings: ${result.settings.length ? result.settings.map(k => SETTINGS_LABELS[k]).join(', ') : 'no changes'}`);
+  }
+  if (result.reminders) {
+    const { added, existing, invalid, denied } = result.reminders;
+    lines.push(`• Reminders: **${added}** added, ${existing} already here${invalid ? `, ${invalid} invalid` : ''}` +
+      (denied ? `, ⛔ ${denied} not allowed (a channel outside this server, or a role or DM you can't use)` : ''));
+  }
+  for (const w of warnings.slice(0, 5)) lines.push(`⚠️ ${w}`);
+  if (foreign) lines.push('-# This backup is from another server; channel and role ids were kept as they are, so reminders only come back for channels that exist here.');
+  if (dryRun) lines.push('-# Nothing was changed. Run it again without `dry_run` to apply it.');
+  return lines.join('\n').slice(0, 1900);
+}
+
+// Shared by /kv import (KV entries only) and /config import (everything in the file).
+export async function handleImport(app, interaction, guildId, { admin = false } = {}) {
+  const file = interaction.options.getAttachment('file', true);
+  const mode = interaction.options.getString('mode') ?? 'merge';
+  const dryRun = interaction.options.getBoolean('dry_run') ?? false;
+  await interaction.deferReply({ ephemeral: true });
+
+  let data;
+  try {
+    const { data: buf } = await downloadAttachment(file, IMPORT_MAX_BYTES);
+    data = parseImport(buf.toString('utf8'), file.name);
+  } catch (err) {
+    return interaction.editReply(`❌ ${err.message}`);
+  }
+  if (!admin && (data.settings || data.reminders)) {
+    data.warnings.push('Settings and reminders in this file were ignored; an admin can restore them with `/config import`.');
+  }
+
+  const actor = kvActor(interaction.user.id, interaction.member, interaction.memberPermissions);
+  const reminderDenial = (r) => importedReminderDenial(interaction, r);
+  const result = runImport(app, guildId, data, { mode, actor, dryRun, admin, reminderDenial });
+  if (result.reminders?.added && !dryRun) app.reminders.arm();
+  // each imported key is in the audit log already; this entry is the one the mod-log channel sees
+  if (!dryRun) {
+    app.audit.record({
+      guildId, category: 'kv', action: 'import file', actorId: interaction.user.id, subject: file.name,
+      detail: `${result.created} new, ${result.updated} updated, ${result.denied.length} denied` +
+        (result.settings?.length ? `; settings: ${result.settings.join(', ')}` : '') +
+        (result.reminders ? `; ${result.reminders.added} reminders added` : '')
+    });
+  }
+  const foreign = admin && data.guildId && data.guildId !== guildId;
+  return interaction.editReply({
+    content: renderImportSummary(result, { mode, dryRun, warnings: data.warnings, foreign }),
+    allowedMentions: { parse: [] }
+  });
+}
@@ -0,0 +1,196 @@
+import { randomUUID } from 'node:crypto';
+import {
+  PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle
+} from 'discord.js';
+import { DateTime } from 'luxon';
+import { KV_PAGE_SIZE, KV_SORTS } from '../store/kv.js';
+import { memberRoles } from '../llm/requests.js';
+
+/**
+ * Replies shared by slash commands, prefix commands and buttons.
+ * - createViews: KV listings behind Prev/Next buttons, history, trash and settings summaries
+ * - kvActor, parseSetArgs, kvSetModal: input side of the KV commands
+ * - preview, unix: formatting helpers
+ */
+
+export const AUTOCOMPLETE_LIMIT = 25; // Discord's maximum number of choices
+export const KV_VIEW_TTL_MS = 15 * 60_000;
+const HISTORY_LIMIT = 15;
+
+const SCOPE_LABELS = {
+  guild: 'one conversation for the whole server',
+  channel: 'one conversation per channel (threads share their channel\'s)',
+  thread: 'one conversation per channel and per thread'
+};
+
+export function unix(iso) { return Math.floor(Date.parse(iso) / 1000); }
+export function preview(value, max = 80) {
+  const flat = String(value).replace(/\s+/g, ' ');
+  return flat.length > max ? flat.slice(0, max - 1) + '…' : flat;
+}
+
+// Who is acting, in a shape that works for both message authors and interaction members.
+export function kvActor(userId, member, permissions) {
+  return {
+    userId,
+    roles: memberRoles(member),
+    isAdmin: Boolean(permissions?.has(PermissionFlagsBits.ManageGuild)),
+    canModerate: Boolean(permissions?.has(PermissionFlagsBits.ManageMessages))
+  };
+}
+
+// Prefix-style `set`: keeps the value's own spacing/newlines and drops one pair of wrapping quotes.
+export function parseSetArgs(body) {
+  const m = body.trim().match(/^(\S+)\s+([\s\S]+)$/);
+  if (!m) return { key: body.trim() || undefined, value: '' };
+  let value = m[2].trim();
+  const q = value.match(/^(["'“])([\s\S]*)(["'”])$/);
+  if (q && (q[1] === q[3] || (q[1] === '“' && q[3] === '”'))) value = q[2];
+  return { key: m[1], value };
+}
+
+export function kvSetModal(key = '', value = '') {
+  return new ModalBuilder()
+    .setCustomId('kv:set')
+    .setTitle('Set KV entry')
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId('key').setLabel('Key').setStyle(TextInputStyle.Short)
+          .setRequired(true).setMaxLength(100).setValue(key)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId('value').setLabel('Value').setStyle(TextInputStyle.Paragraph)
+          .setRequired(true).setMaxLength(4000).setValue(value.slice(0, 4000))
+      )
+    );
+}
+
+/** `app` is the bot from bot.js; only its kv and settings stores are used. */
+export function createViews({ kv, settings }) {
+  // Listing/search state behind the Prev/Next buttons, keyed by a token in the button id.
+  const kvViews = new Map();
+
+  function openKvView(view) {
+    const now = Date.now();
+    for (const [k, v] of kvViews) if (v.expiresAt < now) kvViews.delete(k);
+    const token = randomUUID().slice(0, 8);
+    kvViews.set(token, { ...view, expiresAt: now + KV_VIEW_TTL_MS });
+    return token;
+  }
+
+  /** Renders a listing/search page as an embed with Prev/Next and sort buttons. */
+  function renderKvPage(token, page) {
+    const view = kvViews.get(token);
+    page = Math.max(page, 0);
+    let { total, rows } = kv.queryPage(view, page);
+    if (total === 0) {
+      const what = view.search ? `No entries match **${view.search}**.` : 'No entries yet.';
+      return { content: what, embeds: [], components: [] };
+    }
+    const pages = Math.ceil(total / KV_PAGE_SIZE);
+    if (page > pages - 1) {
+      page = pages - 1;
+      ({ rows } = kv.queryPage(view, page));
+    }
+
+    const title = view.search ? `🔎 KV search: ${view.search}` : '🗂️ KV entries';
+    const embed = new EmbedBuilder()
+      .setTitle(title.slice(0, 256))
+      .setDescription(rows.map(r => `**${r.key}**: ${preview(r.value, 300)}`).join('\n').slice(0, 4000))
+      .setFooter({
+        text: [
+          `Page ${page + 1}/${pages}`,
+          `${total} entr${total === 1 ? 'y' : 'ies'}`,
+          view.prefix ? `prefix "${view.prefix}"` : null,
+          `sorted by ${KV_SORTS[view.sort].label}`
+        ].filter(Boolean).join(' · ')
+      });
+
+    const sortCycle = view.search ? ['relevance', 'name', 'updated'] : ['name', 'updated'];
+    const nextSort = sortCycle[(sortCycle.indexOf(view.sort) + 1) % sortCycle.length];
+    const nav = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`kvlist:${token}:${page - 1}`).setLabel('◀ Prev')
+        .setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId(`kvlist:${token}:${page + 1}`).setLabel('Next ▶')
+        .setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+      new ButtonBuilder().setCustomId(`kvlist:${token}:sort:${nextSort}`).setLabel(`Sort by ${KV_SORTS[nextSort].label}`)
+        .setStyle(ButtonStyle.Primary)
+    );
+    return { content: '', embeds: [embed], components: [nav] };
+  }
+
+  function renderHistory(guildId, key) {
+    const rows = kv.history(guildId, key, HISTORY_LIMIT);
+    if (!rows.length) return `No history for **${key}**.`;
+    const lines = rows.map(h => {
+      const what = h.value === null ? '_deleted_' : preview(h.value);
+      return `\`v${h.version}\` ${h.action} by <@${h.author_id}> <t:${unix(h.created_at)}:R> — ${what}`;
+    });
+    return `📜 History of **${key}** (newest first)\n${lines.join('\n')}`.slice(0, 1900);
+  }
+
+  function renderTrash(guildId) {
+    kv.purgeExpiredTrash();
+    const rows = kv.trash(guildId);
+    if (!rows.length) return '🗑️ Trash is empty.';
+    const lines = rows.map(h => {
+      const purgeAt = DateTime.fromISO(h.created_at).plus({ days: kv.trashRetentionDays });
+      return `• **${h.key}** — deleted by <@${h.author_id}> <t:${unix(h.created_at)}:R>, purged <t:${Math.floor(purgeAt.toSeconds())}:R>`;
+    });
+    return `🗑️ Deleted keys (restore with \`${settings.prefix(guildId)}restore <key>\`)\n${lines.join('\n')}`.slice(0, 1900);
+  }
+
+  function renderKvPermissions(guildId) {
+    const perms = kv.permissions(guildId);
+    const patterns = kv.protectedPatterns(guildId).map(p => `\`${p}\``);
+    return [
+      '🔐 KV permissions',
+      `• Writers: ${perms.writer_role_id ? `<@&${perms.writer_role_id}>` : 'everyone'}`,
+      `• Moderators: Manage Messages${perms.mod_role_id ? ` or <@&${perms.mod_role_id}>` : ''}`,
+      `• Keys locked to their author: ${perms.lock_to_author ? 'yes' : 'no'}`,
+      `• Protected namespaces: ${patterns.length ? patterns.join(', ') : 'none'}`
+    ].join('\n');
+  }
+
+  function renderGuildSettings(guildId) {
+    const guild = settings.guild(guildId);
+    const { defaults } = settings;
+    const scope = settings.conversationScope(guildId);
+    const quotas = settings.quotas(guildId);
+    const base = quotas.find(q => q.role_id === '');
+    const channels = settings.lunaChannels(guildId);
+    const byMode = (mode) => channels.filter(c => c.mode === mode).map(c => `<#${c.channel_id}>`).join(', ');
+    const orDefault = (value, fallback) => (value == null || value === '' ? `${fallback} (default)` : value);
+    const quotaLabel = (n) => (n === 0 ? 'unlimited' : `**${n}** requests`);
+    const memory = guild.use_server_memory == null
+      ? 'default'
+      : (guild.use_server_memory ? 'on' : 'off');
+
+    const lines = [
+      '**Luna settings for this server**',
+      `• Luna channels: ${byMode('allow') ? `only ${byMode('allow')}` : 'everywhere'}${byMode('block') ? `, never in ${byMode('block')}` : ''}`,
+      `• Command prefix: \`${orDefault(guild.prefix, defaults.prefix)}\``,
+      `• Default timezone: ${orDefault(guild.default_tz, defaults.defaultTz)}`,
+      `• Model: ${orDefault(guild.model, process.env.LUNA_MODEL || 'server default')}`,
+      `• Server memory: ${memory}`,
+      `• Persona: ${guild.persona ? preview(guild.persona, 120) : 'none'}`,
+      `• Conversation scope: \`${scope}\` — ${SCOPE_LABELS[scope]}`,
+      `• Keys hidden from Luna: ${kv.aiExcluded(guildId).map(p => `\`${p}\``).join(', ') || 'none'}`,
+      `• Daily quota per member: ${quotaLabel(base?.daily_limit ?? defaults.dailyQuota)}${base ? '' : ' (default)'}`,
+      `• Mod-log channel: ${guild.mod_log_channel_id ? `<#${guild.mod_log_channel_id}>` : 'off'} (\`/botadmin modlog\`)`
+    ];
+    for (const q of quotas.filter(q => q.role_id)) lines.push(`  ◦ <@&${q.role_id}>: ${quotaLabel(q.daily_limit)}`);
+    return lines.join('\n');
+  }
+
+  return {
+    openKvView,
+    // the live listing behind a token, or undefined
+    kvView: (token) => kvViews.get(token),
+    renderKvPage,
+    renderHistory,
+    renderTrash,
+    renderKvPermissions,
+    renderGuildSettings
+  };
+}
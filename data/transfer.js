@@ -0,0 +1,157 @@
+/**
+ * Export files for moving a guild's data between bot instances.
+ * - buildExport: versioned JSON document (KV entries, plus settings and reminders for admin exports)
+ * - kvToCSV: KV entries as CSV (key,value,author_id,updated_at)
+ * - parseImport: JSON or CSV file contents -> { version, guildId, kv, settings, reminders, warnings }
+ * - planKvImport: which keys an import creates, updates, leaves alone or skips
+ *
+ * `version` only goes up when a field changes meaning. Files from a newer version are
+ * still read; fields this version doesn't know are ignored and reported as a warning.
+ */
+
+export const EXPORT_FORMAT = 'neonmoon-export';
+export const EXPORT_VERSION = 1;
+export const CONFLICT_MODES = ['merge', 'overwrite', 'skip'];
+
+const MAX_KEY_LENGTH = 100;   // same limit as /kv set
+const CSV_COLUMNS = ['key', 'value', 'author_id', 'updated_at'];
+
+/** Sections that are null are left out, so a KV-only export can't wipe settings on import. */
+export function buildExport({ guildId, kv, settings = null, reminders = null, now = new Date() }) {
+  const doc = { format: EXPORT_FORMAT, version: EXPORT_VERSION, guild_id: guildId, exported_at: now.toISOString(), kv };
+  if (settings) doc.settings = settings;
+  if (reminders) doc.reminders = reminders;
+  return doc;
+}
+
+function csvField(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function kvToCSV(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const e of entries) lines.push(CSV_COLUMNS.map(c => csvField(e[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('The CSV file ends inside a quoted field.');
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(f => f !== ''));
+}
+
+function kvFromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  const cols = (header ?? []).map(h => h.trim().toLowerCase());
+  if (!cols.includes('key') || !cols.includes('value')) {
+    throw new Error('The CSV file needs a header row with at least `key` and `value` columns.');
+  }
+  return rows.map(r => Object.fromEntries(cols.map((c, i) => [c, r[i]])));
+}
+
+// Keeps the last entry for a repeated key and drops entries that couldn't have come from /kv set.
+function cleanKv(entries, warnings) {
+  if (!Array.isArray(entries)) throw new Error('`kv` must be a list of entries.');
+  const byKey = new Map();
+  let invalid = 0;
+  for (const e of entries) {
+    const key = typeof e?.key === 'string' ? e.key.trim() : '';
+    if (!key || key.length > MAX_KEY_LENGTH || typeof e.value !== 'string') {
+      invalid++;
+      continue;
+    }
+    if (byKey.has(key)) warnings.push(`\`${key}\` appears more than once; the last value is used.`);
+    const updatedAt = e.updated_at && !Number.isNaN(Date.parse(e.updated_at)) ? e.updated_at : null;
+    byKey.set(key, { key, value: e.value, author_id: e.author_id || null, updated_at: updatedAt });
+  }
+  if (invalid) warnings.push(`${invalid} entr${invalid === 1 ? 'y was' : 'ies were'} skipped (missing key or value, or key over ${MAX_KEY_LENGTH} characters).`);
+  return [...byKey.values()];
+}
+
+/**
+ * Reads an export file. CSV (by extension, or when the text isn't JSON) holds KV entries only.
+ * Throws an Error with a user-facing message when the file can't be used.
+ */
+export function parseImport(text, fileName = '') {
+  const warnings = [];
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const looksJson = /^\s*[{[]/.test(src) && !/\.csv$/i.test(fileName);
+  if (!looksJson) {
+    return { version: EXPORT_VERSION, guildId: null, kv: cleanKv(kvFromCSV(src), warnings), settings: null, reminders: null, warnings };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(src);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON (${err.message}).`);
+  }
+  // a bare list of { key, value } is accepted too, e.g. from other tools
+  if (Array.isArray(doc)) doc = { format: EXPORT_FORMAT, version: EXPORT_VERSION, kv: doc };
+  if (doc?.format !== EXPORT_FORMAT || !Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error('This is not an export from this bot.');
+  }
+  if (doc.version > EXPORT_VERSION) {
+    warnings.push(`The file is from a newer version of the bot (format v${doc.version}); fields this version doesn't know were ignored.`);
+  }
+  if (doc.settings != null && (typeof doc.settings !== 'object' || Array.isArray(doc.settings))) {
+    throw new Error('`settings` must be an object.');
+  }
+  if (doc.reminders != null && !Array.isArray(doc.reminders)) throw new Error('`reminders` must be a list.');
+
+  return {
+    version: doc.version,
+    guildId: doc.guild_id ?? null,
+    kv: cleanKv(doc.kv ?? [], warnings),
+    settings: doc.settings ?? null,
+    reminders: doc.reminders ?? null,
+    warnings
+  };
+}
+
+/**
+ * `existing`: Map of key -> { value, updated_at } already in the store.
+ * - overwrite: the file wins every conflict
+ * - merge: the more recently updated side wins; entries without a timestamp never replace a value
+ * - skip: existing keys are never touched
+ * Keys only in the store are always kept. Returns { create, update, unchanged, skipped }.
+ */
+export function planKvImport(existing, entries, mode = 'merge') {
+  const plan = { create: [], update: [], unchanged: [], skipped: [] };
+  for (const e of entries) {
+    const cur = existing.get(e.key);
+    if (!cur) plan.create.push(e);
+    else if (cur.value === e.value) plan.unchanged.push(e.key);
+    else if (mode === 'overwrite') plan.update.push(e);
+    else if (mode === 'merge' && e.updated_at && Date.parse(e.updated_at) > Date.parse(cur.updated_at)) plan.update.push(e);
+    else plan.skipped.push(e.key);
+  }
+  return plan;
+}
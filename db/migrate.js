@@ -0,0 +1,75 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { MIGRATIONS } from './migrations.js';
+
+/**
+ * Versioned schema migrations for kv.db.
+ * - applied versions are recorded in `schema_migrations`
+ * - pending migrations run in version order inside one transaction: all or nothing
+ * - a database at a newer version than this build knows is refused, so an old build
+ *   can't write into a schema it doesn't understand
+ * - before migrating an existing database a copy is written to `backupDir`; the newest
+ *   `keepBackups` copies are kept (0 keeps them all)
+ */
+
+export function schemaVersion(db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `).run();
+  return db.prepare(`SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations`).get().v;
+}
+
+// A database that has never been written to has nothing worth backing up.
+function isEmpty(db) {
+  return !db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name != 'schema_migrations' LIMIT 1`).get();
+}
+
+// Newest first by modification time; `keep` 0 keeps every backup.
+function pruneBackups(dir, prefix, keep) {
+  if (!keep) return;
+  const files = fs.readdirSync(dir)
+    .filter(f => f.startsWith(prefix) && f.endsWith('.bak'))
+    .map(f => ({ f, at: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.at - a.at || b.f.localeCompare(a.f));
+  for (const { f } of files.slice(keep)) fs.rmSync(path.join(dir, f));
+}
+
+/**
+ * Brings `db` up to the latest migration. Returns { from, to, applied, backup },
+ * where `backup` is the path of the copy taken first (null when nothing ran, the
+ * database was new, or it lives in memory).
+ */
+export async function migrate(db, { migrations = MIGRATIONS, backupDir, keepBackups = 5, now = new Date() } = {}) {
+  const latest = migrations.reduce((max, m) => Math.max(max, m.version), 0);
+  const from = schemaVersion(db);
+  if (from > latest) {
+    throw new Error(`[migrate] ${db.name} is at schema version ${from}, but this build only knows up to ${latest}; ` +
+      'run a newer release of the bot or restore a backup');
+  }
+
+  const pending = migrations.filter(m => m.version > from).sort((a, b) => a.version - b.version);
+  if (!pending.length) return { from, to: from, applied: [], backup: null };
+
+  let backup = null;
+  if (!db.memory && !isEmpty(db)) {
+    const dir = backupDir ?? path.join(path.dirname(db.name), 'backups');
+    const prefix = `${path.basename(db.name)}-v${from}-`;
+    fs.mkdirSync(dir, { recursive: true });
+    backup = path.join(dir, `${prefix}${now.toISOString().replace(/[:.]/g, '-')}.bak`);
+    await db.backup(backup);
+    pruneBackups(dir, `${path.basename(db.name)}-v`, keepBackups);
+  }
+
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`);
+  db.transaction(() => {
+    for (const m of pending) {
+      m.up(db);
+      record.run(m.version, m.name, now.toISOString());
+    }
+  })();
+  return { from, to: pending.at(-1).version, applied: pending.map(m => m.version), backup };
+}
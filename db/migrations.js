@@ -0,0 +1,209 @@
+/**
+ * Schema history of kv.db, oldest first; run by db/migrate.js on boot.
+ * - never edit a migration that has shipped; add a new one with the next version
+ * - `up(db)` runs inside the migration transaction, so it must not open its own
+ *
+ * Version 1 is everything that existed before migrations were tracked. Its statements
+ * are idempotent, so databases created by older releases are brought up to date by it too.
+ */
+
+// Adds a column unless the table already has it (only needed by the baseline).
+function ensureColumn(db, table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`).run();
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    up(db) {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS kv (
+          guild_id TEXT NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          author_id TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (guild_id, key)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS users (
+          user_id TEXT PRIMARY KEY,
+          tz TEXT NOT NULL
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          channel_id TEXT NOT NULL,
+          guild_id TEXT,
+          text TEXT NOT NULL,
+          run_at_iso TEXT NOT NULL, -- stored in UTC
+          delivered INTEGER NOT NULL DEFAULT 0,
+          created_at_iso TEXT NOT NULL
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS reminder_attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          reminder_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          data BLOB NOT NULL -- the file itself; Discord's attachment URLs expire
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS kv_settings (
+          guild_id TEXT PRIMARY KEY,
+          writer_role_id TEXT,                          -- NULL = everyone may write
+          mod_role_id TEXT,                             -- in addition to Manage Messages
+          lock_to_author INTEGER NOT NULL DEFAULT 1
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS kv_protected (
+          guild_id TEXT NOT NULL,
+          pattern TEXT NOT NULL,                        -- e.g. "rules.*"; only moderators may write matching keys
+          PRIMARY KEY (guild_id, pattern)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS kv_ai_excluded (
+          guild_id TEXT NOT NULL,
+          pattern TEXT NOT NULL,                        -- matching keys are never shown to Luna
+          PRIMARY KEY (guild_id, pattern)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS kv_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT NOT NULL,
+          key TEXT NOT NULL,
+          version INTEGER NOT NULL,                     -- per (guild_id, key), starts at 1
+          value TEXT,                                   -- NULL for deletes
+          author_id TEXT NOT NULL,                      -- who made this change
+          action TEXT NOT NULL,                         -- set | delete | revert | restore | import
+          created_at TEXT NOT NULL,
+          UNIQUE (guild_id, key, version)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS guild_settings (
+          guild_id TEXT PRIMARY KEY,
+          conversation_scope TEXT                       -- guild | channel | thread; NULL = DEFAULT_SCOPE
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS luna_channels (
+          guild_id TEXT NOT NULL,
+          channel_id TEXT NOT NULL,                     -- threads follow their parent channel's rule
+          mode TEXT NOT NULL,                           -- allow | block; any allow entry makes the list exclusive
+          PRIMARY KEY (guild_id, channel_id)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS luna_quotas (
+          guild_id TEXT NOT NULL,
+          role_id TEXT NOT NULL,                        -- '' = everyone in the guild
+          daily_limit INTEGER NOT NULL,                 -- 0 = unlimited
+          PRIMARY KEY (guild_id, role_id)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS luna_usage (
+          guild_id TEXT NOT NULL,                       -- DM-<user_id> outside servers
+          user_id TEXT NOT NULL,
+          day TEXT NOT NULL,                            -- UTC yyyy-mm-dd
+          requests INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (guild_id, user_id, day)
+        )
+      `).run();
+
+      // Full-text index over keys and values; kept in sync with kv by triggers.
+      db.prepare(`CREATE VIRTUAL TABLE IF NOT EXISTS kv_fts USING fts5(key, value, content='kv', content_rowid='rowid')`).run();
+      db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS kv_fts_ai AFTER INSERT ON kv BEGIN
+          INSERT INTO kv_fts(rowid, key, value) VALUES (new.rowid, new.key, new.value);
+        END
+      `).run();
+      db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS kv_fts_ad AFTER DELETE ON kv BEGIN
+          INSERT INTO kv_fts(kv_fts, rowid, key, value) VALUES ('delete', old.rowid, old.key, old.value);
+        END
+      `).run();
+      db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS kv_fts_au AFTER UPDATE ON kv BEGIN
+          INSERT INTO kv_fts(kv_fts, rowid, key, value) VALUES ('delete', old.rowid, old.key, old.value);
+          INSERT INTO kv_fts(rowid, key, value) VALUES (new.rowid, new.key, new.value);
+        END
+      `).run();
+
+      // columns added before migrations were tracked; older kv.db files get them here
+      ensureColumn(db, 'reminders', 'recurrence', 'TEXT');     // JSON rule from time/recurrence.js, NULL = one-shot
+      ensureColumn(db, 'reminders', 'next_run_iso', 'TEXT');   // next due time in UTC; run_at_iso keeps the first run
+      ensureColumn(db, 'reminders', 'claimed_at', 'TEXT');     // set while a delivery is in flight
+      ensureColumn(db, 'reminders', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+      ensureColumn(db, 'reminders', 'retry_at_iso', 'TEXT');   // backoff after a failed send; next_run_iso keeps the due time
+      ensureColumn(db, 'reminders', 'last_error', 'TEXT');
+      ensureColumn(db, 'reminders', 'target_type', 'TEXT');    // 'user' | 'role'; NULL = the creator (user_id)
+      ensureColumn(db, 'reminders', 'target_id', 'TEXT');
+      ensureColumn(db, 'reminders', 'delivery', 'TEXT');       // 'dm' | NULL = post in channel_id
+      ensureColumn(db, 'reminders', 'context_link', 'TEXT');   // message link shown with the reminder
+      // per-guild overrides; NULL falls back to the matching environment variable
+      ensureColumn(db, 'guild_settings', 'prefix', 'TEXT');
+      ensureColumn(db, 'guild_settings', 'default_tz', 'TEXT');
+      ensureColumn(db, 'guild_settings', 'use_server_memory', 'INTEGER');
+      ensureColumn(db, 'guild_settings', 'model', 'TEXT');
+      ensureColumn(db, 'guild_settings', 'persona', 'TEXT');        // extra system-prompt text sent as metadata
+      db.prepare(`UPDATE reminders SET next_run_iso=run_at_iso WHERE next_run_iso IS NULL`).run();
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx_reminders_next ON reminders (delivered, next_run_iso)`).run();
+    }
+  },
+  {
+    version: 2,
+    name: 'scheduled luna jobs',
+    up(db) {
+      // a job runs a Luna prompt in channel_id instead of posting `text` (see llm/jobs.js)
+      db.prepare(`ALTER TABLE reminders ADD COLUMN job TEXT`).run();           // 'prompt' | 'digest' | 'summarize'; NULL = plain reminder
+      db.prepare(`ALTER TABLE reminders ADD COLUMN job_options TEXT`).run();   // JSON, e.g. { "messages": 50 }
+    }
+  },
+  {
+    version: 3,
+    name: 'audit log',
+    up(db) {
+      // what people and the bot did, for /botadmin and the mod-log channel (see store/audit.js)
+      db.prepare(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT,                                -- DM-<user_id> for private KV stores, NULL outside any guild
+          created_at TEXT NOT NULL,                     -- UTC ISO
+          category TEXT NOT NULL,                       -- kv | reminder | luna | permission
+          action TEXT NOT NULL,                         -- e.g. set, delete, create, deliver, fail, request
+          actor_id TEXT,                                -- who did it (for reminders and Luna: whose it is)
+          subject TEXT,                                 -- key, reminder #id, channel id or command
+          outcome TEXT NOT NULL DEFAULT 'ok',           -- ok | error | stopped | denied
+          provider TEXT,                                -- Luna requests: lunacore | ollama
+          latency_ms INTEGER,                           -- Luna requests: until the reply was complete
+          detail TEXT                                   -- error message, denial reason or a short note
+        )
+      `).run();
+      db.prepare(`CREATE INDEX idx_audit_guild ON audit_log (guild_id, created_at)`).run();
+      db.prepare(`CREATE INDEX idx_audit_created ON audit_log (created_at)`).run();
+      db.prepare(`ALTER TABLE guild_settings ADD COLUMN mod_log_channel_id TEXT`).run();   // mirror of the audit log; NULL = off
+    }
+  }
+];
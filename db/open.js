@@ -0,0 +1,15 @@
+import Database from 'better-sqlite3';
+import { migrate } from './migrate.js';
+
+/**
+ * Opens kv.db ready for use: migrated to the latest schema (see db/migrate.js) and with
+ * a freshly rebuilt full-text index. ':memory:' gives a throwaway database, e.g. for tests.
+ * Returns { db, migration }.
+ */
+export async function openDatabase(filename, { backupDir, keepBackups } = {}) {
+  const db = new Database(filename);
+  const migration = await migrate(db, { backupDir, keepBackups });
+  // kv's implicit rowids can change on VACUUM, so rebuild the index from scratch on boot
+  db.prepare(`INSERT INTO kv_fts(kv_fts) VALUES ('rebuild')`).run();
+  return { db, migration };
+}
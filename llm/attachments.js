@@ -0,0 +1,112 @@
+/**
+ * Files attached to a question for Luna.
+ * - readAttachments: downloads a message's images (as base64, for multimodal models) and text files
+ * - withAttachedFiles: the question with the text files appended as fenced blocks
+ * - withImages: a chat history whose last user turn carries the images, as Ollama's /api/chat wants them
+ * - ATTACHMENT_QUESTION: what Luna is asked when a message has attachments but no text
+ *
+ * Limits: at most LUNA_MAX_IMAGES images of up to LUNA_IMAGE_MAX_MB each; text files are read up to
+ * LUNA_ATTACHMENT_MAX_KB and all of them together cut at LUNA_ATTACHMENT_CHARS. Anything else is
+ * listed in `skipped` with the reason, so the reply can say what Luna didn't see.
+ */
+
+const MAX_IMAGES = Number(process.env.LUNA_MAX_IMAGES ?? 4);
+const IMAGE_MAX_BYTES = Number(process.env.LUNA_IMAGE_MAX_MB || 8) * 1024 * 1024;
+const TEXT_MAX_BYTES = Number(process.env.LUNA_ATTACHMENT_MAX_KB || 256) * 1024;
+const TEXT_MAX_CHARS = Number(process.env.LUNA_ATTACHMENT_CHARS || 12_000);
+
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp']);
+// text and source files worth reading; the extension doubles as the code fence language
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'log', 'csv', 'tsv', 'json', 'jsonl', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'env',
+  'xml', 'html', 'css', 'scss', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt',
+  'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'swift', 'lua', 'sh', 'bash', 'ps1', 'sql', 'diff', 'patch'
+]);
+
+export const ATTACHMENT_QUESTION = 'What can you tell me about the attached file(s)?';
+
+const extension = (name) => (String(name).match(/\.([a-z0-9]+)$/i)?.[1] ?? '').toLowerCase();
+
+function kindOf(attachment) {
+  const type = String(attachment.contentType ?? '').split(';')[0].trim().toLowerCase();
+  const ext = extension(attachment.name);
+  if (IMAGE_TYPES.has(type) || (!type.startsWith('image/') && IMAGE_EXTENSIONS.has(ext))) return 'image';
+  if (TEXT_EXTENSIONS.has(ext) || type.startsWith('text/') || type === 'application/json') return 'text';
+  return null;
+}
+
+async function download(attachment) {
+  const res = await fetch(attachment.url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Reads the attachments of `message` (a discord.js Message, or anything with an iterable `attachments`
+ * of { name, url, size, contentType }). Returns { images: [base64], files: [{ name, content, truncated }],
+ * skipped: [{ name, reason }] }; download failures are skipped, not thrown.
+ */
+export async function readAttachments(message, {
+  maxImages = MAX_IMAGES,
+  imageMaxBytes = IMAGE_MAX_BYTES,
+  textMaxBytes = TEXT_MAX_BYTES,
+  textMaxChars = TEXT_MAX_CHARS
+} = {}) {
+  const result = { images: [], files: [], skipped: [] };
+  let chars = 0;
+  for (const a of message?.attachments?.values?.() ?? []) {
+    const kind = kindOf(a);
+    const skip = (reason) => result.skipped.push({ name: a.name, reason });
+    if (!kind) {
+      skip('not an image or text file');
+      continue;
+    }
+    if (kind === 'image' && result.images.length >= maxImages) {
+      skip(`only ${maxImages} image${maxImages === 1 ? '' : 's'} per question`);
+      continue;
+    }
+    const maxBytes = kind === 'image' ? imageMaxBytes : textMaxBytes;
+    if (a.size > maxBytes) {
+      skip(`larger than ${maxBytes >= 1024 * 1024 ? `${maxBytes / 1024 / 1024} MB` : `${Math.round(maxBytes / 1024)} KB`}`);
+      continue;
+    }
+    if (kind === 'text' && chars >= textMaxChars) {
+      skip('too much text attached');
+      continue;
+    }
+
+    let data;
+    try {
+      data = await download(a);
+    } catch (err) {
+      skip(`download failed (${err?.message || err})`);
+      continue;
+    }
+    if (kind === 'image') {
+      result.images.push(data.toString('base64'));
+      continue;
+    }
+    const text = data.toString('utf8');
+    const content = text.slice(0, textMaxChars - chars);
+    chars += content.length;
+    result.files.push({ name: a.name, content, truncated: content.length < text.length });
+  }
+  return result;
+}
+
+export function withAttachedFiles(text, files = []) {
+  const blocks = files.map(f => {
+    const fence = f.content.includes('```') ? '~~~' : '```';
+    const note = f.truncated ? ' (cut off, the file is longer)' : '';
+    return `Attached file \`${f.name}\`${note}:\n${fence}${extension(f.name)}\n${f.content}\n${fence}`;
+  });
+  return [text, ...blocks].filter(Boolean).join('\n\n');
+}
+
+export function withImages(messages, images) {
+  if (!images?.length) return messages;
+  const last = messages.findLastIndex(m => m.role === 'user');
+  if (last === -1) return messages;
+  return messages.map((m, i) => (i === last ? { ...m, images } : m));
+}
@@ -0,0 +1,93 @@
+/**
+ * Conversation context for Luna requests.
+ * - conversationId: server-side memory key for a guild, channel or thread, depending on scope
+ * - replyChainMessages: chat history built from the Discord reply chain above a message
+ * - isLunaAnswer: whether a message is the end of a Luna answer (carries its Stop/Regenerate buttons)
+ *
+ * Luna's long replies are posted as a chain of replies (llm/render.js), so walking
+ * `message.reference` upward visits every part of an answer; consecutive parts are
+ * merged back into one assistant turn.
+ */
+
+export const CONVERSATION_SCOPES = ['guild', 'channel', 'thread'];
+export const DEFAULT_SCOPE = 'thread';
+
+const MAX_CHARS = Number(process.env.LUNA_CONTEXT_CHARS || 6000);
+const MAX_DEPTH = Number(process.env.LUNA_CONTEXT_DEPTH || 20);
+
+// /luna echoes the prompt as "**@user**: question" from the bot account
+const PROMPT_ECHO = /^\*\*<@!?(\d+)>\*\*: /;
+
+/**
+ * `guild` keeps the pre-scoping id (just the guild id) so existing server memory carries over.
+ * `channel` shares one conversation between a channel and its threads; `thread` gives each thread its own.
+ */
+export function conversationId({ guildId, channel, userId, scope = DEFAULT_SCOPE }) {
+  if (!guildId) return `DM-${userId}`;
+  if (scope === 'guild' || !channel) return guildId;
+  const id = scope === 'channel' && channel.isThread?.() ? channel.parentId : channel.id;
+  return `${guildId}:${id}`;
+}
+
+/** Strips bot mentions and Luna's own status lines (-# subtext) from a message. */
+export function cleanContent(content, botId) {
+  return String(content ?? '')
+    .replace(new RegExp(`<@!?${botId}>`, 'g'), '')
+    .split('\n')
+    .filter(line => !line.startsWith('-# '))
+    .join('\n')
+    .replace(/^[,:\-\s]+/, '')
+    .trim();
+}
+
+/**
+ * The last part of every Luna answer keeps its `luna:` buttons after the run expires, which tells it
+ * apart from the bot's other messages (reminders, KV listings) that a reply shouldn't send to Luna.
+ */
+export function isLunaAnswer(message, botId) {
+  if (message?.author?.id !== botId) return false;
+  return (message.components ?? []).some(row => row.components?.some(c => c.customId?.startsWith('luna:')));
+}
+
+function toTurn(message, botId) {
+  if (message.author?.id !== botId) {
+    return { role: 'user', content: cleanContent(message.content, botId) };
+  }
+  const echo = message.content?.match(PROMPT_ECHO);
+  if (echo) return { role: 'user', content: message.content.slice(echo[0].length).trim() };
+  const content = cleanContent(message.content, botId);
+  return { role: 'assistant', content: content === '…' ? '' : content };
+}
+
+/**
+ * Walks the reply chain above `message` (not including it) and returns chat turns, oldest first.
+ * Stops at the depth limit, when the next turn would exceed the character budget,
+ * or when a referenced message can't be fetched (deleted, other channel).
+ */
+export async function replyChainMessages(message, { botId, maxChars = MAX_CHARS, maxDepth = MAX_DEPTH } = {}) {
+  const turns = [];
+  let used = 0;
+  let current = message;
+
+  for (let depth = 0; depth < maxDepth; depth++) {
+    const refId = current.reference?.messageId;
+    if (!refId || (current.reference.channelId && current.reference.channelId !== current.channelId)) break;
+    try {
+      current = await current.channel.messages.fetch(refId);
+    } catch {
+      break;
+    }
+
+    const turn = toTurn(current, botId);
+    if (!turn.content) continue;
+    const newest = turns[0];
+    // parts of one long reply (or several prompts in a row) become a single turn
+    const merged = newest?.role === turn.role;
+    const cost = turn.content.length + (merged ? 2 : 0);
+    if (used + cost > maxChars) break;
+    used += cost;
+    if (merged) newest.content = `${turn.content}\n\n${newest.content}`;
+    else turns.unshift(turn);
+  }
+  return turns;
+}
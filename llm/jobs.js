@@ -0,0 +1,183 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Scheduled Luna jobs and /summarize: Luna answers posted into a channel without anyone asking there.
+ * - run: the job runner handed to the reminders scheduler (reminders/service.js) for rows with a `job`
+ *   - prompt: asks Luna the row's text, e.g. "write today's standup checklist"
+ *   - digest: what changed in the guild's KV entries over the last `days` days (job_options)
+ *   - summarize: the last `messages` messages of the channel (job_options)
+ * - summarize: the same summary on demand, for /summarize
+ * - jobLabel: one line describing a job, for confirmations and /reminders list
+ *
+ * Every job posts a header, then streams the answer as its reply with the usual Stop/Regenerate
+ * buttons for the job's owner. `run` resolves once the header is out, so a slow answer never holds up
+ * other reminders; `idle` waits for the answers still streaming.
+ *
+ * Jobs are admitted like any request from their owner (llm/requests.js), so they count against the
+ * daily quota and share the burst and concurrency limits. Over a limit the run throws and the
+ * scheduler retries it; with the quota used up it resolves to { skipped } and this run is dropped.
+ */
+
+// transcript handed to Luna for a summary; the oldest messages are dropped beyond this
+const LUNA_SUMMARY_CHARS = Number(process.env.LUNA_SUMMARY_CHARS || 12_000);
+// KV changes listed in one digest, and the length each value is cut to
+const LUNA_DIGEST_MAX_CHANGES = Number(process.env.LUNA_DIGEST_MAX_CHANGES || 200);
+const DIGEST_VALUE_CHARS = 200;
+
+export const DEFAULT_DIGEST_DAYS = 7;
+export const DEFAULT_SUMMARY_MESSAGES = 50;
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+export function jobOptions(r) {
+  return r.job_options ? JSON.parse(r.job_options) : {};
+}
+
+export function jobLabel(r) {
+  const options = jobOptions(r);
+  if (r.job === 'digest') {
+    const days = options.days ?? DEFAULT_DIGEST_DAYS;
+    return `KV digest of the last ${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (r.job === 'summarize') return `Summary of the last ${options.messages ?? DEFAULT_SUMMARY_MESSAGES} messages`;
+  return `Luna prompt: ${r.text}`;
+}
+
+function formatError(e, text) {
+  return text
+    ? `${text}\n\n-# ⚠️ Reply interrupted.`
+    : 'Luna API error: ' + (e?.message || 'unknown');
+}
+
+// "[2026-03-09 14:00] ana: text" lines, oldest first, keeping the newest that fit in `maxChars`.
+export function channelTranscript(messages, { tz = 'UTC', maxChars = LUNA_SUMMARY_CHARS } = {}) {
+  const lines = [];
+  let chars = 0;
+  for (const m of messages) {
+    const files = [...(m.attachments?.values?.() ?? [])].map(a => `[file: ${a.name}]`);
+    const text = [m.content, ...files].filter(Boolean).join(' ');
+    if (!text) continue;
+    const at = DateTime.fromMillis(m.createdTimestamp ?? Date.now(), { zone: tz }).toFormat('yyyy-LL-dd HH:mm');
+    const line = `[${at}] ${m.author?.username ?? 'unknown'}: ${text}`;
+    if (chars + line.length + 1 > maxChars) break;
+    lines.unshift(line);
+    chars += line.length + 1;
+  }
+  return lines.join('\n');
+}
+
+function digestQuestion(changes, days) {
+  const lines = changes.map(c => {
+    const at = c.created_at.slice(0, 16).replace('T', ' ');
+    const value = c.value == null ? '' : `: ${clip(c.value.replace(/\s+/g, ' '), DIGEST_VALUE_CHARS)}`;
+    return `- ${at} ${c.action} \`${c.key}\` by user ${c.author_id}${value}`;
+  });
+  return `Write a short digest of what changed in this server's knowledge base over the last ${days} ` +
+    `day${days === 1 ? '' : 's'}. Group related keys, lead with the most important changes and skip noise.\n\n` +
+    `Changes, oldest first (UTC):\n${lines.join('\n')}`;
+}
+
+function summaryQuestion(transcript) {
+  return 'Summarize this Discord conversation for someone who missed it: the main topics, decisions, ' +
+    `open questions and who is doing what. Keep it short.\n\n${transcript}`;
+}
+
+export function createLunaJobs({ kv, settings, luna, replies }) {
+  const streaming = new Set();
+
+  // The question a job asks, and a notice to post instead when there is nothing to ask about.
+  async function question(r, channel) {
+    const options = jobOptions(r);
+    if (r.job === 'digest') {
+      const days = options.days ?? DEFAULT_DIGEST_DAYS;
+      const since = DateTime.utc().minus({ days }).toISO();
+      const changes = kv.changesSince(r.guild_id, since, LUNA_DIGEST_MAX_CHANGES);
+      if (!changes.length) return { notice: `No KV entries changed in the last ${days} day${days === 1 ? '' : 's'}.` };
+      return { text: digestQuestion(changes, days), private: true };
+    }
+    if (r.job === 'summarize') return summaryOf(channel, options.messages ?? DEFAULT_SUMMARY_MESSAGES, r.user_id, r.guild_id);
+    return { text: r.text };
+  }
+
+  async function summaryOf(channel, count, userId, guildId) {
+    const fetched = await channel.messages.fetch({ limit: count });
+    const transcript = channelTranscript([...fetched.values()], { tz: settings.userTZ(userId, guildId) });
+    if (!transcript) return { notice: 'There are no messages to summarize.' };
+    return { text: summaryQuestion(transcript), private: true };
+  }
+
+  // Posts `header` and streams the answer under it; resolves to { done } (the stream) once the placeholder is up.
+  // Digests and summaries stay out of Luna's server memory, they are about the server, not for it.
+  async function post(channel, { header, ask, user, guild, ownerId, release }) {
+    if (ask.notice) {
+      await channel.send({ content: `${header}\n${ask.notice}`, allowedMentions: { parse: [] } });
+      release();
+      return { done: Promise.resolve() };
+    }
+    let done;
+    try {
+      const head = await channel.send({ content: header, allowedMentions: { parse: [] } });
+      const out = await head.reply({ content: '…' });
+      const args = luna.args({ user, guild, channel, text: ask.text });
+      if (ask.private) args.useServerMemory = false;
+      done = replies.start(out, { ownerId, args, formatError, release });
+    } finally {
+      if (!done) release();
+    }
+    streaming.add(done);
+    done.finally(() => streaming.delete(done)).catch(() => {});
+    return { done };
+  }
+
+  /**
+   * Runs a scheduled job in `channel` (already fetched and text-based); throws if nothing could be posted.
+   * Resolves to { skipped: reason } when the job may not run this time.
+   */
+  async function run(r, channel) {
+    if (!settings.lunaAllowedIn(r.guild_id, channel)) {
+      console.warn(`Skipping Luna job #${r.id}: Luna is turned off in channel ${channel.id}`);
+      return { skipped: 'Luna is turned off in the channel' };
+    }
+    const member = await channel.guild?.members?.fetch(r.user_id).catch(() => null);
+    const gate = luna.admit({ userId: r.user_id, guildId: r.guild_id, channelId: channel.id, member });
+    if (!gate.ok && gate.kind === 'quota') return { skipped: 'the owner\'s daily Luna quota is used up' };
+    if (!gate.ok) throw new Error(`[jobs] over the Luna ${gate.kind} limit`);
+
+    let ask;
+    try {
+      ask = await question(r, channel);
+    } catch (err) {
+      gate.release();
+      throw err;
+    }
+    await post(channel, {
+      header: `🤖 **${jobLabel(r)}** — scheduled by <@${r.user_id}> (job \`#${r.id}\`)`,
+      ask,
+      user: { id: r.user_id },
+      guild: channel.guild ?? { id: r.guild_id },
+      ownerId: r.user_id,
+      release: gate.release
+    });
+  }
+
+  /** /summarize: resolves once the summary is written. `release` is the admission's, see llm/requests.js. */
+  async function summarize({ channel, guild, user, count, release }) {
+    const ask = await summaryOf(channel, count, user.id, guild?.id);
+    const { done } = await post(channel, {
+      header: `🤖 **Summary of the last ${count} messages** — asked for by <@${user.id}>`,
+      ask,
+      user,
+      guild,
+      ownerId: user.id,
+      release
+    });
+    await done;
+  }
+
+  return {
+    run,
+    summarize,
+    // resolves once every job answer started so far has finished streaming
+    idle: () => Promise.allSettled([...streaming])
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * In-memory admission control for Luna requests.
+ * - createRateLimiter: token buckets per key scope (user, channel, guild) plus concurrency caps
+ * - parseRate: "5/60" -> { capacity: 5, perMs: 60000 }
+ *
+ * A request is admitted only if every bucket has a token and every concurrency
+ * scope has a free slot; nothing is taken otherwise. Daily quotas live in SQLite
+ * (store/settings.js) because they have to survive restarts; these limits don't.
+ * A bucket that has refilled is the same as no bucket, so full ones are dropped every `sweepMs`
+ * and memory only holds keys that were active recently.
+ */
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/** "capacity/seconds": a burst of `capacity`, refilled evenly over `seconds`. Empty or "0" disables. */
+export function parseRate(spec) {
+  const m = String(spec ?? '').trim().match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!m || Number(m[1]) === 0) return null;
+  return { capacity: Number(m[1]), perMs: Number(m[2]) * 1000 };
+}
+
+/**
+ * `rates`: { scope: { capacity, perMs } | null }, `concurrency`: { scope: maxInFlight | 0 }.
+ * acquire({ user: 'u1', guild: 'g1', ... }) -> { ok: true, release } or { ok: false, scope, kind, retryAfterMs }.
+ * Scopes missing from the keys object are not checked.
+ */
+export function createRateLimiter({ rates = {}, concurrency = {}, now = () => Date.now(), sweepMs = SWEEP_INTERVAL_MS } = {}) {
+  const buckets = new Map();     // "scope:key" -> { scope, tokens, at }
+  const inFlight = new Map();    // "scope:key" -> count
+  let lastSweep = now();
+
+  function refilled(b, t) {
+    const rate = rates[b.scope];
+    return Math.min(rate.capacity, b.tokens + ((t - b.at) / rate.perMs) * rate.capacity);
+  }
+
+  function sweep() {
+    const t = now();
+    if (t - lastSweep < sweepMs) return;
+    lastSweep = t;
+    for (const [id, b] of buckets) {
+      if (refilled(b, t) >= rates[b.scope].capacity) buckets.delete(id);
+    }
+  }
+
+  function bucket(scope, key) {
+    const rate = rates[scope];
+    const id = `${scope}:${key}`;
+    let b = buckets.get(id);
+    if (!b) {
+      b = { scope, tokens: rate.capacity, at: now() };
+      buckets.set(id, b);
+    }
+    const t = now();
+    b.tokens = refilled(b, t);
+    b.at = t;
+    return b;
+  }
+
+  function acquire(keys) {
+    sweep();
+    const scopes = Object.entries(keys).filter(([, key]) => key != null);
+
+    for (const [scope, key] of scopes) {
+      const max = concurrency[scope];
+      if (max && (inFlight.get(`${scope}:${key}`) || 0) >= max) {
+        return { ok: false, scope, kind: 'concurrency', retryAfterMs: null };
+      }
+    }
+    for (const [scope, key] of scopes) {
+      const rate = rates[scope];
+      if (!rate) continue;
+      const b = bucket(scope, key);
+      if (b.tokens < 1) {
+        return { ok: false, scope, kind: 'rate', retryAfterMs: Math.ceil(((1 - b.tokens) / rate.capacity) * rate.perMs) };
+      }
+    }
+
+    const held = [];
+    for (const [scope, key] of scopes) {
+      if (rates[scope]) bucket(scope, key).tokens -= 1;
+      if (concurrency[scope]) {
+        const id = `${scope}:${key}`;
+        inFlight.set(id, (inFlight.get(id) || 0) + 1);
+        held.push(id);
+      }
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      for (const id of held) {
+        const n = (inFlight.get(id) || 1) - 1;
+        if (n > 0) inFlight.set(id, n);
+        else inFlight.delete(id);
+      }
+    };
+    return { ok: true, release };
+  }
+
+  /** Whole requests available right now in a scope's bucket (Infinity if unlimited), and how many are running. */
+  function peek(scope, key) {
+    const b = buckets.get(`${scope}:${key}`);
+    return {
+      available: rates[scope] ? Math.floor(b ? refilled(b, now()) : rates[scope].capacity) : Infinity,
+      capacity: rates[scope]?.capacity ?? Infinity,
+      inFlight: inFlight.get(`${scope}:${key}`) || 0
+    };
+  }
+
+  return {
+    acquire,
+    peek,
+    // buckets currently held in memory
+    size: () => buckets.size
+  };
+}
@@ -1,90 +1,215 @@
-export async function* lunaChatStream({
+import { createSSEParser, readSSE } from './sse.js';
+import { withImages } from './attachments.js';
+
+/**
+ * LunaCore chat client (POST /discord/chat/stream, answered as server-sent events).
+ * - lunaChatEvents: async generator of typed events (below); ends after `done`
+ * - lunaChatStream: just the text deltas, for llm/provider.js; other events go to `onEvent`
+ * - lunaErrorKind: 'auth' | 'rate_limit' | 'upstream' | 'timeout' for an error from either, else null
+ *
+ * Events: { type: 'delta', text } · { type: 'status', text, data } and { type: 'tool', name, data } while the
+ * server works · { type: 'usage', promptTokens, completionTokens, totalTokens } · { type: 'done', metadata }.
+ * Unknown event names are skipped. JSON payloads are parsed; `data` is the raw object.
+ *
+ * When the connection drops mid-answer and the server has sent event ids, the request is repeated with
+ * `Last-Event-ID` (after the server's `retry:` delay) up to `maxResumes` times. Servers without ids get
+ * the old behaviour: the end of the body ends the answer.
+ *
+ * Errors are thrown as Error with `kind` (see lunaErrorKind), `status` for HTTP errors and `retryAfterMs`
+ * for rate limits. An abort through `signal` is rethrown as it is.
+ */
+
+const MAX_RESUMES = Number(process.env.LUNA_STREAM_RESUMES ?? 2);
+const DEFAULT_RETRY_MS = 1000;   // until the server sends `retry:`
+
+const ERROR_KINDS = new Set(['auth', 'rate_limit', 'upstream', 'timeout']);
+
+function lunaError(kind, message, extra = {}) {
+  return Object.assign(new Error(`[LunaCore] ${message}`), { kind, ...extra });
+}
+
+export function lunaErrorKind(err) {
+  return ERROR_KINDS.has(err?.kind) ? err.kind : null;
+}
+
+function kindForStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 408 || status === 504) return 'timeout';
+  return 'upstream';
+}
+
+// Retry-After is either seconds or an HTTP date.
+function retryAfterMs(header) {
+  if (!header) return undefined;
+  const ms = /^\d+$/.test(header.trim()) ? Number(header) * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : undefined;
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// The abort listener goes away with the timer, so resuming often doesn't pile them up on `signal`.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Maps one SSE event to a typed event; `error` events throw, unknown ones return null.
+function typedEvent({ event, data }) {
+  const json = parseJSON(data);
+  switch (event) {
+    case 'message':
+    case 'delta':
+      return data ? { type: 'delta', text: typeof json?.delta === 'string' ? json.delta : data } : null;
+    case 'status':
+      return { type: 'status', text: json?.message ?? json?.status ?? data, data: json };
+    case 'tool':
+      return { type: 'tool', name: json?.name ?? data, data: json };
+    case 'usage':
+      return {
+        type: 'usage',
+        promptTokens: json?.prompt_tokens ?? null,
+        completionTokens: json?.completion_tokens ?? null,
+        totalTokens: json?.total_tokens ?? (json ? (json.prompt_tokens ?? 0) + (json.completion_tokens ?? 0) : null)
+      };
+    case 'done':
+      return { type: 'done', metadata: json && typeof json === 'object' ? json : null };
+    case 'error': {
+      // surfaced to llm/provider.js, which falls back or reports it
+      const status = Number(json?.status ?? json?.code) || undefined;
+      throw lunaError(status ? kindForStatus(status) : 'upstream',
+        `stream error: ${json?.message ?? json?.error ?? (data || 'unknown')}`, { status });
+    }
+    default:
+      return null;
+  }
+}
+
+export async function* lunaChatEvents({
   userId, userName, guildId, guildName, channelId,
   text, messages, model, conversationId, metadata = {},
   timeoutMs = 0,
+  baseUrl,                    // defaults to LUNACORE_BASE_URL
+  signal,                     // optional AbortSignal; aborting stops the request mid-stream
   userTz,                     // NEW: forward user's timezone
-  useServerMemory             // NEW: per-call override
+  useServerMemory,            // NEW: per-call override
+  images,                     // base64 images, sent on the last user message like Ollama's `images`
+  maxResumes = MAX_RESUMES
 } = {}) {
-  const BASE  = process.env.LUNACORE_BASE_URL || 'http://127.0.0.1:8000';
+  const BASE  = baseUrl || process.env.LUNACORE_BASE_URL || 'http://127.0.0.1:8000';
   const KEY   = process.env.LUNA_API_KEY || '';
   const MODEL = process.env.LUNA_MODEL || process.env.OLLAMA_MODEL || 'luna';
   const USE_MEMORY_ENV = (process.env.LUNA_USE_SERVER_MEMORY ?? 'true').toString().toLowerCase() === 'true';
   const USE_MEMORY = typeof useServerMemory === 'boolean' ? useServerMemory : USE_MEMORY_ENV;
 
-  const body = {
+  const body = JSON.stringify({
     model: model || MODEL,
-    messages: (Array.isArray(messages) && messages.length)
+    messages: withImages((Array.isArray(messages) && messages.length)
       ? messages
-      : [{ role: 'user', content: String(text ?? '').trim() }],
+      : [{ role: 'user', content: String(text ?? '').trim() }], images),
     user_id: userId,
     user_name: userName,
-    conversation_id: `${guildId || 'DM'}`,
+    conversation_id: conversationId || `${guildId || 'DM'}`,
     use_server_memory: USE_MEMORY,
     user_tz: userTz,          // NEW
     metadata
-  };
-
-  const controller = new AbortController();
-  let to;
-  if (timeoutMs > 0) to = setTimeout(() => controller.abort(), timeoutMs);
-
-  const res = await fetch(`${BASE}/discord/chat/stream`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(KEY ? { Authorization: `Bearer ${KEY}` } : {})
-    },
-    body: JSON.stringify(body, (k, v) => (v === undefined ? undefined : v)),
-    signal: controller.signal
-  });
-  if (to) clearTimeout(to);
+  }, (k, v) => (v === undefined ? undefined : v));
 
-  if (!res.ok) {
-    const t = await res.text().catch(() => '');
-    throw new Error(`[LunaCore] /discord/chat/stream ${res.status} ${t}`);
-  }
+  // Resolves to { res, detach } once the response headers are in; `timeoutMs` only bounds this part.
+  // `signal` aborts the connection until `detach()` is called, once its body has been read.
+  async function connect(lastEventId) {
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    let timedOut = false;
+    const to = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+    const onAbort = () => controller.abort(signal.reason);
+    const detach = () => signal?.removeEventListener('abort', onAbort);
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-  const reader = res.body.getReader();
-  const decoder = new TextDecoder();
-  let buf = '';
-
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    buf += decoder.decode(value, { stream: true });
-
-    // Split SSE frames by blank line
-    let sep;
-    while ((sep = buf.indexOf('\n\n')) !== -1) {
-      const frame = buf.slice(0, sep);
-      buf = buf.slice(sep + 2);
-
-      // Parse the frame WITHOUT trimming payload spaces
-      let event = 'message';
-      const datas = [];
-
-      for (const rawLine of frame.split(/\r?\n/)) {
-        if (rawLine.startsWith('event:')) {
-          event = rawLine.slice(6).trim();
-        } else if (rawLine.startsWith('data:')) {
-          let payload = rawLine.slice(5);
-          if (payload.startsWith(' ')) payload = payload.slice(1);
-          datas.push(payload);
-        }
-      }
+    let res;
+    try {
+      res = await fetch(`${BASE}/discord/chat/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...(KEY ? { Authorization: `Bearer ${KEY}` } : {}),
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+        },
+        body,
+        signal: controller.signal
+      });
+    } catch (err) {
+      detach();
+      if (signal?.aborted) throw err;
+      if (timedOut) throw lunaError('timeout', `no response within ${timeoutMs} ms`, { cause: err });
+      throw lunaError('upstream', `request failed: ${err?.cause?.code || err?.message || err}`, { cause: err });
+    } finally {
+      clearTimeout(to);
+    }
 
-      const payload = datas.join('\n');
+    if (!res.ok) {
+      const t = await res.text().catch(() => '');
+      detach();
+      throw lunaError(kindForStatus(res.status), `/discord/chat/stream ${res.status} ${t}`, {
+        status: res.status,
+        retryAfterMs: res.status === 429 ? retryAfterMs(res.headers.get('retry-after')) : undefined
+      });
+    }
+    return { res, detach };
+  }
 
-      if (event === 'error') {
-        // throw new Error(payload || 'stream error');
-        yield `I'm having trouble connecting to the main server, can someone help me ping Skeath?`
-      }
-      if (event === 'done') {
-        return;
-      }
-      if (payload) {
-        yield payload;
+  const parser = createSSEParser();
+  for (let resumes = 0; ; resumes++) {
+    const { res, detach } = await connect(parser.state.lastEventId);
+    let dropped;
+    try {
+      for await (const ev of readSSE(res.body, parser)) {
+        const typed = typedEvent(ev);
+        if (!typed) continue;
+        yield typed;
+        if (typed.type === 'done') return;
       }
+    } catch (err) {
+      if (signal?.aborted || lunaErrorKind(err)) throw err;
+      dropped = err;
+    } finally {
+      detach();
+    }
+
+    // without event ids there is nothing to resume from, so the end of the body is the end of the answer
+    if (!parser.state.lastEventId) {
+      if (dropped) throw lunaError('upstream', `connection lost: ${dropped?.message || dropped}`, { cause: dropped });
+      return;
     }
+    if (resumes >= maxResumes) {
+      throw lunaError('upstream', `connection lost after ${resumes} resume${resumes === 1 ? '' : 's'}`, { cause: dropped });
+    }
+    parser.reset();
+    await sleep(parser.state.retry ?? DEFAULT_RETRY_MS, signal);
+  }
+}
+
+/** Text deltas only; `onEvent` (optional) receives the status, tool, usage and done events. */
+export async function* lunaChatStream({ onEvent, ...args } = {}) {
+  for await (const ev of lunaChatEvents(args)) {
+    if (ev.type === 'delta') yield ev.text;
+    else onEvent?.(ev);
   }
 }
@@ -1,4 +1,5 @@
 import 'dotenv/config';
+import { withImages } from './attachments.js';
 
 /**
  * Ollama chat helpers (Node 18+)
@@ -113,21 +114,25 @@ export async function* ollamaStream({
   model,
   options = {},
   timeoutMs = 120_000,
+  baseUrl = DEFAULTS.baseUrl,
+  signal,                // optional AbortSignal; aborting stops the request mid-stream
+  images,                // base64 images for multimodal models, added to the last user message
 } = {}) {
   if (!Array.isArray(messages) || messages.length === 0) {
     throw new Error('[ollama] messages must be a non-empty array');
   }
-  const baseUrl = DEFAULTS.baseUrl;
   const mdl = model || DEFAULTS.model;
   const opts = mergeOptions(options);
 
+  signal?.throwIfAborted();
   const controller = new AbortController();
   const to = setTimeout(() => controller.abort(), timeoutMs);
+  signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
 
   const res = await fetch(`${baseUrl}/api/chat`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
-    body: JSON.stringify({ model: mdl, messages, stream: true, options: opts }),
+    body: JSON.stringify({ model: mdl, messages: withImages(messages, images), stream: true, options: opts }),
     signal: controller.signal,
   });
   if (!res.ok) {
@@ -0,0 +1,200 @@
+import 'dotenv/config';
+import { lunaChatStream } from './lunacore.js';
+import { ollamaStream } from './ollama.js';
+
+/**
+ * Provider layer for Luna replies.
+ * - lunaStream: same arguments as lunaChatStream (including `onEvent`); tries LunaCore, falls back to local Ollama
+ * - providerHealth: circuit-breaker state per provider, for status output
+ * - createProvider: an independent { stream, health } pair, e.g. against other base URLs (tests)
+ *
+ * LunaCore is skipped while its circuit is open (too many recent failures) and
+ * retried with a single trial request once the cooldown passes. Fallback replies
+ * start with FALLBACK_LABEL so users know the answer came without server memory.
+ */
+
+const FAILURE_THRESHOLD = Number(process.env.LUNA_BREAKER_THRESHOLD || 3);
+const COOLDOWN_MS = Number(process.env.LUNA_BREAKER_COOLDOWN_MS || 30_000);
+// LunaCore must answer (headers) within this, otherwise we fall back
+const CONNECT_TIMEOUT_MS = Number(process.env.LUNA_CONNECT_TIMEOUT_MS || 10_000);
+
+export const FALLBACK_LABEL = '-# ⚠️ Main server unreachable — answered locally, without server memory.\n';
+
+const DEFAULT_SYSTEM_PROMPT =
+  'You are Luna, a friendly and concise assistant in a Discord server. ' +
+  'You are running in offline mode without access to past conversations or server memory, ' +
+  'so do not claim to remember earlier chats. Use Discord markdown.';
+
+function createBreaker(name) {
+  return { name, state: 'closed', failures: 0, openedAt: 0, lastError: null };
+}
+
+function localMessages({ text, messages, userName, guildName, userTz, metadata }) {
+  const context = [
+    process.env.LUNA_LOCAL_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+    metadata?.persona ? `Server instructions: ${metadata.persona}` : '',
+    userName ? `You are talking to ${userName}.` : '',
+    guildName ? `The server is "${guildName}".` : '',
+    userTz ? `Their timezone is ${userTz}; it is now ${new Date().toLocaleString('en-US', { timeZone: userTz })}.` : ''
+  ].filter(Boolean).join(' ');
+  const history = (Array.isArray(messages) && messages.length)
+    ? messages
+    : [{ role: 'user', content: String(text ?? '').trim() }];
+  return [{ role: 'system', content: context }, ...history];
+}
+
+// Pulls the first chunk so connection/HTTP errors surface before anything is shown.
+async function primed(gen) {
+  const first = await gen.next();
+  return { first, gen };
+}
+
+async function* drain({ first, gen }) {
+  if (!first.done && first.value) yield first.value;
+  if (first.done) return;
+  yield* gen;
+}
+
+/**
+ * Each provider gets its own circuit breakers. Base URLs default to LUNACORE_BASE_URL and OLLAMA_BASE_URL.
+ * Returns { stream, health } with the same contracts as lunaStream and providerHealth.
+ */
+export function createProvider({
+  lunacoreUrl,
+  ollamaUrl,
+  threshold = FAILURE_THRESHOLD,
+  cooldownMs = COOLDOWN_MS,
+  connectTimeoutMs = CONNECT_TIMEOUT_MS
+} = {}) {
+  const breakers = {
+    lunacore: createBreaker('lunacore'),
+    ollama: createBreaker('ollama')
+  };
+
+  function canTry(b) {
+    if (b.state === 'closed') return true;
+    if (b.state === 'open' && Date.now() - b.openedAt >= cooldownMs) {
+      b.state = 'half-open';   // let one request through to probe
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess(b) {
+    b.state = 'closed';
+    b.failures = 0;
+    b.lastError = null;
+  }
+
+  // A stopped request says nothing about the provider, but a stopped probe must not leave it half-open:
+  // canTry never lets a second probe through, so it goes back to open for another cooldown.
+  function recordAbort(b) {
+    if (b.state !== 'half-open') return;
+    b.state = 'open';
+    b.openedAt = Date.now();
+  }
+
+  function recordFailure(b, err) {
+    b.failures++;
+    b.lastError = String(err?.message || err);
+    if (b.state === 'half-open' || b.failures >= threshold) {
+      b.state = 'open';
+      b.openedAt = Date.now();
+    }
+  }
+
+  /** Snapshot of breaker state, e.g. { lunacore: { state: 'open', failures: 3, ... }, ollama: {...} } */
+  function health() {
+    return Object.fromEntries(Object.entries(breakers).map(([k, b]) => [k, { ...b }]));
+  }
+
+  /**
+   * Streams a Luna reply as string deltas. Throws only when every provider failed, with each provider's
+   * error in `errors` (LunaCore's carry a `kind`, see lunaErrorKind in llm/lunacore.js);
+   * errors after the first chunk are rethrown as-is (a half-written reply can't be switched over).
+   * Aborting `args.signal` (or no longer reading) stops the current provider without falling back or
+   * counting a failure.
+   * `args.onProvider(name)` is told which provider ('lunacore' or 'ollama') is answering.
+   */
+  async function* stream(args = {}) {
+    const errors = [];
+    const aborted = () => args.signal?.aborted;
+
+    const luna = breakers.lunacore;
+    if (canTry(luna)) {
+      let started;
+      try {
+        started = await primed(lunaChatStream({ timeoutMs: connectTimeoutMs, baseUrl: lunacoreUrl, ...args }));
+      } catch (err) {
+        if (aborted()) {
+          recordAbort(luna);
+          throw err;
+        }
+        recordFailure(luna, err);
+        errors.push(err);
+        console.warn(`[provider] LunaCore failed (${luna.state}): ${err?.message || err}`);
+      }
+      if (started) {
+        args.onProvider?.('lunacore');
+        let settled = false;
+        try {
+          yield* drain(started);
+          settled = true;
+          recordSuccess(luna);
+          return;
+        } catch (err) {
+          settled = true;
+          if (aborted()) recordAbort(luna);
+          else recordFailure(luna, err);
+          throw err;
+        } finally {
+          if (!settled) recordAbort(luna);   // the caller stopped reading
+        }
+      }
+    }
+
+    const local = breakers.ollama;
+    if (canTry(local)) {
+      let started;
+      try {
+        started = await primed(ollamaStream({
+          messages: localMessages(args), images: args.images, baseUrl: ollamaUrl, signal: args.signal
+        }));
+      } catch (err) {
+        if (aborted()) {
+          recordAbort(local);
+          throw err;
+        }
+        recordFailure(local, err);
+        errors.push(err);
+      }
+      if (started) {
+        args.onProvider?.('ollama');
+        yield FALLBACK_LABEL;
+        let settled = false;
+        try {
+          yield* drain(started);
+          settled = true;
+          recordSuccess(local);
+          return;
+        } catch (err) {
+          settled = true;
+          if (aborted()) recordAbort(local);
+          else recordFailure(local, err);
+          throw err;
+        } finally {
+          if (!settled) recordAbort(local);   // the caller stopped reading
+        }
+      }
+    }
+
+    const detail = errors.map(e => e?.message || String(e)).join('; ') || 'all providers are cooling down';
+    throw Object.assign(new Error(`[provider] No Luna provider available: ${detail}`), { errors });
+  }
+
+  return { stream, health };
+}
+
+const defaultProvider = createProvider();
+export const lunaStream = defaultProvider.stream;
+export const providerHealth = defaultProvider.health;
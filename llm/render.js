@@ -0,0 +1,184 @@
+import { AttachmentBuilder } from 'discord.js';
+
+/**
+ * Streaming Luna replies into Discord.
+ * - splitForDiscord: split text into message-sized chunks without breaking code blocks
+ * - renderStream: consume a delta stream, editing/rolling over messages as it grows
+ *
+ * Chunks prefer paragraph boundaries outside code fences. A code block that is
+ * itself too long is closed at the end of one chunk and reopened (same language)
+ * at the start of the next, so every message renders on its own.
+ */
+
+const MAX_LEN = 1900;
+const MAX_MESSAGES = Number(process.env.LUNA_MAX_MESSAGES || 4);
+const EDIT_INTERVAL_MS = 700;
+const NO_MENTIONS = { parse: [], repliedUser: false };
+
+function fenceOf(line) {
+  const m = line.match(/^\s*(`{3,}|~{3,})(.*)$/);
+  return m ? { marker: m[1], info: m[2].trim() } : null;
+}
+
+// Fence state after `lines`, and the latest index we can cut at cleanly (after a blank line or a closed fence).
+function scan(lines) {
+  let open = null;
+  let paraBreak = 0;
+  lines.forEach((line, i) => {
+    const f = fenceOf(line);
+    if (open) {
+      if (f && !f.info && f.marker[0] === open.marker[0] && f.marker.length >= open.marker.length) {
+        open = null;
+        paraBreak = i + 1;
+      }
+    } else if (f) {
+      open = f;
+    } else if (!line.trim() && i > 0) {
+      paraBreak = i + 1;
+    }
+  });
+  return { open, paraBreak };
+}
+
+// Lines longer than a message are cut at a space when possible.
+function hardWrap(line, limit) {
+  const out = [];
+  while (line.length > limit) {
+    let cut = line.lastIndexOf(' ', limit);
+    if (cut < limit * 0.6) cut = limit;
+    out.push(line.slice(0, cut));
+    line = line.slice(cut).replace(/^ /, '');
+  }
+  out.push(line);
+  return out;
+}
+
+/** Split `text` into chunks of at most `maxLen` characters, keeping code fences balanced in each. */
+export function splitForDiscord(text, maxLen = MAX_LEN) {
+  const src = String(text ?? '');
+  if (src.length <= maxLen) return [src];
+
+  const chunks = [];
+  let cur = [];
+  const emit = (lines) => {
+    const chunk = lines.join('\n').replace(/\s+$/, '');
+    if (chunk.trim()) chunks.push(chunk);
+  };
+
+  const addLine = (line) => {
+    while (cur.length) {
+      const { open, paraBreak } = scan(cur);
+      const reserve = open ? open.marker.length + 1 : 0;   // room to close the fence
+      if (cur.join('\n').length + 1 + line.length + reserve <= maxLen) break;
+
+      const paraLen = paraBreak ? cur.slice(0, paraBreak).join('\n').length : 0;
+      if (paraLen >= maxLen * 0.4) {
+        emit(cur.slice(0, paraBreak));
+        cur = cur.slice(paraBreak);
+        while (cur.length && !cur[0].trim()) cur.shift();
+      } else if (open) {
+        emit([...cur, open.marker]);
+        cur = [open.marker + open.info];
+      } else {
+        emit(cur);
+        cur = [];
+      }
+    }
+    cur.push(line);
+  };
+
+  for (const line of src.split('\n')) {
+    for (const piece of hardWrap(line, maxLen - 16)) addLine(piece);
+  }
+  emit(cur);
+  return chunks;
+}
+
+/**
+ * Streams `stream` (async iterable of string deltas) into Discord, starting by editing `first`.
+ * Extra chunks are posted as replies to the previous part (so the reply chain holds the
+ * whole answer, see llm/context.js); past `maxMessages`
+ * the last message becomes a note and the full answer is attached as a .md file.
+ * Stream errors are rendered with `formatError` instead of thrown; a failed edit or reply (deleted
+ * message, missing permission) ends the stream the same way and is never thrown either. An abort
+ * through `signal` keeps the partial text and marks it as stopped. `components` ride on the last message while
+ * streaming and are swapped for `finalComponents` at the end. `footer` is appended to a
+ * completed answer only.
+ * Returns { text, messages, error, stopped }.
+ */
+export async function renderStream(stream, first, {
+  maxMessages = MAX_MESSAGES,
+  maxLen = MAX_LEN,
+  intervalMs = EDIT_INTERVAL_MS,
+  fileName = 'luna-reply.md',
+  signal,
+  components = [],
+  finalComponents = [],
+  footer = '',
+  formatError = (err, text) => (text
+    ? `${text}\n\n-# ⚠️ Reply interrupted.`
+    : `⚠️ Luna error: ${err?.message || 'unknown'}`)
+} = {}) {
+  const messages = [first];
+  const shown = [];          // content and buttons currently on each message, to skip no-op edits
+  let text = '';
+  let error = null;
+
+  const flush = async (body, final) => {
+    const chunks = splitForDiscord(body || '…', maxLen);
+    const overflow = chunks.length > maxMessages;
+    const visible = overflow ? chunks.slice(0, maxMessages - 1) : chunks;
+    if (overflow) {
+      visible.push(final
+        ? `📎 The full answer was too long for chat — see **${fileName}**.`
+        : '-# … still writing; the full answer will be attached when done.');
+    }
+
+    for (let i = 0; i < visible.length; i++) {
+      const content = visible[i];
+      const isLast = i === visible.length - 1;
+      const rows = isLast ? (final ? finalComponents : components) : [];
+      const files = final && overflow && isLast
+        ? [new AttachmentBuilder(Buffer.from(body, 'utf8'), { name: fileName })]
+        : undefined;
+      const state = `${isLast ? (final ? 'final' : 'live') : ''}:${content}`;
+      const payload = { content, files, components: rows, allowedMentions: NO_MENTIONS };
+      if (i >= messages.length) {
+        messages.push(await messages[i - 1].reply(payload));
+      } else if (shown[i] !== state || files) {
+        await messages[i].edit(payload);
+      }
+      shown[i] = state;
+    }
+  };
+
+  let last = Date.now();
+  try {
+    if (components.length) await flush('', false);   // show the controls before the first token
+    for await (const delta of stream) {
+      text += delta;
+      if (Date.now() - last > intervalMs) {
+        await flush(text, false);
+        last = Date.now();
+      }
+    }
+  } catch (err) {
+    if (!signal?.aborted) {
+      error = err;
+      console.error(err);
+    }
+  }
+
+  const stopped = Boolean(signal?.aborted);
+  let body = text;
+  if (error) body = formatError(error, text);
+  else if (stopped) body = text ? `${text}\n\n-# ⏹️ Stopped.` : '⏹️ Stopped.';
+  else if (footer && text) body = `${text}\n\n${footer}`;
+  try {
+    await flush(body, true);
+  } catch (err) {
+    console.error('[render] could not update the reply', err);
+    error ??= err;
+  }
+  return { text, messages, error, stopped };
+}
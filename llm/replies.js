@@ -0,0 +1,117 @@
+import { randomUUID } from 'node:crypto';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { lunaStream } from './provider.js';
+import { renderStream } from './render.js';
+
+/**
+ * Luna replies in Discord with Stop/Regenerate buttons.
+ * - start: streams a new reply into a placeholder message and remembers it as a run
+ * - rerun: streams a run again into its first message (Regenerate)
+ * - find: the run behind a button token, while its buttons still work
+ * - isAnswer: whether a message id is part of a reply that is still remembered
+ *
+ * Runs are kept in memory only, so after a restart the buttons just report that the reply
+ * expired. `stream` is lunaStream unless injected, e.g. a provider against a stub server.
+ * Every finished stream is recorded in `audit` (store/audit.js) with its outcome, provider and latency.
+ */
+
+// how long a finished reply's buttons keep working
+const LUNA_RUN_TTL_MS = 15 * 60_000;
+// replies still streaming after this are stopped as if someone pressed Stop
+const LUNA_MAX_STREAM_MS = Number(process.env.LUNA_MAX_STREAM_SEC || 300) * 1000;
+
+export function lunaControls(token, streaming) {
+  const row = new ActionRowBuilder();
+  if (streaming) {
+    row.addComponents(new ButtonBuilder().setCustomId(`luna:stop:${token}`).setLabel('Stop').setEmoji('⏹️').setStyle(ButtonStyle.Danger));
+  }
+  row.addComponents(new ButtonBuilder().setCustomId(`luna:regen:${token}`).setLabel('Regenerate').setEmoji('🔄').setStyle(ButtonStyle.Secondary));
+  return row;
+}
+
+function replyFooter({ knowledgeKeys = [], skippedFiles = [] }) {
+  const lines = [];
+  if (knowledgeKeys.length) lines.push(`-# 📚 From the knowledge base: ${knowledgeKeys.map(k => `\`${k}\``).join(', ')}`);
+  if (skippedFiles.length) {
+    lines.push(`-# 📎 Not read: ${skippedFiles.map(f => `\`${f.name}\` (${f.reason})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export function createLunaReplies({
+  stream = lunaStream,
+  audit = null,
+  maxStreamMs = LUNA_MAX_STREAM_MS,
+  runTtlMs = LUNA_RUN_TTL_MS,
+  renderOptions = {}
+} = {}) {
+  const runs = new Map();
+
+  // Streams (or re-streams) a run into its first message; the run keeps its messages for the next regenerate.
+  // `release` (from admission, see llm/requests.js) is called as soon as the stream ends.
+  async function rerun(run, release) {
+    run.controller = new AbortController();
+    const timer = setTimeout(() => run.controller?.abort(), maxStreamMs);
+    const startedAt = Date.now();
+    let provider = null;
+    const onProvider = (name) => { provider = name; };
+    run.done = renderStream(stream({ ...run.args, signal: run.controller.signal, onProvider }), run.first, {
+      ...renderOptions,
+      signal: run.controller.signal,
+      components: [lunaControls(run.token, true)],
+      finalComponents: [lunaControls(run.token, false)],
+      formatError: run.formatError,
+      footer: replyFooter(run.args)
+    }).finally(() => {
+      clearTimeout(timer);
+      release();
+    });
+    let result;
+    try {
+      result = await run.done;
+    } finally {
+      // a run whose render failed must still expire, or its buttons and entry stay forever
+      run.controller = null;
+      run.expiresAt = Date.now() + runTtlMs;
+    }
+    audit?.record({
+      guildId: run.args.guildId ?? `DM-${run.args.userId}`,
+      category: 'luna',
+      action: run.streamed ? 'regenerate' : 'request',
+      actorId: run.ownerId,
+      subject: run.args.channelId,
+      outcome: result.error ? 'error' : result.stopped ? 'stopped' : 'ok',
+      provider,
+      latencyMs: Date.now() - startedAt,
+      detail: result.error?.message
+    });
+    run.streamed = true;
+    run.messages = result.messages;
+    return result;
+  }
+
+  /** Streams a Luna reply into `out` with Stop/Regenerate buttons usable by `ownerId` and moderators. */
+  function start(out, { ownerId, args, formatError, release }) {
+    const now = Date.now();
+    for (const [k, r] of runs) if (!r.controller && r.expiresAt < now) runs.delete(k);
+    const token = randomUUID().slice(0, 8);
+    const run = { token, ownerId, args, formatError, first: out, messages: [out] };
+    runs.set(token, run);
+    return rerun(run, release);
+  }
+
+  function find(token) {
+    const run = runs.get(token);
+    return !run || (!run.controller && run.expiresAt < Date.now()) ? null : run;
+  }
+
+  function isAnswer(messageId) {
+    const now = Date.now();
+    for (const run of runs.values()) {
+      if ((run.controller || run.expiresAt >= now) && run.messages.some(m => m.id === messageId)) return true;
+    }
+    return false;
+  }
+
+  return { start, rerun, find, isAnswer };
+}
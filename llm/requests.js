@@ -0,0 +1,133 @@
+import { DateTime } from 'luxon';
+import { conversationId } from './context.js';
+import { withAttachedFiles } from './attachments.js';
+import { createRateLimiter, parseRate } from './limits.js';
+
+/**
+ * What a Luna request needs before it is streamed.
+ * - args: lunaStream arguments from the asker, the place and the guild's settings, with matching
+ *   KV entries as a system message and the question's attachments
+ * - admit: daily quota (store/settings.js), then burst and concurrency limits (llm/limits.js)
+ * - renderUsage: the /luna usage text
+ *
+ * `limiter` defaults to one configured from the LUNA_RATE_* and LUNA_MAX_CONCURRENT* env vars.
+ */
+
+export function defaultLunaLimiter() {
+  // Burst limits refill continuously; concurrency counts streams still being written.
+  return createRateLimiter({
+    rates: {
+      user: parseRate(process.env.LUNA_RATE_USER ?? '5/60'),
+      channel: parseRate(process.env.LUNA_RATE_CHANNEL ?? '15/60'),
+      guild: parseRate(process.env.LUNA_RATE_GUILD ?? '40/60')
+    },
+    concurrency: {
+      user: Number(process.env.LUNA_MAX_CONCURRENT_USER ?? 1),
+      guild: Number(process.env.LUNA_MAX_CONCURRENT_GUILD ?? 3),
+      global: Number(process.env.LUNA_MAX_CONCURRENT ?? 8)
+    }
+  });
+}
+
+const unix = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// Role ids of a cached GuildMember or of the raw member object on uncached interactions.
+export function memberRoles(member) {
+  return member?.roles?.cache ? [...member.roles.cache.keys()] : (member?.roles ?? []);
+}
+
+function knowledgeMessage(entries) {
+  return {
+    role: 'system',
+    content: 'Facts from this server\'s knowledge base (key: value). Prefer them over guesses when they are relevant, ' +
+      'and ignore them otherwise.\n' + entries.map(e => `- ${e.key}: ${e.value}`).join('\n')
+  };
+}
+
+function limitMessage({ scope, kind, retryAfterMs }) {
+  if (kind === 'concurrency') {
+    return scope === 'user'
+      ? '⏳ Luna is still answering your previous question — wait for it to finish or press Stop.'
+      : '⏳ Luna is busy with other questions right now; try again in a few seconds.';
+  }
+  const at = `<t:${Math.ceil((Date.now() + retryAfterMs) / 1000)}:R>`;
+  if (scope === 'user') return `⏳ You're asking a bit fast — try again ${at}.`;
+  return `⏳ Luna is getting a lot of questions in this ${scope === 'channel' ? 'channel' : 'server'} — try again ${at}.`;
+}
+
+export function createLunaRequests({ settings, kv, limiter = defaultLunaLimiter() }) {
+  // Arguments for lunaStream; `history` holds earlier turns from the reply chain, oldest first.
+  // Guild settings become the model, server-memory flag and persona metadata; matching KV entries
+  // go in as a system message and are listed in `knowledgeKeys` for the reply's footer.
+  // `attachments` (readAttachments in llm/attachments.js) adds text files to the question and images
+  // as `images`; what couldn't be read is listed in `skippedFiles`, also for the footer.
+  function args({ user, guild, channel, text, history = [], attachments }) {
+    const guildSettings = settings.guild(guild?.id);
+    const knowledge = kv.findKnowledge(guild?.id ?? `DM-${user.id}`, text);
+    const question = withAttachedFiles(text, attachments?.files);
+    const turns = [
+      ...(knowledge.length ? [knowledgeMessage(knowledge)] : []),
+      ...history
+    ];
+    return {
+      userId: user.id,
+      userName: user.username,
+      guildId: guild?.id,
+      guildName: guild?.name,
+      channelId: channel?.id,
+      conversationId: conversationId({ guildId: guild?.id, channel, userId: user.id, scope: settings.conversationScope(guild?.id) }),
+      text: question,
+      messages: turns.length ? [...turns, { role: 'user', content: question }] : undefined,
+      images: attachments?.images.length ? attachments.images : undefined,
+      userTz: settings.userTZ(user.id, guild?.id),
+      model: guildSettings.model || undefined,
+      useServerMemory: guildSettings.use_server_memory == null ? undefined : Boolean(guildSettings.use_server_memory),
+      metadata: guildSettings.persona ? { persona: guildSettings.persona } : undefined,
+      knowledgeKeys: knowledge.map(e => e.key),
+      skippedFiles: attachments?.skipped ?? []
+    };
+  }
+
+  function quotaStatus(userId, guildId, member) {
+    const day = DateTime.utc().toISODate();
+    return {
+      limit: settings.dailyLimit(guildId, memberRoles(member)),
+      used: settings.usage(guildId ?? `DM-${userId}`, userId, day),
+      resetsAt: DateTime.utc().plus({ days: 1 }).startOf('day').toISO()
+    };
+  }
+
+  /**
+   * Admission for one Luna request: daily quota, then burst and concurrency limits.
+   * On success the request is counted against the quota; call `release` once its stream ends.
+   * A refusal carries `kind`: 'quota' (nothing more today), 'rate' or 'concurrency' (try again soon).
+   */
+  function admit({ userId, guildId, channelId, member }) {
+    const quota = quotaStatus(userId, guildId, member);
+    if (quota.limit && quota.used >= quota.limit) {
+      return {
+        ok: false,
+        kind: 'quota',
+        message: `📉 You've used all ${quota.limit} Luna requests for today. Your quota resets <t:${unix(quota.resetsAt)}:R>.`
+      };
+    }
+    const gate = limiter.acquire({ user: userId, channel: channelId, guild: guildId, global: 'all' });
+    if (!gate.ok) return { ok: false, kind: gate.kind, message: limitMessage(gate) };
+    settings.addUsage(guildId ?? `DM-${userId}`, userId, DateTime.utc().toISODate());
+    return gate;
+  }
+
+  function renderUsage(userId, guildId, member) {
+    const { limit, used, resetsAt } = quotaStatus(userId, guildId, member);
+    const burst = limiter.peek('user', userId);
+    const today = limit
+      ? `**${Math.max(limit - used, 0)}** of ${limit} requests left today (resets <t:${unix(resetsAt)}:R>)`
+      : `${used} request(s) today, no daily limit`;
+    const lines = ['**Your Luna usage**', `• ${today}`];
+    if (burst.capacity !== Infinity) lines.push(`• Right now: ${burst.available}/${burst.capacity} quick requests available`);
+    if (burst.inFlight) lines.push('• A reply to you is still being written');
+    return lines.join('\n');
+  }
+
+  return { args, admit, renderUsage };
+}
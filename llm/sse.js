@@ -0,0 +1,91 @@
+/**
+ * Server-sent events, parsed the way browsers do (WHATWG HTML, "Server-sent events").
+ * - createSSEParser: push decoded text in, get { event, data, id } events out; tracks lastEventId and retry,
+ *   which survive `reset` (for resuming on a new connection)
+ * - readSSE: async generator over a fetch body (bytes) using a parser
+ *
+ * Lines may end in CRLF, LF or CR (also split across chunks), `:` lines are comments, one space after the
+ * field colon is dropped, multi-line `data` is joined with \n and `id` carries over to later events.
+ * Two deliberate departures, both for servers that cut corners: an event still pending when the stream
+ * ends is dispatched instead of dropped, and a named event without any `data` line (e.g. a bare
+ * `event: done`) is dispatched with empty data.
+ */
+
+const LINE_END = /\r\n|\r|\n/;
+
+export function createSSEParser({ lastEventId = '' } = {}) {
+  const state = { lastEventId, retry: null };
+  let buf = '';
+  let started = false;
+  let event = '';
+  let data = [];
+  let id = lastEventId;   // becomes lastEventId only once its event is complete
+
+  function field(line, out) {
+    if (line === '') return dispatch(out);
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const name = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (name === 'event') event = value;
+    else if (name === 'data') data.push(value);
+    else if (name === 'id' && !value.includes('\0')) id = value;
+    else if (name === 'retry' && /^\d+$/.test(value)) state.retry = Number(value);
+  }
+
+  function dispatch(out) {
+    state.lastEventId = id;
+    if (data.length || event) {
+      out.push({ event: event || 'message', data: data.join('\n'), id: state.lastEventId });
+    }
+    event = '';
+    data = [];
+  }
+
+  return {
+    state,
+    /** Feeds decoded text; returns the events completed by it. */
+    push(text) {
+      const out = [];
+      buf += text;
+      if (!started && buf) {
+        if (buf.startsWith('\uFEFF')) buf = buf.slice(1);
+        started = true;
+      }
+      let m;
+      while ((m = LINE_END.exec(buf))) {
+        // a CR at the very end may be the first half of a CRLF still in flight
+        if (m[0] === '\r' && m.index === buf.length - 1) break;
+        field(buf.slice(0, m.index), out);
+        buf = buf.slice(m.index + m[0].length);
+      }
+      return out;
+    },
+    /** Drops a half-received event, e.g. after the connection broke off mid-frame. */
+    reset() {
+      id = state.lastEventId;
+      buf = '';
+      event = '';
+      data = [];
+    },
+    /** The stream ended: flushes the last line and any event still pending. */
+    end() {
+      const out = [];
+      if (buf) field(buf.replace(/\r$/, ''), out);
+      buf = '';
+      dispatch(out);
+      return out;
+    }
+  };
+}
+
+export async function* readSSE(body, parser = createSSEParser()) {
+  const decoder = new TextDecoder();
+  for await (const chunk of body) {
+    yield* parser.push(decoder.decode(chunk, { stream: true }));
+  }
+  yield* parser.push(decoder.decode());
+  yield* parser.end();
+}
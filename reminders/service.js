@@ -0,0 +1,380 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder, RESTJSONErrorCodes } from 'discord.js';
+import { DateTime } from 'luxon';
+import { nextOccurrence } from '../time/recurrence.js';
+
+/**
+ * Reminder storage and delivery.
+ * - save/cancel/edit/snooze over the reminders table, with files attached to /remind kept alongside
+ * - a scheduler that sleeps until the earliest due reminder and delivers it: to its channel, or by DM
+ *   with the channel as fallback when the recipient's DMs are closed
+ * - failed sends are retried with backoff up to `maxAttempts`; when the channel is gone for good the
+ *   recipient gets a DM instead
+ * - importRows/exportRows for /config export and import; `denial(row)` lets the importer refuse rows
+ * - creations, deliveries and failed attempts are recorded in `audit` (store/audit.js) when one is passed
+ * - scheduled Luna jobs (rows with a `job`, see llm/jobs.js) go through the same scheduler, but instead of
+ *   the reminder text `runJob(r, channel)` posts into the channel; they never fall back to DMs. A job
+ *   that resolves to { skipped: reason } is recorded as not delivered and its next run is scheduled
+ *
+ * `client` only needs `channels.fetch` and `users.fetch`; `settings` supplies userTZ (store/settings.js).
+ */
+
+const REMINDER_MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS || 5);
+// reminders delivered later than this after their due time are flagged as late
+const REMINDER_LATE_GRACE_MS = Number(process.env.REMINDER_LATE_GRACE_SEC || 120) * 1000;
+const REMINDER_ATTACHMENT_KEEP_DAYS = Number(process.env.REMINDER_ATTACHMENT_KEEP_DAYS || 7);
+
+// Errors where retrying the channel is pointless and the owner should get a DM instead.
+const LOST_CHANNEL_CODES = new Set([
+  RESTJSONErrorCodes.UnknownChannel,
+  RESTJSONErrorCodes.MissingAccess,
+  RESTJSONErrorCodes.MissingPermissions
+]);
+const MAX_TIMER_MS = 5 * 60_000; // re-check periodically even with nothing due, in case rows change elsewhere
+
+// kinds of scheduled Luna job a reminder row can carry in `job`
+export const REMINDER_JOBS = ['prompt', 'digest', 'summarize'];
+
+// Who a reminder pings: the target user or role, else the creator. `userId` is unset for roles.
+export function reminderRecipient(r) {
+  if (r.target_type === 'role') return { mention: `<@&${r.target_id}>`, allowed: { roles: [r.target_id] } };
+  const userId = r.target_type === 'user' ? r.target_id : r.user_id;
+  return { mention: `<@${userId}>`, userId, allowed: { users: [userId] } };
+}
+
+export function deliveryLabel(r) {
+  return r.delivery === 'dm' ? 'by DM' : `in <#${r.channel_id}>`;
+}
+
+export function snoozeRow(reminderId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`snooze:${reminderId}:10m`).setLabel('Snooze 10m').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`snooze:${reminderId}:1h`).setLabel('Snooze 1h').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`snooze:${reminderId}:tomorrow`).setLabel('Tomorrow').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(30_000 * 2 ** (attempts - 1), 30 * 60_000);
+}
+
+export function createReminderService({
+  db,
+  client,
+  settings,
+  runJob = () => { throw new Error('[reminders] no job runner configured'); },
+  audit = null,
+  maxAttempts = REMINDER_MAX_ATTEMPTS,
+  lateGraceMs = REMINDER_LATE_GRACE_MS,
+  attachmentKeepDays = REMINDER_ATTACHMENT_KEEP_DAYS
+}) {
+  // ---------- Reminders prepared statements ----------
+  const insertReminder = db.prepare(`
+    INSERT INTO reminders (
+      user_id, channel_id, guild_id, text, run_at_iso, next_run_iso, recurrence, delivered, created_at_iso,
+      target_type, target_id, delivery, context_link, job, job_options
+    )
+    VALUES (
+      @user_id, @channel_id, @guild_id, @text, @run_at_iso, @run_at_iso, @recurrence, 0, @created_at_iso,
+      @target_type, @target_id, @delivery, @context_link, @job, @job_options
+    )
+  `);
+  const insertReminderAttachment = db.prepare(`INSERT INTO reminder_attachments (reminder_id, name, data) VALUES (?, ?, ?)`);
+  const listReminderAttachments = db.prepare(`SELECT name, data FROM reminder_attachments WHERE reminder_id=? ORDER BY id`);
+  // files of cancelled reminders, and of finished ones once their Snooze buttons are unlikely to be used
+  const purgeReminderAttachments = db.prepare(`
+    DELETE FROM reminder_attachments WHERE reminder_id NOT IN (
+      SELECT id FROM reminders WHERE delivered=0 OR next_run_iso > ?
+    )
+  `);
+  const dueReminders = db.prepare(`
+    SELECT * FROM reminders
+    WHERE delivered=0 AND claimed_at IS NULL AND COALESCE(retry_at_iso, next_run_iso) <= ?
+    ORDER BY next_run_iso ASC
+  `);
+  const nextDueAt = db.prepare(`
+    SELECT MIN(COALESCE(retry_at_iso, next_run_iso)) AS at FROM reminders
+    WHERE delivered=0 AND claimed_at IS NULL
+  `);
+  // only one caller can flip claimed_at from NULL, so a row is never sent twice
+  const claimReminder = db.prepare(`UPDATE reminders SET claimed_at=? WHERE id=? AND delivered=0 AND claimed_at IS NULL`);
+  const releaseStaleClaims = db.prepare(`UPDATE reminders SET claimed_at=NULL WHERE claimed_at IS NOT NULL AND delivered=0`);
+  const markRetry = db.prepare(`
+    UPDATE reminders SET claimed_at=NULL, attempts=@attempts, retry_at_iso=@retry_at_iso, last_error=@last_error
+    WHERE id=@id
+  `);
+  const markDelivered = db.prepare(`UPDATE reminders SET delivered=1, claimed_at=NULL, retry_at_iso=NULL WHERE id=?`);
+  const markFailed = db.prepare(`UPDATE reminders SET delivered=1, claimed_at=NULL, retry_at_iso=NULL, last_error=? WHERE id=?`);
+  const setNextRun = db.prepare(`
+    UPDATE reminders SET next_run_iso=?, claimed_at=NULL, attempts=0, retry_at_iso=NULL, last_error=NULL
+    WHERE id=?
+  `);
+
+  // ---------- Reminder management prepared statements ----------
+  const getReminder = db.prepare(`SELECT * FROM reminders WHERE id=?`);
+  const countPendingReminders = db.prepare(`SELECT COUNT(*) AS n FROM reminders WHERE user_id=? AND delivered=0`);
+  const listPendingReminders = db.prepare(`
+    SELECT * FROM reminders WHERE user_id=? AND delivered=0
+    ORDER BY next_run_iso ASC LIMIT ? OFFSET ?
+  `);
+  const cancelReminder = db.prepare(`DELETE FROM reminders WHERE id=? AND user_id=? AND delivered=0`);
+  const updateReminderText = db.prepare(`UPDATE reminders SET text=? WHERE id=? AND user_id=? AND delivered=0`);
+  // a new time also re-anchors recurring reminders ("every 2 weeks" counts from here)
+  const updateReminderTime = db.prepare(`
+    UPDATE reminders SET run_at_iso=@at, next_run_iso=@at, attempts=0, retry_at_iso=NULL
+    WHERE id=@id AND user_id=@user_id AND delivered=0
+  `);
+  // snoozing re-arms a delivered reminder; for recurring ones it only moves the next run
+  const rescheduleReminder = db.prepare(`
+    UPDATE reminders SET next_run_iso=?, delivered=0, attempts=0, retry_at_iso=NULL, last_error=NULL
+    WHERE id=? AND user_id=?
+  `);
+
+  // ---------- Import/export prepared statements ----------
+  // pending reminders without the delivery bookkeeping; attached files stay behind
+  const exportReminderRows = db.prepare(`
+    SELECT user_id, channel_id, text, run_at_iso, next_run_iso, recurrence, created_at_iso,
+      target_type, target_id, delivery, context_link, job, job_options
+    FROM reminders WHERE guild_id=? AND delivered=0 ORDER BY next_run_iso
+  `);
+  const findSameReminder = db.prepare(`
+    SELECT 1 FROM reminders WHERE guild_id=? AND user_id=? AND text=? AND next_run_iso=? AND delivered=0
+  `);
+  const importReminderRow = db.prepare(`
+    INSERT INTO reminders (
+      user_id, channel_id, guild_id, text, run_at_iso, next_run_iso, recurrence, delivered, created_at_iso,
+      target_type, target_id, delivery, context_link, job, job_options
+    )
+    VALUES (
+      @user_id, @channel_id, @guild_id, @text, @run_at_iso, @next_run_iso, @recurrence, 0, @created_at_iso,
+      @target_type, @target_id, @delivery, @context_link, @job, @job_options
+    )
+  `);
+
+  const saveRow = db.transaction((row, attachments = []) => {
+    const id = insertReminder.run({ job: null, job_options: null, ...row }).lastInsertRowid;
+    for (const a of attachments) insertReminderAttachment.run(id, a.name, a.data);
+    return id;
+  });
+
+  function save(row, attachments) {
+    const id = saveRow(row, attachments);
+    audit?.record({
+      guildId: row.guild_id, category: 'reminder', action: 'create', actorId: row.user_id, subject: `#${id}`,
+      detail: row.job ? `${row.job} job` : deliveryLabel(row)
+    });
+    return id;
+  }
+
+  function audited(r, action, outcome, detail) {
+    audit?.record({ guildId: r.guild_id, category: 'reminder', action, actorId: r.user_id, subject: `#${r.id}`, outcome, detail });
+  }
+
+  // A JSON column from a backup, as stored text: null when empty, undefined when it isn't valid JSON.
+  function jsonColumn(value) {
+    try {
+      return value ? JSON.stringify(typeof value === 'string' ? JSON.parse(value) : value) : null;
+    } catch {
+      return undefined;
+    }
+  }
+
+  function purgeFiles() {
+    purgeReminderAttachments.run(DateTime.utc().minus({ days: attachmentKeepDays }).toISO());
+  }
+
+  // Pending reminders from a backup; one with the same owner, text and due time is already here.
+  function importRows(guildId, reminders, { denial = () => null } = {}) {
+    const counts = { added: 0, existing: 0, invalid: 0, denied: 0 };
+    for (const r of reminders) {
+      const next = r?.next_run_iso ?? r?.run_at_iso;
+      const recurrence = jsonColumn(r?.recurrence);
+      const jobOptions = jsonColumn(r?.job_options);
+      const job = r?.job ?? null;
+      if (!r?.user_id || !r.channel_id || typeof r.text !== 'string' || !next || Number.isNaN(Date.parse(next)) ||
+        recurrence === undefined || jobOptions === undefined || (job !== null && !REMINDER_JOBS.includes(job))) {
+        counts.invalid++;
+        continue;
+      }
+      if (denial(r)) {
+        counts.denied++;
+        continue;
+      }
+      if (findSameReminder.get(guildId, String(r.user_id), r.text, next)) {
+        counts.existing++;
+        continue;
+      }
+      importReminderRow.run({
+        user_id: String(r.user_id),
+        channel_id: String(r.channel_id),
+        guild_id: guildId,
+        text: r.text,
+        run_at_iso: r.run_at_iso ?? next,
+        next_run_iso: next,
+        recurrence,
+        created_at_iso: r.created_at_iso ?? new Date().toISOString(),
+        target_type: ['user', 'role'].includes(r.target_type) ? r.target_type : null,
+        target_id: r.target_id ? String(r.target_id) : null,
+        delivery: r.delivery === 'dm' ? 'dm' : null,
+        context_link: r.context_link ?? null,
+        job,
+        job_options: job ? jobOptions : null
+      });
+      counts.added++;
+    }
+    return counts;
+  }
+
+  // ---------- Scheduler ----------
+  let schedulerTimer = null;
+  let schedulerRunning = false;
+
+  // Recurring reminders stay pending; evaluated in the owner's current timezone so DST shifts are followed.
+  function scheduleNextRun(r) {
+    const rule = JSON.parse(r.recurrence);
+    const tz = settings.userTZ(r.user_id, r.guild_id);
+    const after = DateTime.max(DateTime.utc(), DateTime.fromISO(r.next_run_iso, { zone: 'utc' }));
+    const next = nextOccurrence(rule, after, { tz, anchor: r.run_at_iso });
+    if (next) setNextRun.run(next.toUTC().toISO(), r.id);
+    else markDelivered.run(r.id);
+  }
+
+  // Sleeps exactly until the earliest due (or retry) time; call again whenever reminders change.
+  function arm() {
+    clearTimeout(schedulerTimer);
+    const at = nextDueAt.get().at;
+    const delay = at ? Math.max(0, Date.parse(at) - Date.now()) : MAX_TIMER_MS;
+    schedulerTimer = setTimeout(runDue, Math.min(delay, MAX_TIMER_MS));
+  }
+
+  async function runDue() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const nowISO = DateTime.utc().toISO();
+      const claimed = dueReminders.all(nowISO).filter(r => claimReminder.run(nowISO, r.id).changes === 1);
+      await Promise.allSettled(claimed.map(deliver));
+    } catch (err) {
+      console.error('Scheduler tick error:', err);
+    } finally {
+      schedulerRunning = false;
+      arm();
+    }
+  }
+
+  function reminderContent(r) {
+    const dueMs = Date.parse(r.next_run_iso);
+    const late = Date.now() - dueMs > lateGraceMs
+      ? ` _(late — was due <t:${Math.floor(dueMs / 1000)}:R>)_`
+      : '';
+    const from = r.target_type ? ` (from <@${r.user_id}>)` : '';
+    const link = r.context_link ? `\n🔗 ${r.context_link}` : '';
+    return `⏰ ${reminderRecipient(r).mention} Reminder: **${r.text}**${from}${late}${link}`;
+  }
+
+  // Rebuilt for every send: a payload's files can't be reused after a failed attempt.
+  function reminderPayload(r, note = '') {
+    return {
+      content: `${reminderContent(r)}${note}`,
+      components: [snoozeRow(r.id)],
+      files: listReminderAttachments.all(r.id).map(a => new AttachmentBuilder(a.data, { name: a.name })),
+      allowedMentions: reminderRecipient(r).allowed
+    };
+  }
+
+  function finishReminder(r) {
+    if (r.recurrence) scheduleNextRun(r);
+    else markDelivered.run(r.id);
+    purgeFiles();
+  }
+
+  async function textChannel(channelId) {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel?.isTextBased()) {
+      throw Object.assign(new Error('Channel is not text-based'), { code: RESTJSONErrorCodes.UnknownChannel });
+    }
+    return channel;
+  }
+
+  async function sendToChannel(r, note) {
+    await (await textChannel(r.channel_id)).send(reminderPayload(r, note));
+  }
+
+  // DM reminders fall back to the channel they were created in when the recipient doesn't accept DMs.
+  // Jobs count as delivered once runJob has posted; the Luna answer keeps streaming after that.
+  async function sendReminder(r) {
+    if (r.job) return runJob(r, await textChannel(r.channel_id));
+    if (r.delivery !== 'dm') return sendToChannel(r);
+    const user = await client.users.fetch(reminderRecipient(r).userId);
+    try {
+      await user.send(reminderPayload(r));
+    } catch (e) {
+      if (e?.code !== RESTJSONErrorCodes.CannotSendMessagesToThisUser) throw e;
+      await sendToChannel(r, '\n-# Posted here because your DMs are closed.');
+    }
+  }
+
+  async function deliver(r) {
+    try {
+      const result = await sendReminder(r);
+      if (result?.skipped) {
+        audited(r, 'deliver', 'denied', `${r.job} job skipped: ${result.skipped}`);
+        return finishReminder(r);
+      }
+      audited(r, 'deliver', 'ok', r.job ? `${r.job} job` : deliveryLabel(r));
+      return finishReminder(r);
+    } catch (e) {
+      const attempts = r.attempts + 1;
+      if (attempts < maxAttempts) {
+        console.error(`Failed to deliver reminder #${r.id} (attempt ${attempts}/${maxAttempts})`, e);
+        audited(r, 'deliver', 'error', `attempt ${attempts}/${maxAttempts}: ${e?.message || e}`);
+        markRetry.run({
+          id: r.id,
+          attempts,
+          retry_at_iso: DateTime.utc().plus({ milliseconds: retryDelayMs(attempts) }).toISO(),
+          last_error: String(e?.message || e)
+        });
+        return;
+      }
+      const { userId } = reminderRecipient(r);
+      if (LOST_CHANNEL_CODES.has(e?.code) && r.delivery !== 'dm' && !r.job && userId) {
+        try {
+          const user = await client.users.fetch(userId);
+          await user.send(reminderPayload(r, `\n-# Sent by DM because I can no longer post in <#${r.channel_id}>.`));
+          audited(r, 'deliver', 'ok', `by DM, <#${r.channel_id}> is unreachable`);
+          return finishReminder(r);
+        } catch (dmErr) {
+          console.error(`DM fallback failed for reminder #${r.id}`, dmErr);
+        }
+      }
+      console.error(`Giving up on reminder #${r.id} after ${attempts} attempts`, e);
+      audited(r, 'fail', 'error', `gave up after ${attempts} attempts: ${e?.message || e}`);
+      if (r.recurrence) scheduleNextRun(r);
+      else markFailed.run(String(e?.message || e), r.id);
+    }
+  }
+
+  return {
+    save,
+    get: (id) => getReminder.get(id),
+    countPending: (userId) => countPendingReminders.get(userId).n,
+    listPending: (userId, limit, offset) => listPendingReminders.all(userId, limit, offset),
+    cancel: (id, userId) => cancelReminder.run(id, userId),
+    updateText: (id, userId, text) => updateReminderText.run(text, id, userId),
+    updateTime: (id, userId, at) => updateReminderTime.run({ at, id, user_id: userId }),
+    reschedule: (id, userId, at) => rescheduleReminder.run(at, id, userId),
+    purgeFiles,
+    exportRows: (guildId) => exportReminderRows.all(guildId),
+    importRows,
+
+    /** Boot: a crash mid-send leaves claims behind, so they are released before the first tick. */
+    start() {
+      releaseStaleClaims.run();
+      purgeFiles();
+      arm();
+    },
+    stop: () => clearTimeout(schedulerTimer),
+    arm,
+    // one scheduler tick: delivers everything due now; resolves once every send has settled
+    runDue
+  };
+}
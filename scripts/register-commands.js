@@ -1,38 +1,89 @@
 import 'dotenv/config';
-import { REST, Routes, SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType } from 'discord.js';
+import { REST, Routes } from 'discord.js';
+import { commandPayload } from '../commands/definitions.js';
 
 const token = process.env.DISCORD_TOKEN;
 const clientId = process.env.DISCORD_CLIENT_ID;
 const guildId = process.env.DISCORD_GUILD_ID || null;
+const dryRun = process.argv.includes('--diff');
 
 if (!token || !clientId) {
   console.error('Missing DISCORD_TOKEN or DISCORD_CLIENT_ID in .env');
   process.exit(1);
 }
 
-const commands = [
-  new SlashCommandBuilder()
-    .setName('luna')
-    .setDescription('Chat with Luna')
-    .addStringOption(o => o.setName('message').setDescription('Your message').setRequired(true))
-    .toJSON(),
-  new ContextMenuCommandBuilder()
-    .setName('Ask Luna')
-    .setType(ApplicationCommandType.Message)
-    .toJSON()
-];
+const commands = commandPayload();
+
+// Fields Discord adds on its side, and values it reports that mean "not set".
+const SERVER_ONLY = new Set(['id', 'application_id', 'version', 'guild_id', 'name_localized', 'description_localized']);
+const DEFAULTS = { dm_permission: true, nsfw: false, required: false, autocomplete: false };
+const IGNORE_IF_UNSET = ['contexts', 'integration_types'];
+
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const k of Object.keys(value).sort()) {
+    const v = value[k];
+    if (SERVER_ONLY.has(k) || v === null || v === undefined || v === '') continue;
+    if (k in DEFAULTS && v === DEFAULTS[k]) continue;
+    if (Array.isArray(v) && v.length === 0) continue;
+    out[k] = normalize(v);
+  }
+  return out;
+}
+
+// Paths where two normalized values differ, e.g. "options.2.description".
+function diffPaths(a, b, path = '') {
+  if (JSON.stringify(a) === JSON.stringify(b)) return [];
+  const bothObjects = a && b && typeof a === 'object' && typeof b === 'object';
+  if (!bothObjects) return [path || '(root)'];
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].flatMap(k => diffPaths(a[k], b[k], path ? `${path}.${k}` : k));
+}
+
+function printDiff(local, remote) {
+  const remoteByKey = new Map(remote.map(c => [`${c.type ?? 1}:${c.name}`, c]));
+  let changes = 0;
+  for (const cmd of local) {
+    const key = `${cmd.type ?? 1}:${cmd.name}`;
+    const current = remoteByKey.get(key);
+    remoteByKey.delete(key);
+    if (!current) {
+      console.log(`+ ${cmd.name} (new)`);
+      changes++;
+      continue;
+    }
+    const want = normalize(cmd);
+    const have = normalize(current);
+    for (const k of IGNORE_IF_UNSET) if (!(k in want)) delete have[k];
+    const paths = diffPaths(want, have);
+    if (paths.length) {
+      console.log(`~ ${cmd.name} (changed: ${paths.join(', ')})`);
+      changes++;
+    } else {
+      console.log(`= ${cmd.name}`);
+    }
+  }
+  for (const stale of remoteByKey.values()) {
+    console.log(`- ${stale.name} (would be removed)`);
+    changes++;
+  }
+  console.log(changes ? `[register] ${changes} change(s); run without --diff to apply.` : '[register] Up to date.');
+}
 
 const rest = new REST({ version: '10' }).setToken(token);
+const route = guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+const scope = guildId ? `guild ${guildId}` : 'global';
 
 try {
-  if (guildId) {
-    console.log(`[register] Registering ${commands.length} commands to guild ${guildId}`);
-    await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
-    console.log('[register] Done (guild).');
+  if (dryRun) {
+    console.log(`[register] Comparing ${commands.length} commands against ${scope} registration (no changes made)`);
+    printDiff(commands, await rest.get(route));
   } else {
-    console.log(`[register] Registering ${commands.length} global commands`);
-    await rest.put(Routes.applicationCommands(clientId), { body: commands });
-    console.log('[register] Done (global).');
+    console.log(`[register] Registering ${commands.length} commands (${scope})`);
+    await rest.put(route, { body: commands });
+    console.log(`[register] Done (${guildId ? 'guild' : 'global'}).`);
   }
 } catch (err) {
   console.error(err);
@@ -0,0 +1,121 @@
+import { DateTime } from 'luxon';
+
+/**
+ * The audit log: who changed what, what the bot delivered and which Luna calls failed, per guild.
+ * - record: one entry; the KV store, the reminder service and Luna replies call it themselves
+ * - query: newest entries first, filtered by category, actor, failures only and age, for /botadmin log
+ * - stats: counts per category/action/outcome plus Luna latency and providers, for /botadmin stats
+ * - prune: drops entries older than `retentionDays`; also runs by itself at most once an hour
+ *
+ * `onRecord(entry)` sees every entry written outside a transaction (commands/audit.js mirrors them to
+ * the mod-log channel). Entries written inside one, e.g. by an import, may still be rolled back
+ * (dry runs are), so they are only stored.
+ */
+
+// entries older than this are deleted
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90);
+const PRUNE_INTERVAL_MS = 60 * 60_000;
+
+export const AUDIT_CATEGORIES = ['kv', 'reminder', 'luna', 'permission'];
+
+export function createAuditLog(db, { retentionDays = AUDIT_RETENTION_DAYS, onRecord = null } = {}) {
+  const insertEntry = db.prepare(`
+    INSERT INTO audit_log (guild_id, created_at, category, action, actor_id, subject, outcome, provider, latency_ms, detail)
+    VALUES (@guild_id, @created_at, @category, @action, @actor_id, @subject, @outcome, @provider, @latency_ms, @detail)
+  `);
+  const pruneEntries = db.prepare(`DELETE FROM audit_log WHERE created_at < ?`);
+  // NULL filters match everything
+  const FILTERS = `
+    guild_id = @guild_id AND created_at >= @since
+    AND (@category IS NULL OR category = @category)
+    AND (@actor_id IS NULL OR actor_id = @actor_id)
+    AND (@failures = 0 OR outcome <> 'ok')
+  `;
+  const listEntries = db.prepare(`
+    SELECT * FROM audit_log WHERE ${FILTERS} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset
+  `);
+  const countEntries = db.prepare(`SELECT COUNT(*) AS n FROM audit_log WHERE ${FILTERS}`);
+  const groupEntries = db.prepare(`
+    SELECT category, action, outcome, COUNT(*) AS n FROM audit_log
+    WHERE guild_id = ? AND created_at >= ? GROUP BY category, action, outcome ORDER BY category, n DESC
+  `);
+  const lunaLatency = db.prepare(`
+    SELECT provider, COUNT(*) AS n, AVG(latency_ms) AS avg_ms, MAX(latency_ms) AS max_ms FROM audit_log
+    WHERE guild_id = ? AND created_at >= ? AND category = 'luna' AND provider IS NOT NULL
+    GROUP BY provider ORDER BY n DESC
+  `);
+  const topActors = db.prepare(`
+    SELECT actor_id, COUNT(*) AS n FROM audit_log
+    WHERE guild_id = ? AND created_at >= ? AND actor_id IS NOT NULL AND category IN ('kv', 'luna')
+    GROUP BY actor_id ORDER BY n DESC LIMIT 5
+  `);
+
+  let lastPruned = 0;
+
+  function prune() {
+    lastPruned = Date.now();
+    return pruneEntries.run(DateTime.utc().minus({ days: retentionDays }).toISO()).changes;
+  }
+
+  /**
+   * Stores one entry: { guildId, category, action, actorId?, subject?, outcome = 'ok', provider?, latencyMs?, detail? }.
+   * Never throws; a broken audit log must not break the command that is being logged.
+   */
+  function record({ guildId = null, category, action, actorId = null, subject = null, outcome = 'ok', provider = null, latencyMs = null, detail = null }) {
+    const entry = {
+      guild_id: guildId,
+      created_at: new Date().toISOString(),
+      category,
+      action,
+      actor_id: actorId,
+      subject: subject == null ? null : String(subject),
+      outcome,
+      provider,
+      latency_ms: latencyMs == null ? null : Math.round(latencyMs),
+      detail: detail == null ? null : String(detail).slice(0, 500)
+    };
+    try {
+      entry.id = insertEntry.run(entry).lastInsertRowid;
+      if (!db.inTransaction && Date.now() - lastPruned > PRUNE_INTERVAL_MS) prune();
+    } catch (err) {
+      console.error('[audit] could not record entry', err);
+      return null;
+    }
+    if (onRecord && !db.inTransaction) {
+      try {
+        Promise.resolve(onRecord(entry)).catch(err => console.error('[audit] onRecord failed', err));
+      } catch (err) {
+        console.error('[audit] onRecord failed', err);
+      }
+    }
+    return entry;
+  }
+
+  function filters(guildId, { category = null, actorId = null, failures = false, days = 7 }) {
+    return {
+      guild_id: guildId,
+      since: DateTime.utc().minus({ days }).toISO(),
+      category,
+      actor_id: actorId,
+      failures: failures ? 1 : 0
+    };
+  }
+
+  return {
+    record,
+    prune,
+    /** One page of entries, newest first, and how many match in total. */
+    query(guildId, options = {}, { limit = 15, offset = 0 } = {}) {
+      const params = filters(guildId, options);
+      return { total: countEntries.get(params).n, entries: listEntries.all({ ...params, limit, offset }) };
+    },
+    stats(guildId, days = 7) {
+      const since = DateTime.utc().minus({ days }).toISO();
+      return {
+        groups: groupEntries.all(guildId, since),
+        luna: lunaLatency.all(guildId, since),
+        actors: topActors.all(guildId, since)
+      };
+    }
+  };
+}
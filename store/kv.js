@@ -0,0 +1,323 @@
+import { DateTime } from 'luxon';
+
+/**
+ * The KV store: entries, their history and the per-guild rules for changing them.
+ * - write/remove: every change goes through these and lands in kv_history (set, delete, revert, restore, import);
+ *   `author_id` is who made the change, `owner_id` (default: the same) who a new key belongs to
+ * - revert/restore: back to an earlier version, or out of the trash; deleted keys stay restorable
+ *   for `trashRetentionDays`, then their history is purged
+ * - writeDenial: the /kvperm rules (writer role, moderators, author lock, protected namespaces)
+ * - queryPage: one page of a listing or full-text search, for /kv list and /kv search
+ * - findKnowledge: entries relevant to a Luna question, minus the keys hidden from Luna
+ * - changes and refused changes are recorded in `audit` (store/audit.js) when one is passed
+ *
+ * Guild ids are the Discord guild id, or `DM-<userId>` for a user's private store.
+ */
+
+// deleted keys stay restorable from the trash this long, then their history is purged
+const KV_TRASH_RETENTION_DAYS = Number(process.env.KV_TRASH_RETENTION_DAYS || 30);
+// KV entries handed to Luna as context per question, and their total size
+const LUNA_KNOWLEDGE_LIMIT = Number(process.env.LUNA_KNOWLEDGE_LIMIT ?? 5);
+const LUNA_KNOWLEDGE_CHARS = Number(process.env.LUNA_KNOWLEDGE_CHARS ?? 2000);
+
+export const KV_PAGE_SIZE = 10;
+export const KV_SORTS = {
+  name: { label: 'name', order: 'kv.key ASC' },
+  updated: { label: 'last updated', order: 'kv.updated_at DESC' },
+  relevance: { label: 'relevance', order: 'bm25(kv_fts)' }   // search only
+};
+export const KV_SETTING_COLUMNS = ['writer_role_id', 'mod_role_id', 'lock_to_author'];
+// kv_settings as it behaves before /kvperm is ever used
+const DEFAULT_PERMISSIONS = { lock_to_author: 1 };
+
+// Words too common to say anything about which KV entries are relevant
+const KNOWLEDGE_STOPWORDS = new Set((
+  'the and are was were what who how why when where which does did for with this that these those about ' +
+  'can could would should tell please you your our there their have has will from into any all some just know luna'
+).split(' '));
+
+export function patternMatches(pattern, key) {
+  const re = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return re.test(key);
+}
+
+function escapeLike(s) { return s.replace(/[\\%_]/g, '\\$&'); }
+
+// "ship fa" -> "ship"* "fa"*; every word must match as a prefix, in key or value.
+export function ftsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu) ?? [];
+  return words.map(w => `"${w}"*`).join(' ');
+}
+
+export function createKvStore(db, {
+  trashRetentionDays = KV_TRASH_RETENTION_DAYS,
+  knowledgeLimit = LUNA_KNOWLEDGE_LIMIT,
+  knowledgeChars = LUNA_KNOWLEDGE_CHARS,
+  audit = null
+} = {}) {
+  // ---------- KV prepared statements ----------
+  const setStmt = db.prepare(`
+    INSERT INTO kv (guild_id, key, value, author_id, updated_at)
+    VALUES (@guild_id, @key, @value, @author_id, @updated_at)
+    ON CONFLICT(guild_id, key) DO UPDATE SET
+      value=excluded.value,
+      updated_at=excluded.updated_at
+  `); // author_id stays with whoever created the key
+  const getStmt = db.prepare(`SELECT value FROM kv WHERE guild_id=? AND key=?`);
+  const delStmt = db.prepare(`DELETE FROM kv WHERE guild_id=? AND key=?`);
+  const allStmt = db.prepare(`SELECT key, value FROM kv WHERE guild_id=? ORDER BY key`);
+  const getAuthorStmt = db.prepare(`SELECT author_id FROM kv WHERE guild_id=? AND key=?`);
+  const exportKvRows = db.prepare(`SELECT key, value, author_id, updated_at FROM kv WHERE guild_id=? ORDER BY key`);
+
+  // ---------- KV history prepared statements ----------
+  const insertHistory = db.prepare(`
+    INSERT INTO kv_history (guild_id, key, version, value, author_id, action, created_at)
+    VALUES (@guild_id, @key,
+      (SELECT COALESCE(MAX(version), 0) + 1 FROM kv_history WHERE guild_id=@guild_id AND key=@key),
+      @value, @author_id, @action, @created_at)
+  `);
+  const hasHistory = db.prepare(`SELECT 1 FROM kv_history WHERE guild_id=? AND key=? LIMIT 1`);
+  const getCurrentRow = db.prepare(`SELECT * FROM kv WHERE guild_id=? AND key=?`);
+  const listHistory = db.prepare(`
+    SELECT * FROM kv_history WHERE guild_id=? AND key=? ORDER BY version DESC LIMIT ?
+  `);
+  const getHistoryVersion = db.prepare(`SELECT * FROM kv_history WHERE guild_id=? AND key=? AND version=?`);
+  const listChangesSince = db.prepare(`
+    SELECT key, value, author_id, action, created_at FROM kv_history
+    WHERE guild_id=? AND created_at > ? ORDER BY created_at, id LIMIT ?
+  `);
+  const previousValue = db.prepare(`
+    SELECT * FROM kv_history WHERE guild_id=? AND key=? AND value IS NOT NULL AND version < ?
+    ORDER BY version DESC LIMIT 1
+  `);
+  const lastValue = db.prepare(`
+    SELECT * FROM kv_history WHERE guild_id=? AND key=? AND value IS NOT NULL ORDER BY version DESC LIMIT 1
+  `);
+  // keys whose latest history entry is a delete and that haven't been re-created
+  const listTrash = db.prepare(`
+    SELECT h.* FROM kv_history h
+    WHERE h.guild_id=? AND h.action='delete'
+      AND h.version = (SELECT MAX(version) FROM kv_history x WHERE x.guild_id=h.guild_id AND x.key=h.key)
+      AND NOT EXISTS (SELECT 1 FROM kv k WHERE k.guild_id=h.guild_id AND k.key=h.key)
+    ORDER BY h.created_at DESC
+  `);
+  const purgeTrash = db.prepare(`
+    DELETE FROM kv_history WHERE id IN (
+      SELECT h.id FROM kv_history h
+      WHERE NOT EXISTS (SELECT 1 FROM kv k WHERE k.guild_id=h.guild_id AND k.key=h.key)
+        AND (SELECT MAX(created_at) FROM kv_history x WHERE x.guild_id=h.guild_id AND x.key=h.key) < ?
+    )
+  `);
+
+  // ---------- KV permission prepared statements ----------
+  const getKvSettings = db.prepare(`SELECT * FROM kv_settings WHERE guild_id=?`);
+  const upsertKvSetting = (column) => db.prepare(`
+    INSERT INTO kv_settings (guild_id, ${column}) VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET ${column}=excluded.${column}
+  `);
+  const kvSettingSetters = Object.fromEntries(KV_SETTING_COLUMNS.map(c => [c, upsertKvSetting(c)]));
+  const listProtected = db.prepare(`SELECT pattern FROM kv_protected WHERE guild_id=? ORDER BY pattern`);
+  const addProtected = db.prepare(`INSERT OR IGNORE INTO kv_protected (guild_id, pattern) VALUES (?, ?)`);
+  const removeProtected = db.prepare(`DELETE FROM kv_protected WHERE guild_id=? AND pattern=?`);
+  const clearProtected = db.prepare(`DELETE FROM kv_protected WHERE guild_id=?`);
+
+  // ---------- Luna knowledge prepared statements ----------
+  const listAiExcluded = db.prepare(`SELECT pattern FROM kv_ai_excluded WHERE guild_id=? ORDER BY pattern`);
+  const addAiExcluded = db.prepare(`INSERT OR IGNORE INTO kv_ai_excluded (guild_id, pattern) VALUES (?, ?)`);
+  const removeAiExcluded = db.prepare(`DELETE FROM kv_ai_excluded WHERE guild_id=? AND pattern=?`);
+  const clearAiExcluded = db.prepare(`DELETE FROM kv_ai_excluded WHERE guild_id=?`);
+  const searchKnowledge = db.prepare(`
+    SELECT kv.key, kv.value FROM kv_fts JOIN kv ON kv.rowid = kv_fts.rowid
+    WHERE kv.guild_id = ? AND kv_fts MATCH ? ORDER BY rank LIMIT ?
+  `);
+
+  // ---------- Writes and history ----------
+  // Keys written before kv_history existed get their current value recorded first, so it can be reverted to.
+  function seedHistory(guildId, key) {
+    if (hasHistory.get(guildId, key)) return;
+    const row = getCurrentRow.get(guildId, key);
+    if (row) {
+      insertHistory.run({
+        guild_id: guildId, key, value: row.value, author_id: row.author_id, action: 'set', created_at: row.updated_at
+      });
+    }
+  }
+
+  const writeEntry = db.transaction(({ guild_id, key, value, author_id, owner_id = author_id, action = 'set' }) => {
+    const now = new Date().toISOString();
+    seedHistory(guild_id, key);
+    setStmt.run({ guild_id, key, value, author_id: owner_id, updated_at: now });
+    insertHistory.run({ guild_id, key, value, author_id, action, created_at: now });
+  });
+  const removeEntry = db.transaction((guildId, key, authorId) => {
+    seedHistory(guildId, key);
+    const info = delStmt.run(guildId, key);
+    if (info.changes) {
+      insertHistory.run({
+        guild_id: guildId, key, value: null, author_id: authorId, action: 'delete', created_at: new Date().toISOString()
+      });
+    }
+    return info;
+  });
+
+  // Audited after the entry's own transaction, so the mod-log mirror only sees committed changes.
+  function write(change) {
+    writeEntry(change);
+    audit?.record({ guildId: change.guild_id, category: 'kv', action: change.action ?? 'set', actorId: change.author_id, subject: change.key });
+  }
+  function remove(guildId, key, authorId) {
+    const info = removeEntry(guildId, key, authorId);
+    if (info.changes) audit?.record({ guildId, category: 'kv', action: 'delete', actorId: authorId, subject: key });
+    return info;
+  }
+
+  function purgeExpiredTrash() {
+    const cutoff = DateTime.utc().minus({ days: trashRetentionDays }).toISO();
+    return purgeTrash.run(cutoff).changes;
+  }
+
+  /** Restores `key` to a previous value; returns the reply text. Permission checks are the caller's job. */
+  function revert(guildId, key, version, authorId) {
+    const current = listHistory.get(guildId, key, 1);
+    if (!current && !getCurrentRow.get(guildId, key)) return `No history for **${key}**.`;
+    let target;
+    if (version) {
+      target = getHistoryVersion.get(guildId, key, version);
+      if (!target) return `**${key}** has no version ${version}.`;
+      if (target.value === null) return `Version ${version} of **${key}** is a delete; pick a version with a value.`;
+    } else {
+      target = current ? previousValue.get(guildId, key, current.version) : null;
+      if (!target) return `**${key}** has no earlier version to revert to.`;
+    }
+    write({ guild_id: guildId, key, value: target.value, author_id: authorId, action: 'revert' });
+    return `Reverted **${key}** to v${target.version} ↩️`;
+  }
+
+  function restore(guildId, key, authorId) {
+    purgeExpiredTrash();
+    if (getCurrentRow.get(guildId, key)) return `**${key}** isn't deleted.`;
+    const target = lastValue.get(guildId, key);
+    if (!target) return `**${key}** isn't in the trash.`;
+    write({ guild_id: guildId, key, value: target.value, author_id: authorId, action: 'restore' });
+    return `Restored **${key}** from v${target.version} ♻️`;
+  }
+
+  // ---------- Permissions ----------
+  /**
+   * Returns null when `actor` (see kvActor in commands/views.js) may set/delete `key` in this guild,
+   * otherwise the reason they can't, which is also recorded as a permission denial.
+   * DMs are private stores and always writable; server admins bypass every rule.
+   */
+  function writeDenial(guildId, key, actor) {
+    const reason = denialReason(guildId, key, actor);
+    if (reason) {
+      audit?.record({ guildId, category: 'permission', action: 'kv write', actorId: actor.userId, subject: key, outcome: 'denied', detail: reason });
+    }
+    return reason;
+  }
+
+  function denialReason(guildId, key, actor) {
+    if (guildId.startsWith('DM-') || actor.isAdmin) return null;
+    const settings = getKvSettings.get(guildId) ?? DEFAULT_PERMISSIONS;
+    const isMod = actor.canModerate || (settings.mod_role_id && actor.roles.includes(settings.mod_role_id));
+
+    const protectedBy = listProtected.all(guildId).find(p => patternMatches(p.pattern, key));
+    if (protectedBy && !isMod) {
+      return `\`${protectedBy.pattern}\` is a protected namespace; only moderators can change **${key}**.`;
+    }
+    if (settings.writer_role_id && !isMod && !actor.roles.includes(settings.writer_role_id)) {
+      return `Only members with the <@&${settings.writer_role_id}> role can change KV entries here.`;
+    }
+    const existing = getAuthorStmt.get(guildId, key);
+    if (settings.lock_to_author && existing && existing.author_id !== actor.userId && !isMod) {
+      return `**${key}** belongs to <@${existing.author_id}>; only they or a moderator can change it.`;
+    }
+    return null;
+  }
+
+  // ---------- Listing and search ----------
+  const kvQueryCache = new Map();
+  function kvQuery(sql) {
+    if (!kvQueryCache.has(sql)) kvQueryCache.set(sql, db.prepare(sql));
+    return kvQueryCache.get(sql);
+  }
+
+  /** One page of the guild's entries, optionally filtered by key prefix and/or full-text search. */
+  function queryPage({ guildId, prefix, search, sort }, page) {
+    const from = search ? 'kv_fts JOIN kv ON kv.rowid = kv_fts.rowid' : 'kv';
+    const where = ['kv.guild_id = @guild_id'];
+    if (search) where.push('kv_fts MATCH @match');
+    if (prefix) where.push(`kv.key LIKE @prefix ESCAPE '\\'`);
+    const params = { guild_id: guildId, match: search ? ftsQuery(search) : undefined, prefix: prefix ? escapeLike(prefix) + '%' : undefined };
+    for (const k of Object.keys(params)) if (params[k] === undefined) delete params[k];
+
+    const total = kvQuery(`SELECT COUNT(*) AS n FROM ${from} WHERE ${where.join(' AND ')}`).get(params).n;
+    const order = (search || sort !== 'relevance') ? KV_SORTS[sort].order : KV_SORTS.name.order;
+    const rows = kvQuery(`
+      SELECT kv.key, kv.value, kv.updated_at FROM ${from}
+      WHERE ${where.join(' AND ')} ORDER BY ${order} LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: KV_PAGE_SIZE, offset: page * KV_PAGE_SIZE });
+    return { total, rows };
+  }
+
+  // ---------- Luna knowledge ----------
+  /**
+   * KV entries relevant to a question: any meaningful word may match (best bm25 rank first),
+   * excluded patterns are skipped, and the result stays within `knowledgeChars`.
+   */
+  function findKnowledge(guildId, text) {
+    if (!knowledgeLimit) return [];
+    const words = [...new Set((String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? [])
+      .filter(w => w.length >= 3 && !KNOWLEDGE_STOPWORDS.has(w)))].slice(0, 16);
+    if (!words.length) return [];
+
+    const excluded = listAiExcluded.all(guildId).map(r => r.pattern);
+    const rows = searchKnowledge.all(guildId, words.map(w => `"${w}"*`).join(' OR '), knowledgeLimit * 4);
+    const picked = [];
+    let used = 0;
+    for (const row of rows) {
+      if (excluded.some(p => patternMatches(p, row.key))) continue;
+      const size = row.key.length + row.value.length;
+      if (used + size > knowledgeChars) continue;
+      used += size;
+      picked.push(row);
+      if (picked.length >= knowledgeLimit) break;
+    }
+    return picked;
+  }
+
+  return {
+    trashRetentionDays,
+    get: (guildId, key) => getStmt.get(guildId, key),
+    keys: (guildId) => allStmt.all(guildId).map(r => r.key),
+    // key, value, author_id, updated_at of every entry, by key
+    entries: (guildId) => exportKvRows.all(guildId),
+    write,
+    remove,
+    history: (guildId, key, limit) => listHistory.all(guildId, key, limit),
+    // every change to a guild's entries after `sinceIso`, oldest first (for the Luna digest)
+    changesSince: (guildId, sinceIso, limit = 200) => listChangesSince.all(guildId, sinceIso, limit),
+    trash: (guildId) => listTrash.all(guildId),
+    purgeExpiredTrash,
+    revert,
+    restore,
+
+    // the kv_settings row, or undefined before /kvperm is used; `permissions` fills in the defaults
+    permissionSettings: (guildId) => getKvSettings.get(guildId),
+    permissions: (guildId) => getKvSettings.get(guildId) ?? DEFAULT_PERMISSIONS,
+    setPermission: (guildId, column, value) => kvSettingSetters[column].run(guildId, value),
+    protectedPatterns: (guildId) => listProtected.all(guildId).map(p => p.pattern),
+    protect: (guildId, pattern) => addProtected.run(guildId, pattern),
+    unprotect: (guildId, pattern) => removeProtected.run(guildId, pattern).changes > 0,
+    clearProtected: (guildId) => clearProtected.run(guildId),
+    writeDenial,
+
+    queryPage,
+
+    aiExcluded: (guildId) => listAiExcluded.all(guildId).map(p => p.pattern),
+    excludeFromAi: (guildId, pattern) => addAiExcluded.run(guildId, pattern),
+    includeInAi: (guildId, pattern) => removeAiExcluded.run(guildId, pattern).changes > 0,
+    clearAiExcluded: (guildId) => clearAiExcluded.run(guildId),
+    findKnowledge
+  };
+}
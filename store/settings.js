@@ -0,0 +1,112 @@
+import { CONVERSATION_SCOPES, DEFAULT_SCOPE } from '../llm/context.js';
+
+/**
+ * Per-guild and per-user settings.
+ * - guild settings from /config: prefix, default timezone, Luna model, persona, memory, conversation scope,
+ *   and the mod-log channel from /botadmin modlog
+ * - Luna channel rules (allow/block), daily quotas per role and the usage counted against them
+ * - users' saved timezones, and userTZ to pick the one that applies
+ *
+ * Values a guild never set fall back to the bot-wide defaults passed in (PREFIX, DEFAULT_TZ, LUNA_DAILY_QUOTA).
+ */
+
+const PREFIX = process.env.PREFIX || '!';
+const DEFAULT_TZ = process.env.DEFAULT_TZ || 'UTC';
+// Luna requests per member per UTC day unless /config quota overrides it; 0 = unlimited
+const LUNA_DAILY_QUOTA = Number(process.env.LUNA_DAILY_QUOTA ?? 100);
+
+export const GUILD_SETTING_COLUMNS = [
+  'conversation_scope', 'prefix', 'default_tz', 'use_server_memory', 'model', 'persona', 'mod_log_channel_id'
+];
+
+export function createSettingsStore(db, { prefix = PREFIX, defaultTz = DEFAULT_TZ, dailyQuota = LUNA_DAILY_QUOTA } = {}) {
+  // ---------- Guild settings prepared statements ----------
+  const getGuildSettings = db.prepare(`SELECT * FROM guild_settings WHERE guild_id=?`);
+  const upsertGuildSetting = (column) => db.prepare(`
+    INSERT INTO guild_settings (guild_id, ${column}) VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET ${column}=excluded.${column}
+  `);
+  const guildSettingSetters = Object.fromEntries(GUILD_SETTING_COLUMNS.map(c => [c, upsertGuildSetting(c)]));
+  const listLunaChannels = db.prepare(`SELECT channel_id, mode FROM luna_channels WHERE guild_id=? ORDER BY mode, channel_id`);
+  const setLunaChannel = db.prepare(`
+    INSERT INTO luna_channels (guild_id, channel_id, mode) VALUES (?, ?, ?)
+    ON CONFLICT(guild_id, channel_id) DO UPDATE SET mode=excluded.mode
+  `);
+  const clearLunaChannel = db.prepare(`DELETE FROM luna_channels WHERE guild_id=? AND channel_id=?`);
+  const clearLunaChannels = db.prepare(`DELETE FROM luna_channels WHERE guild_id=?`);
+
+  // ---------- Luna quota prepared statements ----------
+  const listQuotas = db.prepare(`SELECT role_id, daily_limit FROM luna_quotas WHERE guild_id=? ORDER BY role_id`);
+  const setQuota = db.prepare(`
+    INSERT INTO luna_quotas (guild_id, role_id, daily_limit) VALUES (?, ?, ?)
+    ON CONFLICT(guild_id, role_id) DO UPDATE SET daily_limit=excluded.daily_limit
+  `);
+  const clearQuota = db.prepare(`DELETE FROM luna_quotas WHERE guild_id=? AND role_id=?`);
+  const clearQuotas = db.prepare(`DELETE FROM luna_quotas WHERE guild_id=?`);
+  const getUsage = db.prepare(`SELECT requests FROM luna_usage WHERE guild_id=? AND user_id=? AND day=?`);
+  const addUsage = db.prepare(`
+    INSERT INTO luna_usage (guild_id, user_id, day, requests) VALUES (?, ?, ?, 1)
+    ON CONFLICT(guild_id, user_id, day) DO UPDATE SET requests=requests + 1
+  `);
+  const purgeUsage = db.prepare(`DELETE FROM luna_usage WHERE day < ?`);
+
+  // ---------- TZ prepared statements ----------
+  const setTZ = db.prepare(`INSERT INTO users(user_id, tz) VALUES(?,?) ON CONFLICT(user_id) DO UPDATE SET tz=excluded.tz`);
+  const getTZ = db.prepare(`SELECT tz FROM users WHERE user_id=?`);
+
+  function guildSettings(guildId) {
+    return (guildId && getGuildSettings.get(guildId)) || {};
+  }
+
+  // Blocked channels never get answers; once any channel is allowed, only allowed channels do.
+  function lunaAllowedIn(guildId, channel) {
+    if (!guildId || !channel) return true;
+    const rules = listLunaChannels.all(guildId);
+    if (!rules.length) return true;
+    const ids = [channel.id, channel.isThread?.() ? channel.parentId : null].filter(Boolean);
+    const mine = rules.filter(r => ids.includes(r.channel_id));
+    if (mine.some(r => r.mode === 'block')) return false;
+    return !rules.some(r => r.mode === 'allow') || mine.some(r => r.mode === 'allow');
+  }
+
+  // The most generous of the guild default and the member's role quotas; 0 (unlimited) wins.
+  function dailyLimit(guildId, roles) {
+    if (!guildId) return dailyQuota;
+    const quotas = listQuotas.all(guildId);
+    const base = quotas.find(q => q.role_id === '')?.daily_limit ?? dailyQuota;
+    const limits = [base, ...quotas.filter(q => q.role_id && roles.includes(q.role_id)).map(q => q.daily_limit)];
+    return limits.includes(0) ? 0 : Math.max(...limits);
+  }
+
+  return {
+    defaults: { prefix, defaultTz, dailyQuota },
+    guild: guildSettings,
+    set: (guildId, column, value) => guildSettingSetters[column].run(guildId, value),
+    prefix: (guildId) => guildSettings(guildId).prefix || prefix,
+    conversationScope(guildId) {
+      const scope = guildSettings(guildId).conversation_scope;
+      return CONVERSATION_SCOPES.includes(scope) ? scope : DEFAULT_SCOPE;
+    },
+
+    lunaChannels: (guildId) => listLunaChannels.all(guildId),
+    setLunaChannel: (guildId, channelId, mode) => setLunaChannel.run(guildId, channelId, mode),
+    clearLunaChannel: (guildId, channelId) => clearLunaChannel.run(guildId, channelId),
+    clearLunaChannels: (guildId) => clearLunaChannels.run(guildId),
+    lunaAllowedIn,
+
+    quotas: (guildId) => listQuotas.all(guildId),
+    setQuota: (guildId, roleId, limit) => setQuota.run(guildId, roleId, limit),
+    clearQuota: (guildId, roleId) => clearQuota.run(guildId, roleId),
+    clearQuotas: (guildId) => clearQuotas.run(guildId),
+    dailyLimit,
+    // usage is counted per guild (or `DM-<userId>`), user and UTC day ('yyyy-mm-dd')
+    usage: (scopeId, userId, day) => getUsage.get(scopeId, userId, day)?.requests ?? 0,
+    addUsage: (scopeId, userId, day) => addUsage.run(scopeId, userId, day),
+    purgeUsage: (beforeDay) => purgeUsage.run(beforeDay),
+
+    savedTZ: (userId) => getTZ.get(userId)?.tz ?? null,
+    setUserTZ: (userId, tz) => setTZ.run(userId, tz),
+    // The user's saved timezone, else the server's default from /config, else DEFAULT_TZ.
+    userTZ: (userId, guildId) => getTZ.get(userId)?.tz || guildSettings(guildId).default_tz || defaultTz
+  };
+}
@@ -0,0 +1,563 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PermissionFlagsBits } from 'discord.js';
+import { openDatabase } from '../db/open.js';
+import { createBot } from '../bot.js';
+import { createProvider, FALLBACK_LABEL } from '../llm/provider.js';
+import { createRateLimiter } from '../llm/limits.js';
+import { buildExport } from '../data/transfer.js';
+import { createFakeClient, fakeMessage, fakeInteraction } from './support/discord.js';
+import { startLlmStub } from './support/llm-stub.js';
+
+let stub;
+before(async () => { stub = await startLlmStub(); });
+after(() => stub.close());
+
+async function bot(t, opts = {}) {
+  const { db } = await openDatabase(':memory:');
+  const client = createFakeClient();
+  const { stream } = createProvider({ lunacoreUrl: stub.url, ollamaUrl: stub.url });
+  const app = createBot({
+    client,
+    db,
+    stream,
+    limiter: createRateLimiter({ rates: {}, concurrency: {} }),
+    config: { settings: { prefix: '!' }, replies: { renderOptions: { intervalMs: 0 } } },
+    ...opts
+  });
+  t.after(() => app.stop());
+  return app;
+}
+
+const lastReply = (i) => i.calls.at(-1)[1];
+
+test('prefix commands read and write the guild\'s KV store', async (t) => {
+  const app = await bot(t);
+  const channel = app.client.fakeChannel('c1');
+
+  await app.handleMessage(fakeMessage(app.client, '!set motto "Ship fast."'));
+  await app.handleMessage(fakeMessage(app.client, '!get motto'));
+  await app.handleMessage(fakeMessage(app.client, '!get motto', { guildId: 'g2' }));
+  assert.deepEqual(channel.sent.map(m => m.content), ['Saved **motto** ✅', '**motto** = Ship fast.', 'No value for **motto**.']);
+
+  await app.handleMessage(fakeMessage(app.client, '!set motto mine now', { userId: 'u2' }));
+  assert.match(channel.sent.at(-1).content, /^⛔ \*\*motto\*\* belongs to <@u1>/);
+  assert.equal(app.kv.get('g1', 'motto').value, 'Ship fast.');
+
+  // keys are echoed back without pinging anyone
+  for (const command of ['!set @everyone hi', '!get @everyone', '!revert @everyone', '!del @everyone', '!restore @everyone']) {
+    await app.handleMessage(fakeMessage(app.client, command));
+    assert.deepEqual(channel.sent.at(-1).allowedMentions, { parse: [] }, command);
+  }
+  assert.equal(channel.sent.at(-1).content, 'Restored **@everyone** from v1 ♻️');
+});
+
+test('slash commands reply through the interaction', async (t) => {
+  const app = await bot(t);
+  const set = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'set', options: { key: 'rules', value: 'be nice' } });
+  await app.handleInteraction(set);
+  assert.deepEqual(lastReply(set), { content: 'Saved **rules** ✅', ephemeral: true, embeds: undefined, components: undefined });
+
+  const get = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'get', options: { key: 'rules' } });
+  await app.handleInteraction(get);
+  assert.equal(lastReply(get).content, '**rules** = be nice');
+
+  const ping = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'set', options: { key: 'ping', value: '@everyone <@&r1>' } });
+  await app.handleInteraction(ping);
+  const read = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'get', options: { key: 'ping' } });
+  await app.handleInteraction(read);
+  assert.deepEqual(lastReply(read).allowedMentions, { parse: [] });
+
+  const modal = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'set', options: { key: 'long' } });
+  await app.handleInteraction(modal);
+  assert.equal(modal.calls[0][0], 'showModal');
+});
+
+test('a failing command gets an error reply instead of crashing the bot', async (t) => {
+  const app = await bot(t);
+  app.commandHandlers.kv = async () => { throw new Error('boom'); };
+  const i = fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'get' });
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await app.handleInteraction(i);
+  } finally {
+    console.error = error;
+  }
+  assert.deepEqual(lastReply(i).content, 'Error while executing command.');
+});
+
+test('/remind previews the reminder and saves it on Confirm', async (t) => {
+  const app = await bot(t);
+  const remind = fakeInteraction(app.client, 'chat', { commandName: 'remind', options: { text: 'stretch', when: 'in 20m' } });
+  await app.handleInteraction(remind);
+  const preview = lastReply(remind);
+  assert.match(preview.content, /^🕒 Remind you \*\*stretch\*\* at /);
+  const confirmId = preview.components[0].components[0].custom_id;
+  assert.match(confirmId, /^remind:confirm:/);
+
+  const stranger = fakeInteraction(app.client, 'button', { customId: confirmId, userId: 'u2' });
+  await app.handleInteraction(stranger);
+  assert.equal(app.reminders.countPending('u2'), 0);
+  assert.equal(app.reminders.countPending('u1'), 0);
+
+  const confirm = fakeInteraction(app.client, 'button', { customId: confirmId });
+  await app.handleInteraction(confirm);
+  assert.match(lastReply(confirm).content, /^✅ Reminder `#1` saved for /);
+  assert.equal(app.reminders.countPending('u1'), 1);
+  assert.equal(app.reminders.get(1).text, 'stretch');
+});
+
+test('/reminders and snooze buttons refuse other people\'s reminders', async (t) => {
+  const app = await bot(t);
+  const at = new Date(Date.now() + 3_600_000).toISOString();
+  const id = app.reminders.save({
+    user_id: 'u1', channel_id: 'c1', guild_id: 'g1', text: 'stretch', run_at_iso: at, recurrence: null, created_at_iso: at,
+    target_type: null, target_id: null, delivery: null, context_link: null
+  });
+  const reminders = (userId, sub, options = {}) => fakeInteraction(app.client, 'chat', { commandName: 'reminders', sub, userId, options: { id, ...options } });
+
+  for (const i of [reminders('u2', 'cancel'), reminders('u2', 'edit', { text: 'nap', when: 'in 2h' })]) {
+    await app.handleInteraction(i);
+    assert.equal(lastReply(i).content, `❌ No pending reminder \`#${id}\` of yours.`);
+  }
+  const snooze = fakeInteraction(app.client, 'button', { customId: `snooze:${id}:1h`, userId: 'u2' });
+  await app.handleInteraction(snooze);
+  assert.equal(lastReply(snooze).content, '❌ Only the owner or recipient of this reminder can snooze it.');
+  assert.deepEqual([app.reminders.get(id).text, app.reminders.get(id).next_run_iso], ['stretch', at]);
+
+  const cancel = reminders('u1', 'cancel');
+  await app.handleInteraction(cancel);
+  assert.equal(lastReply(cancel).content, `🗑️ Cancelled reminder \`#${id}\`: **stretch**`);
+  assert.equal(app.reminders.countPending('u1'), 0);
+});
+
+test('/luna ask streams the reply from LunaCore with Stop and Regenerate buttons', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { chunks: ['Hi ', 'there!'] };
+  stub.requests.length = 0;
+  app.kv.write({ guild_id: 'g1', key: 'wifi', value: 'The wifi password is hunter2', author_id: 'u1' });
+
+  const ask = fakeInteraction(app.client, 'chat', { commandName: 'luna', sub: 'ask', options: { message: 'what is the wifi password?' } });
+  await app.handleInteraction(ask);
+  const [prompt, answer] = app.client.fakeChannel('c1').sent;
+  assert.equal(prompt.content, '**<@u1>**: what is the wifi password?');
+  assert.equal(answer.content, 'Hi there!\n\n-# 📚 From the knowledge base: `wifi`');
+  assert.deepEqual(answer.components[0].components.map(b => b.custom_id.split(':')[1]), ['regen']);
+
+  const { body } = stub.requests[0];
+  assert.equal(body.user_id, 'u1');
+  assert.match(body.messages.find(m => m.role === 'system').content, /- wifi: The wifi password is hunter2/);
+
+  stub.lunacore = { chunks: ['Second take'] };
+  const regen = fakeInteraction(app.client, 'button', { customId: answer.components[0].components[0].custom_id });
+  await app.handleInteraction(regen);
+  assert.match(answer.content, /^Second take/);
+});
+
+test('Luna is told the KV entries that match the question, except hidden ones', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { chunks: ['Fridays.'] };
+  stub.requests.length = 0;
+  app.kv.write({ guild_id: 'g1', key: 'router', value: 'The office router reboots on Fridays', author_id: 'u1' });
+  app.kv.write({ guild_id: 'g1', key: 'lunch', value: 'Pizza on Mondays', author_id: 'u1' });
+  app.kv.write({ guild_id: 'g1', key: 'secret.router', value: 'admin password is hunter2', author_id: 'u1' });
+  const exclude = fakeInteraction(app.client, 'chat', {
+    commandName: 'config', sub: 'knowledge-exclude', options: { pattern: 'secret.*' }, perms: PermissionFlagsBits.ManageGuild
+  });
+  await app.handleInteraction(exclude);
+
+  await app.handleMessage(fakeMessage(app.client, '<@bot> when does the office router reboot?'));
+  const system = stub.requests[0].body.messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  assert.match(system, /^- router: The office router reboots on Fridays$/m);
+  assert.doesNotMatch(system, /lunch|hunter2/);
+  assert.equal(app.client.fakeChannel('c1').sent.at(-1).content, 'Fridays.\n\n-# 📚 From the knowledge base: `router`');
+});
+
+test('Stop ends a streaming answer, and only its asker can stop or regenerate it', async (t) => {
+  let started;
+  const streaming = new Promise((resolve) => { started = resolve; });
+  const calls = [];
+  async function* stream({ signal }) {
+    calls.push(signal);
+    yield calls.length === 1 ? 'Thinking' : 'Fresh take';
+    if (calls.length > 1) return;
+    started();
+    await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+  }
+  const app = await bot(t, { stream });
+
+  const ask = fakeInteraction(app.client, 'chat', { commandName: 'luna', sub: 'ask', options: { message: 'think hard' } });
+  const asked = app.handleInteraction(ask);
+  await streaming;
+  const answer = app.client.fakeChannel('c1').sent[1];
+  const [stopId, regenId] = answer.components[0].components.map(b => b.custom_id);
+  assert.match(stopId, /^luna:stop:/);
+
+  const strangerStop = fakeInteraction(app.client, 'button', { customId: stopId, userId: 'u2' });
+  await app.handleInteraction(strangerStop);
+  assert.match(lastReply(strangerStop).content, /^❌ Only the person who asked/);
+  assert.equal(calls[0].aborted, false);
+
+  await app.handleInteraction(fakeInteraction(app.client, 'button', { customId: stopId }));
+  await asked;
+  assert.equal(calls[0].aborted, true);
+  assert.equal(answer.content, 'Thinking\n\n-# ⏹️ Stopped.');
+
+  const strangerRegen = fakeInteraction(app.client, 'button', { customId: regenId, userId: 'u2' });
+  await app.handleInteraction(strangerRegen);
+  assert.match(lastReply(strangerRegen).content, /^❌ Only the person who asked/);
+  assert.equal(calls.length, 1);
+
+  await app.handleInteraction(fakeInteraction(app.client, 'button', { customId: regenId }));
+  assert.equal(calls.length, 2);
+  assert.match(answer.content, /^Fresh take/);
+});
+
+test('mentions fall back to Ollama when LunaCore is down', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { status: 502 };
+  stub.ollama = { chunks: ['Local ', 'reply'] };
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    await app.handleMessage(fakeMessage(app.client, '<@bot> hello', { channelId: 'c2' }));
+  } finally {
+    console.warn = warn;
+  }
+  const [answer] = app.client.fakeChannel('c2').sent;
+  assert.equal(answer.content, `${FALLBACK_LABEL}Local reply`);
+});
+
+test('a failing mention edits an error into the reply instead of rejecting', async (t) => {
+  const app = await bot(t);
+  app.replies.start = async () => { throw new Error('boom'); };
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await app.handleMessage(fakeMessage(app.client, '<@bot> hello', { channelId: 'c5' }));
+  } finally {
+    console.error = error;
+  }
+  const [answer] = app.client.fakeChannel('c5').sent;
+  assert.match(answer.content, /^⚠️ Sorry, something went wrong/);
+});
+
+test('/luna ask is refused in channels where Luna is blocked', async (t) => {
+  const app = await bot(t);
+  app.settings.setLunaChannel('g1', 'c3', 'block');
+  const ask = fakeInteraction(app.client, 'chat', {
+    commandName: 'luna', sub: 'ask', channelId: 'c3', options: { message: 'hi' }
+  });
+  await app.handleInteraction(ask);
+  assert.equal(ask.calls.length, 1);
+  assert.equal(lastReply(ask).ephemeral, true);
+  assert.deepEqual(app.client.fakeChannel('c3').sent, []);
+});
+
+test('mentions pass image and text attachments on to Luna', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { chunks: ['Nice cat'] };
+  stub.requests.length = 0;
+  stub.files = { 'cat.png': Buffer.from('png bytes'), 'err.log': 'TypeError: x is undefined' };
+  const attachments = [
+    { name: 'cat.png', contentType: 'image/png', size: 9, url: `${stub.url}/files/cat.png` },
+    { name: 'err.log', contentType: 'text/plain', size: 25, url: `${stub.url}/files/err.log` },
+    { name: 'tool.exe', contentType: 'application/octet-stream', size: 5, url: `${stub.url}/files/tool.exe` }
+  ];
+  await app.handleMessage(fakeMessage(app.client, '<@bot> what is this?', { channelId: 'c4', attachments }));
+
+  const { body } = stub.requests.find(r => r.path === '/discord/chat/stream');
+  assert.deepEqual(body.messages, [{
+    role: 'user',
+    content: 'what is this?\n\nAttached file `err.log`:\n```log\nTypeError: x is undefined\n```',
+    images: [Buffer.from('png bytes').toString('base64')]
+  }]);
+  const [answer] = app.client.fakeChannel('c4').sent;
+  assert.equal(answer.content, 'Nice cat\n\n-# 📎 Not read: `tool.exe` (not an image or text file)');
+});
+
+test('Ask Luna works on a message with only an image, and Ollama gets it too', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { status: 503 };
+  stub.ollama = { chunks: ['A cat'] };
+  stub.requests.length = 0;
+  stub.files = { 'cat.png': Buffer.from('png bytes') };
+  const target = fakeMessage(app.client, '', {
+    channelId: 'c5', attachments: [{ name: 'cat.png', contentType: 'image/png', size: 9, url: `${stub.url}/files/cat.png` }]
+  });
+  const ask = fakeInteraction(app.client, 'context', { commandName: 'Ask Luna', channelId: 'c5', targetMessage: target });
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    await app.handleInteraction(ask);
+  } finally {
+    console.warn = warn;
+  }
+
+  const { body } = stub.requests.find(r => r.path === '/api/chat');
+  const question = body.messages.at(-1);
+  assert.equal(question.content, 'What can you tell me about the attached file(s)?');
+  assert.deepEqual(question.images, [Buffer.from('png bytes').toString('base64')]);
+  assert.equal(app.client.fakeChannel('c5').sent[0].content, `${FALLBACK_LABEL}A cat`);
+
+  const empty = fakeInteraction(app.client, 'context', { commandName: 'Ask Luna', targetMessage: fakeMessage(app.client, '') });
+  await app.handleInteraction(empty);
+  assert.equal(lastReply(empty).content, 'Message has no text or attachments.');
+});
+
+test('/schedule saves a Luna job that /reminders lists, for server managers only', async (t) => {
+  const app = await bot(t);
+  const denied = fakeInteraction(app.client, 'chat', { commandName: 'schedule', sub: 'digest', options: { repeat: 'every monday 09:00' } });
+  await app.handleInteraction(denied);
+  assert.match(lastReply(denied).content, /^⛔ You need the Manage Server permission/);
+
+  const schedule = fakeInteraction(app.client, 'chat', {
+    commandName: 'schedule', sub: 'digest', perms: PermissionFlagsBits.ManageGuild,
+    options: { repeat: 'every monday 09:00', days: 7 }
+  });
+  await app.handleInteraction(schedule);
+  assert.match(lastReply(schedule).content, /^✅ Scheduled Luna job `#1`: \*\*KV digest of the last 7 days\*\* in <#c1> at .*\n🔁 Repeats /);
+  const row = app.reminders.get(1);
+  assert.equal(row.job, 'digest');
+  assert.deepEqual(JSON.parse(row.job_options), { days: 7 });
+
+  const list = fakeInteraction(app.client, 'chat', { commandName: 'reminders', sub: 'list' });
+  await app.handleInteraction(list);
+  assert.match(lastReply(list).content, /— 🤖 KV digest of the last 7 days in <#c1>$/);
+});
+
+test('a due digest job posts a header and streams Luna\'s digest under it', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { chunks: ['Two keys ', 'changed.'] };
+  stub.requests.length = 0;
+  app.kv.write({ guild_id: 'g1', key: 'wifi', value: 'hunter2', author_id: 'u2' });
+  app.kv.remove('g1', 'wifi', 'u3');
+  const at = new Date(Date.now() - 1000).toISOString();
+  const id = app.reminders.save({
+    user_id: 'u1', channel_id: 'c6', guild_id: 'g1', text: 'digest', run_at_iso: at, recurrence: null, created_at_iso: at,
+    target_type: null, target_id: null, delivery: null, context_link: null, job: 'digest', job_options: '{"days":1}'
+  });
+
+  await app.reminders.runDue();
+  await app.jobs.idle();
+  const [header, answer] = app.client.fakeChannel('c6').sent;
+  assert.equal(header.content, `🤖 **KV digest of the last 1 day** — scheduled by <@u1> (job \`#${id}\`)`);
+  assert.equal(answer.content, 'Two keys changed.');
+  assert.equal(app.reminders.get(id).delivered, 1);
+
+  const { body } = stub.requests[0];
+  assert.equal(body.use_server_memory, false);
+  assert.match(body.messages.at(-1).content, /set `wifi` by user u2: hunter2\n- .* delete `wifi` by user u3$/);
+});
+
+test('/summarize hands Luna the channel\'s latest messages, oldest first', async (t) => {
+  const app = await bot(t);
+  stub.lunacore = { chunks: ['Ana asked, Bo answered.'] };
+  stub.requests.length = 0;
+  const channel = app.client.fakeChannel('c7');
+  const said = (id, username, content) => ({ id, content, author: { username }, createdTimestamp: Date.UTC(2026, 2, 9, 14, Number(id)) });
+  channel.history.push(said('1', 'old', 'too old'), said('2', 'ana', 'how do I deploy?'), said('3', 'bo', 'run npm run deploy'));
+
+  const summarize = fakeInteraction(app.client, 'chat', {
+    commandName: 'summarize', channelId: 'c7', options: { messages: 2 }, perms: PermissionFlagsBits.ReadMessageHistory
+  });
+  await app.handleInteraction(summarize);
+  assert.equal(lastReply(summarize).content, 'Done.');
+  const [header, answer] = channel.sent;
+  assert.equal(header.content, '🤖 **Summary of the last 2 messages** — asked for by <@u1>');
+  assert.equal(answer.content, 'Ana asked, Bo answered.');
+  assert.match(
+    stub.requests[0].body.messages.at(-1).content,
+    /\n\n\[2026-03-09 \d\d:02\] ana: how do I deploy\?\n\[2026-03-09 \d\d:03\] bo: run npm run deploy$/
+  );
+});
+
+test('/summarize needs Read Message History for the asker and the bot, and reports failures', async (t) => {
+  const app = await bot(t);
+  const channel = app.client.fakeChannel('c8');
+  const ask = (opts) => fakeInteraction(app.client, 'chat', { commandName: 'summarize', channelId: 'c8', ...opts });
+
+  const member = ask();
+  await app.handleInteraction(member);
+  assert.match(lastReply(member).content, /^⛔ You need Read Message History/);
+  const botBlind = ask({ perms: PermissionFlagsBits.ReadMessageHistory, appPerms: PermissionFlagsBits.ViewChannel });
+  await app.handleInteraction(botBlind);
+  assert.match(lastReply(botBlind).content, /^❌ I can't read this channel's message history/);
+
+  channel.messages.fetch = async () => { throw new Error('Missing Access'); };
+  const failing = ask({ perms: PermissionFlagsBits.ReadMessageHistory });
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await app.handleInteraction(failing);
+  } finally {
+    console.error = error;
+  }
+  assert.deepEqual(failing.calls.map(([method]) => method), ['reply', 'editReply']);
+  assert.match(lastReply(failing).content, /^❌ Could not write the summary/);
+  assert.deepEqual(channel.sent, []);
+});
+
+test('scheduled jobs are admitted like requests from their owner', async (t) => {
+  const app = await bot(t, { limiter: createRateLimiter({ concurrency: { guild: 1 } }) });
+  stub.lunacore = { chunks: ['Standup: ', 'ship it'] };
+  const at = new Date(Date.now() - 1000).toISOString();
+  const job = (text, channelId) => app.reminders.save({
+    user_id: 'u1', channel_id: channelId, guild_id: 'g1', text, run_at_iso: at, recurrence: null, created_at_iso: at,
+    target_type: null, target_id: null, delivery: null, context_link: null, job: 'prompt', job_options: null
+  });
+  const ids = [job('standup', 'c9'), job('retro', 'c10')];
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await app.reminders.runDue();
+  } finally {
+    console.error = error;
+  }
+  await app.jobs.idle();
+
+  const rows = ids.map(id => app.reminders.get(id));
+  assert.deepEqual(rows.map(r => r.delivered).sort(), [0, 1]);
+  assert.match(rows.find(r => !r.delivered).last_error, /over the Luna concurrency limit/);
+  assert.equal(app.settings.usage('g1', 'u1', new Date().toISOString().slice(0, 10)), 1);
+
+  // with the owner's quota used up the run is skipped, not retried
+  app.settings.setQuota('g1', '', 1);
+  const skipped = job('later', 'c11');
+  await app.reminders.runDue();
+  assert.equal(app.reminders.get(skipped).delivered, 1);
+  assert.deepEqual(app.client.fakeChannel('c11').sent, []);
+  const [entry] = app.audit.query('g1', { category: 'reminder', failures: true }).entries;
+  assert.equal(entry.outcome, 'denied');
+  assert.match(entry.detail, /quota is used up/);
+});
+
+test('/config is for server managers and its settings stick', async (t) => {
+  const app = await bot(t);
+  const config = (sub, options, perms = PermissionFlagsBits.ManageGuild) =>
+    fakeInteraction(app.client, 'chat', { commandName: 'config', sub, options, perms });
+
+  const refused = config('prefix', { prefix: '?' }, PermissionFlagsBits.ManageMessages);
+  await app.handleInteraction(refused);
+  assert.equal(lastReply(refused).content, '⛔ You need the Manage Server permission to change settings.');
+  assert.equal(app.settings.prefix('g1'), '!');
+
+  await app.handleInteraction(config('prefix', { prefix: '?' }));
+  await app.handleInteraction(config('timezone', { tz: 'Europe/Berlin' }));
+  const block = config('channel', { channel: { id: 'c2' }, mode: 'block' });
+  await app.handleInteraction(block);
+  assert.match(lastReply(block).content, /• Command prefix: `\?`\n• Default timezone: Europe\/Berlin\n/);
+  assert.equal(app.settings.userTZ('u1', 'g1'), 'Europe/Berlin');
+
+  await app.handleMessage(fakeMessage(app.client, '!set motto ignored'));
+  await app.handleMessage(fakeMessage(app.client, '?set motto kept'));
+  assert.deepEqual(app.client.fakeChannel('c1').sent.map(m => m.content), ['Saved **motto** ✅']);
+  assert.equal(app.kv.get('g1', 'motto').value, 'kept');
+
+  const ask = fakeInteraction(app.client, 'chat', { commandName: 'luna', sub: 'ask', channelId: 'c2', options: { message: 'hi' } });
+  await app.handleInteraction(ask);
+  assert.deepEqual(app.client.fakeChannel('c2').sent, []);
+});
+
+test('/botadmin shows the audit log and mirrors it to the mod-log channel', async (t) => {
+  const app = await bot(t);
+  const admin = { perms: PermissionFlagsBits.ManageGuild };
+  const modlog = fakeInteraction(app.client, 'chat', { commandName: 'botadmin', sub: 'modlog', options: { channel: { id: 'mods' } }, ...admin });
+  await app.handleInteraction(modlog);
+  assert.equal(lastReply(modlog).content, '✅ The audit log is now mirrored to <#mods>.');
+
+  stub.lunacore = { chunks: ['Hi'] };
+  await app.handleInteraction(fakeInteraction(app.client, 'chat', { commandName: 'luna', sub: 'ask', options: { message: 'hi' } }));
+  await app.handleInteraction(fakeInteraction(app.client, 'chat', { commandName: 'kv', sub: 'set', options: { key: 'rules', value: 'be nice' } }));
+  await app.handleInteraction(fakeInteraction(app.client, 'chat', { commandName: 'config', sub: 'show', userId: 'u2' }));
+
+  const mirrored = app.client.fakeChannel('mods').sent.map(m => m.content);
+  assert.equal(mirrored.length, 3);
+  assert.match(mirrored[1], /^• <t:\d+:f> \*\*kv set\*\* `rules` by <@u1>$/);
+  assert.match(mirrored[2], /^⛔ <t:\d+:f> \*\*permission command\*\* `\/config show` by <@u2> — You need the Manage Server permission/);
+
+  const log = fakeInteraction(app.client, 'chat', { commandName: 'botadmin', sub: 'log', options: { category: 'luna' }, ...admin });
+  await app.handleInteraction(log);
+  assert.match(lastReply(log).content, /^📜 Audit log \(last 7 days, luna\) — page 1\/1, 1 entries\n• <t:\d+:f> \*\*luna request\*\* in <#c1> by <@u1> via lunacore, \d+\.\d s$/);
+
+  const stats = fakeInteraction(app.client, 'chat', { commandName: 'botadmin', sub: 'stats', ...admin });
+  await app.handleInteraction(stats);
+  const lines = lastReply(stats).content.split('\n');
+  assert.deepEqual(lines.slice(1, 3), ['• KV changes: **1** (1 set)', '• Luna requests: **1** (1 ok)']);
+  assert.ok(lines.includes('• Permission denials: **1** (1 command)'));
+});
+
+test('/config import skips reminders for other servers\' channels, unmentionable roles and other people\'s DMs', async (t) => {
+  const app = await bot(t);
+  const at = new Date(Date.now() + 86_400_000).toISOString();
+  const row = (text, extra) => ({ user_id: 'u1', channel_id: 'c1', text, next_run_iso: at, ...extra });
+  const doc = buildExport({
+    guildId: 'g9',
+    kv: [],
+    reminders: [
+      row('here'),
+      row('elsewhere', { channel_id: 'x9' }),
+      row('quiet role', { target_type: 'role', target_id: 'r1' }),
+      row('open role', { target_type: 'role', target_id: 'r2', channel_id: 'c2' }),
+      row('their DMs', { target_type: 'user', target_id: 'u7', delivery: 'dm' }),
+      row('my DMs', { delivery: 'dm' })
+    ]
+  });
+  stub.files = { 'backup.json': JSON.stringify(doc) };
+  const imp = fakeInteraction(app.client, 'chat', {
+    commandName: 'config', sub: 'import',
+    options: { file: { name: 'backup.json', size: 100, url: `${stub.url}/files/backup.json` } },
+    perms: PermissionFlagsBits.ManageGuild | PermissionFlagsBits.ViewChannel | PermissionFlagsBits.SendMessages,
+    guildChannels: ['c1', 'c2'],
+    guildRoles: [{ id: 'r1', mentionable: false }, { id: 'r2', mentionable: true }]
+  });
+  await app.handleInteraction(imp);
+
+  assert.match(lastReply(imp).content, /Reminders: \*\*3\*\* added, 0 already here, ⛔ 3 not allowed/);
+  assert.deepEqual(app.reminders.exportRows('g1').map(r => r.text).sort(), ['here', 'my DMs', 'open role']);
+});
+
+test('replies start a Luna request only when they answer one of her answers', async (t) => {
+  const app = await bot(t);
+  const channel = app.client.fakeChannel('c6');
+  const reminder = { id: 'r1', channelId: 'c6', channel, author: app.client.user, content: '⏰ <@u1> stretch', components: [] };
+  const answer = {
+    id: 'a1', channelId: 'c6', channel, author: app.client.user, content: 'Stretch every hour.',
+    components: [{ components: [{ customId: 'luna:regen:old' }] }]
+  };
+  channel.history.push(reminder, answer);
+  stub.lunacore = { chunks: ['Sure'] };
+  stub.requests.length = 0;
+
+  await app.handleMessage(fakeMessage(app.client, 'done!', { channelId: 'c6', replyTo: reminder }));
+  assert.deepEqual(channel.sent, []);
+
+  await app.handleMessage(fakeMessage(app.client, 'why?', { channelId: 'c6', replyTo: answer }));
+  assert.equal(channel.sent[0].content, 'Sure');
+  const { body } = stub.requests.find(r => r.path === '/discord/chat/stream');
+  assert.deepEqual(body.messages.at(-2), { role: 'assistant', content: 'Stretch every hour.' });
+
+  // a reply to the new answer works while its run is remembered, before the history holds it
+  await app.handleMessage(fakeMessage(app.client, 'and?', { channelId: 'c6', replyTo: channel.sent[0] }));
+  assert.equal(channel.sent.length, 2);
+});
+
+test('imported KV entries keep their author from the file; the importer is recorded as making the change', async (t) => {
+  const app = await bot(t);
+  const doc = buildExport({
+    guildId: 'g9',
+    kv: [{ key: 'motto', value: 'Ship fast.', author_id: 'u7', updated_at: '2026-01-01T00:00:00.000Z' }, { key: 'anon', value: 'x' }]
+  });
+  stub.files = { 'kv.json': JSON.stringify(doc) };
+  const imp = fakeInteraction(app.client, 'chat', {
+    commandName: 'kv', sub: 'import', perms: PermissionFlagsBits.ManageGuild,
+    options: { file: { name: 'kv.json', size: 100, url: `${stub.url}/files/kv.json` } }
+  });
+  await app.handleInteraction(imp);
+
+  assert.deepEqual(app.kv.entries('g1').map(e => [e.key, e.author_id]), [['anon', 'u1'], ['motto', 'u7']]);
+  assert.deepEqual(app.kv.history('g1', 'motto', 1).map(h => [h.author_id, h.action]), [['u1', 'import']]);
+  // the author lock still lets the original author edit their key
+  assert.equal(app.kv.writeDenial('g1', 'motto', { userId: 'u7', roles: [], isAdmin: false, canModerate: false }), null);
+});
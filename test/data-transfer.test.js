@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport, kvToCSV, parseImport, planKvImport, EXPORT_VERSION } from '../data/transfer.js';
+
+const entry = (key, value, updated_at = null) => ({ key, value, author_id: null, updated_at });
+
+test('CSV round-trips quotes, commas and line breaks', () => {
+  const kv = [
+    entry('plain', 'hello', '2026-03-01T10:00:00.000Z'),
+    entry('tricky', 'a, "quoted"\nsecond line'),
+    entry('padded', ' spaces ')
+  ];
+  const parsed = parseImport(kvToCSV(kv), 'kv.csv');
+  assert.deepEqual(parsed.kv, kv);
+  assert.deepEqual(parsed.warnings, []);
+});
+
+test('reads JSON exports and bare key/value lists', () => {
+  const doc = buildExport({ guildId: 'g1', kv: [entry('a', '1')], settings: { guild: {} }, now: new Date('2026-03-01T00:00:00Z') });
+  const parsed = parseImport(JSON.stringify(doc), 'kv.json');
+  assert.equal(parsed.version, EXPORT_VERSION);
+  assert.equal(parsed.guildId, 'g1');
+  assert.deepEqual(parsed.settings, { guild: {} });
+  assert.equal(parsed.reminders, null);
+  assert.deepEqual(parseImport('[{"key":"b","value":"2"}]').kv, [entry('b', '2')]);
+});
+
+test('rejects foreign files and reports skipped entries', () => {
+  assert.throws(() => parseImport('{"hello":1}'), /not an export/);
+  assert.throws(() => parseImport('{nope'), /not valid JSON/);
+  assert.throws(() => parseImport('name,age\nx,1\n'), /header row/);
+  const parsed = parseImport(JSON.stringify([{ key: 'a', value: '1' }, { key: 'a', value: '2' }, { key: '', value: 'x' }, { key: 'n', value: 5 }]));
+  assert.deepEqual(parsed.kv, [entry('a', '2')]);
+  assert.equal(parsed.warnings.length, 2);
+});
+
+test('newer format versions are read with a warning', () => {
+  const parsed = parseImport(JSON.stringify({ format: 'neonmoon-export', version: EXPORT_VERSION + 1, kv: [], extra: true }));
+  assert.deepEqual(parsed.kv, []);
+  assert.match(parsed.warnings[0], /newer version/);
+});
+
+test('conflict modes', () => {
+  const existing = new Map([
+    ['same', { value: 'x', updated_at: '2026-03-01T00:00:00Z' }],
+    ['older', { value: 'old', updated_at: '2026-03-01T00:00:00Z' }],
+    ['newer', { value: 'mine', updated_at: '2026-03-05T00:00:00Z' }]
+  ]);
+  const incoming = [
+    entry('same', 'x'),
+    entry('older', 'theirs', '2026-03-02T00:00:00Z'),
+    entry('newer', 'theirs', '2026-03-02T00:00:00Z'),
+    entry('fresh', 'new')
+  ];
+  const keys = (plan) => Object.fromEntries(Object.entries(plan).map(([k, v]) => [k, v.map(e => e.key ?? e)]));
+  assert.deepEqual(keys(planKvImport(existing, incoming, 'merge')),
+    { create: ['fresh'], update: ['older'], unchanged: ['same'], skipped: ['newer'] });
+  assert.deepEqual(keys(planKvImport(existing, incoming, 'overwrite')),
+    { create: ['fresh'], update: ['older', 'newer'], unchanged: ['same'], skipped: [] });
+  assert.deepEqual(keys(planKvImport(existing, incoming, 'skip')),
+    { create: ['fresh'], update: [], unchanged: ['same'], skipped: ['older', 'newer'] });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { migrate, schemaVersion } from '../db/migrate.js';
+import { MIGRATIONS } from '../db/migrations.js';
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'kvdb-'));
+
+const steps = [
+  { version: 1, name: 'notes', up: (db) => db.prepare(`CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)`).run() },
+  { version: 2, name: 'notes author', up: (db) => db.prepare(`ALTER TABLE notes ADD COLUMN author TEXT`).run() }
+];
+
+test('applies pending migrations in order and records them', async () => {
+  const db = new Database(':memory:');
+  const first = await migrate(db, { migrations: steps.slice(0, 1) });
+  assert.deepEqual(first, { from: 0, to: 1, applied: [1], backup: null });
+
+  const second = await migrate(db, { migrations: [...steps].reverse() });
+  assert.deepEqual(second.applied, [2]);
+  assert.equal(schemaVersion(db), 2);
+  assert.ok(db.prepare(`PRAGMA table_info(notes)`).all().some(c => c.name === 'author'));
+  assert.deepEqual((await migrate(db, { migrations: steps })).applied, []);
+});
+
+test('a failing migration rolls back the whole batch', async () => {
+  const db = new Database(':memory:');
+  const broken = [...steps, { version: 3, name: 'broken', up: (d) => d.prepare(`ALTER TABLE missing ADD COLUMN x`).run() }];
+  await assert.rejects(migrate(db, { migrations: broken }), /no such table/);
+  assert.equal(schemaVersion(db), 0);
+  assert.equal(db.prepare(`SELECT 1 FROM sqlite_master WHERE name='notes'`).get(), undefined);
+});
+
+test('refuses a schema newer than the known migrations', async () => {
+  const db = new Database(':memory:');
+  await migrate(db, { migrations: steps });
+  await assert.rejects(migrate(db, { migrations: steps.slice(0, 1) }), /schema version 2.*only knows up to 1/);
+});
+
+test('backs up an existing database before migrating and prunes old backups', async () => {
+  const dir = tmpDir();
+  const backupDir = path.join(dir, 'backups');
+  const db = new Database(path.join(dir, 'kv.db'));
+  try {
+    // a brand-new file has nothing to back up
+    assert.equal((await migrate(db, { migrations: steps.slice(0, 1), backupDir })).backup, null);
+    db.prepare(`INSERT INTO notes (body) VALUES ('keep me')`).run();
+
+    const { backup } = await migrate(db, { migrations: steps, backupDir, now: new Date('2026-03-01T00:00:00Z') });
+    assert.match(path.basename(backup), /^kv\.db-v1-2026-03-01T00-00-00-000Z\.bak$/);
+    const copy = new Database(backup, { readonly: true });
+    assert.equal(copy.prepare(`SELECT body FROM notes`).get().body, 'keep me');
+    assert.equal(schemaVersion(copy), 1);
+    copy.close();
+
+    const more = [...steps, { version: 3, name: 'noop', up: () => {} }, { version: 4, name: 'noop', up: () => {} }];
+    await migrate(db, { migrations: more.slice(0, 3), backupDir, keepBackups: 1, now: new Date('2026-03-02T00:00:00Z') });
+    await migrate(db, { migrations: more, backupDir, keepBackups: 1, now: new Date('2026-03-03T00:00:00Z') });
+    assert.deepEqual(fs.readdirSync(backupDir), ['kv.db-v3-2026-03-03T00-00-00-000Z.bak']);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the baseline migration upgrades a database from before migrations', async () => {
+  const db = new Database(':memory:');
+  db.prepare(`CREATE TABLE reminders (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id TEXT NOT NULL, channel_id TEXT NOT NULL,
+    guild_id TEXT, text TEXT NOT NULL, run_at_iso TEXT NOT NULL, delivered INTEGER NOT NULL DEFAULT 0, created_at_iso TEXT NOT NULL)`).run();
+  db.prepare(`INSERT INTO reminders (user_id, channel_id, text, run_at_iso, created_at_iso) VALUES ('u', 'c', 'x', '2026-03-01T00:00:00Z', 'x')`).run();
+
+  assert.deepEqual((await migrate(db, { migrations: MIGRATIONS })).applied, MIGRATIONS.map(m => m.version));
+  assert.equal(db.prepare(`SELECT next_run_iso FROM reminders`).get().next_run_iso, '2026-03-01T00:00:00Z');
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readAttachments, withAttachedFiles, withImages } from '../llm/attachments.js';
+import { startLlmStub } from './support/llm-stub.js';
+
+let stub;
+before(async () => {
+  stub = await startLlmStub();
+  stub.files = {
+    'shot.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+    'app.log': 'line 1\nline 2\n',
+    'notes.md': '# Notes\n' + 'x'.repeat(100)
+  };
+});
+after(() => stub.close());
+
+const file = (name, { contentType = null, size = 10, path = name } = {}) => ({ name, contentType, size, url: `${stub.url}/files/${path}` });
+const message = (...attachments) => ({ attachments: new Map(attachments.map((a, i) => [String(i), a])) });
+
+test('reads images as base64 and text files as text', async () => {
+  const result = await readAttachments(message(
+    file('shot.png', { contentType: 'image/png' }),
+    file('app.log', { contentType: 'text/plain; charset=utf-8' })
+  ));
+  assert.deepEqual(result.images, [Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64')]);
+  assert.deepEqual(result.files, [{ name: 'app.log', content: 'line 1\nline 2\n', truncated: false }]);
+  assert.deepEqual(result.skipped, []);
+});
+
+test('skips what it can\'t or shouldn\'t read, with a reason', async () => {
+  const result = await readAttachments(message(
+    file('archive.zip', { contentType: 'application/zip' }),
+    file('logo.svg', { contentType: 'image/svg+xml' }),
+    file('huge.png', { contentType: 'image/png', size: 9 * 1024 * 1024 }),
+    file('shot.png'),
+    file('second.png', { path: 'shot.png' }),
+    file('gone.txt')
+  ), { maxImages: 1 });
+  assert.equal(result.images.length, 1);
+  assert.deepEqual(result.skipped, [
+    { name: 'archive.zip', reason: 'not an image or text file' },
+    { name: 'logo.svg', reason: 'not an image or text file' },
+    { name: 'huge.png', reason: 'larger than 8 MB' },
+    { name: 'second.png', reason: 'only 1 image per question' },
+    { name: 'gone.txt', reason: 'download failed (HTTP 404)' }
+  ]);
+});
+
+test('text is capped across all files', async () => {
+  const result = await readAttachments(message(file('app.log'), file('notes.md'), file('more.md', { path: 'app.log' })), { textMaxChars: 40 });
+  assert.deepEqual(result.files.map(f => [f.name, f.content.length, f.truncated]), [['app.log', 14, false], ['notes.md', 26, true]]);
+  assert.deepEqual(result.skipped, [{ name: 'more.md', reason: 'too much text attached' }]);
+  assert.deepEqual(await readAttachments({}), { images: [], files: [], skipped: [] });
+});
+
+test('withAttachedFiles fences each file under the question', () => {
+  assert.equal(
+    withAttachedFiles('why does it crash?', [{ name: 'app.log', content: 'boom', truncated: false }, { name: 'x.md', content: '```js\n```', truncated: true }]),
+    'why does it crash?\n\nAttached file `app.log`:\n```log\nboom\n```\n\nAttached file `x.md` (cut off, the file is longer):\n~~~md\n```js\n```\n~~~'
+  );
+  assert.equal(withAttachedFiles('plain'), 'plain');
+});
+
+test('withImages puts the images on the last user turn', () => {
+  const messages = [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }, { role: 'user', content: 'c' }];
+  assert.deepEqual(withImages(messages, ['aW1n']).map(m => m.images), [undefined, undefined, ['aW1n']]);
+  assert.equal(withImages(messages, []), messages);
+  assert.equal(messages[2].images, undefined);
+});
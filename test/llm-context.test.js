@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conversationId, replyChainMessages, isLunaAnswer, cleanContent } from '../llm/context.js';
+import { createFakeChannel } from './support/discord.js';
+
+const BOT = 'bot';
+const LUNA_BUTTONS = [{ components: [{ customId: 'luna:regen:abcd1234' }] }];
+
+// Adds messages to a fake channel's history; each one replies to the one before unless `reply: null`.
+function thread(specs, channel = createFakeChannel('c1')) {
+  let previous = null;
+  for (const [i, spec] of specs.entries()) {
+    const m = {
+      id: String(i + 1),
+      channelId: channel.id,
+      channel,
+      author: { id: spec.from ?? 'u1' },
+      content: spec.content,
+      components: spec.components ?? [],
+      reference: previous && spec.reply !== null ? { messageId: previous.id, channelId: spec.refChannel ?? channel.id } : null
+    };
+    channel.history.push(m);
+    previous = m;
+  }
+  return channel.history;
+}
+
+test('conversationId follows the guild\'s scope', () => {
+  const channel = { id: 'c1', isThread: () => false };
+  const threadChannel = { id: 't1', parentId: 'c1', isThread: () => true };
+  assert.equal(conversationId({ guildId: null, channel, userId: 'u1' }), 'DM-u1');
+  assert.equal(conversationId({ guildId: 'g1', channel, scope: 'guild' }), 'g1');
+  assert.equal(conversationId({ guildId: 'g1', channel: null }), 'g1');
+  assert.equal(conversationId({ guildId: 'g1', channel: threadChannel, scope: 'channel' }), 'g1:c1');
+  assert.equal(conversationId({ guildId: 'g1', channel: threadChannel, scope: 'thread' }), 'g1:t1');
+  assert.equal(conversationId({ guildId: 'g1', channel: threadChannel }), 'g1:t1');
+  assert.equal(conversationId({ guildId: 'g1', channel, scope: 'channel' }), 'g1:c1');
+});
+
+test('the reply chain becomes turns, oldest first, with answer parts merged', async () => {
+  const history = thread([
+    { content: '<@bot> what is a monad?' },
+    { from: BOT, content: 'A monad is…' },
+    { from: BOT, content: '…a burrito.\n-# 📚 From the knowledge base: `fp`', components: LUNA_BUTTONS },
+    { content: 'huh?' },
+    { content: 'explain again' }
+  ]);
+  assert.deepEqual(await replyChainMessages(history.at(-1), { botId: BOT }), [
+    { role: 'user', content: 'what is a monad?' },
+    { role: 'assistant', content: 'A monad is…\n\n…a burrito.' },
+    { role: 'user', content: 'huh?' }
+  ]);
+});
+
+test('/luna prompt echoes count as the user\'s turn and placeholders are skipped', async () => {
+  const history = thread([
+    { from: BOT, content: '**<@1234>**: summarize the rules' },
+    { from: BOT, content: '…' },
+    { content: 'thanks' }
+  ]);
+  assert.deepEqual(await replyChainMessages(history.at(-1), { botId: BOT }), [{ role: 'user', content: 'summarize the rules' }]);
+});
+
+test('the walk stops at the character budget, the depth limit, other channels and missing messages', async () => {
+  const history = thread([
+    { content: 'a'.repeat(50) },
+    { from: BOT, content: 'b'.repeat(50) },
+    { content: 'c'.repeat(10) },
+    { content: 'now' }
+  ]);
+  assert.deepEqual((await replyChainMessages(history.at(-1), { botId: BOT, maxChars: 70 })).map(t => t.content[0]), ['b', 'c']);
+  assert.deepEqual((await replyChainMessages(history.at(-1), { botId: BOT, maxDepth: 1 })).map(t => t.content[0]), ['c']);
+
+  const crossed = thread([{ content: 'elsewhere' }, { content: 'here', refChannel: 'c9' }]);
+  assert.deepEqual(await replyChainMessages(crossed.at(-1), { botId: BOT }), []);
+
+  const channel = createFakeChannel('c2');
+  const orphan = thread([{ content: 'deleted' }, { content: 'still here' }], channel);
+  channel.history.shift();
+  assert.deepEqual(await replyChainMessages(orphan.at(-1), { botId: BOT }), []);
+});
+
+test('only messages with Luna\'s buttons count as her answers', () => {
+  assert.equal(isLunaAnswer({ author: { id: BOT }, components: LUNA_BUTTONS }, BOT), true);
+  assert.equal(isLunaAnswer({ author: { id: BOT }, components: [{ components: [{ customId: 'snooze:4:10m' }] }] }, BOT), false);
+  assert.equal(isLunaAnswer({ author: { id: BOT }, components: [] }, BOT), false);
+  assert.equal(isLunaAnswer({ author: { id: 'u1' }, components: LUNA_BUTTONS }, BOT), false);
+  assert.equal(isLunaAnswer(null, BOT), false);
+});
+
+test('cleanContent drops mentions of the bot and status lines', () => {
+  assert.equal(cleanContent('<@!bot>, hi there\n-# ⏹️ Stopped.', BOT), 'hi there');
+});
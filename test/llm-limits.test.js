@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, parseRate } from '../llm/limits.js';
+
+function clock(start = 0) {
+  const c = { t: start, now: () => c.t };
+  return c;
+}
+
+test('parseRate reads capacity/seconds and treats empty or zero as no limit', () => {
+  assert.deepEqual(parseRate('5/60'), { capacity: 5, perMs: 60_000 });
+  assert.deepEqual(parseRate(' 2 / 1.5 '), { capacity: 2, perMs: 1500 });
+  assert.equal(parseRate(''), null);
+  assert.equal(parseRate('0/60'), null);
+  assert.equal(parseRate('five a minute'), null);
+});
+
+test('token buckets allow a burst, then refill evenly', () => {
+  const c = clock();
+  const limiter = createRateLimiter({ rates: { user: { capacity: 2, perMs: 10_000 } }, now: c.now });
+  assert.equal(limiter.acquire({ user: 'u1' }).ok, true);
+  assert.equal(limiter.acquire({ user: 'u1' }).ok, true);
+  assert.deepEqual(limiter.acquire({ user: 'u1' }), { ok: false, scope: 'user', kind: 'rate', retryAfterMs: 5000 });
+  assert.equal(limiter.acquire({ user: 'u2' }).ok, true);
+
+  c.t = 4000;
+  assert.equal(limiter.acquire({ user: 'u1' }).retryAfterMs, 1000);
+  c.t = 5000;
+  assert.equal(limiter.acquire({ user: 'u1' }).ok, true);
+  assert.deepEqual(limiter.peek('user', 'u1'), { available: 0, capacity: 2, inFlight: 0 });
+  assert.deepEqual(limiter.peek('user', 'nobody'), { available: 2, capacity: 2, inFlight: 0 });
+  assert.equal(limiter.peek('channel', 'c1').available, Infinity);
+});
+
+test('nothing is taken when any scope refuses', () => {
+  const c = clock();
+  const limiter = createRateLimiter({
+    rates: { user: { capacity: 5, perMs: 60_000 }, guild: { capacity: 1, perMs: 60_000 } },
+    now: c.now
+  });
+  assert.equal(limiter.acquire({ user: 'u1', guild: 'g1' }).ok, true);
+  assert.equal(limiter.acquire({ user: 'u1', guild: 'g1' }).scope, 'guild');
+  assert.equal(limiter.peek('user', 'u1').available, 4);
+});
+
+test('concurrency caps hold until release, which is idempotent', () => {
+  const limiter = createRateLimiter({ concurrency: { channel: 1 } });
+  const first = limiter.acquire({ channel: 'c1', user: 'u1' });
+  assert.equal(first.ok, true);
+  assert.deepEqual(limiter.acquire({ channel: 'c1', user: 'u2' }), { ok: false, scope: 'channel', kind: 'concurrency', retryAfterMs: null });
+  assert.equal(limiter.peek('channel', 'c1').inFlight, 1);
+
+  first.release();
+  first.release();
+  assert.equal(limiter.peek('channel', 'c1').inFlight, 0);
+  const second = limiter.acquire({ channel: 'c1' });
+  assert.equal(second.ok, true);
+  assert.equal(limiter.acquire({ channel: 'c1' }).ok, false);
+});
+
+test('refilled buckets are dropped, partly used ones are kept', () => {
+  const c = clock();
+  const limiter = createRateLimiter({ rates: { user: { capacity: 2, perMs: 10_000 } }, now: c.now, sweepMs: 1000 });
+  for (let i = 0; i < 50; i++) limiter.acquire({ user: `u${i}` });
+  assert.equal(limiter.size(), 50);
+
+  c.t = 2000;
+  limiter.acquire({ user: 'busy' });
+  limiter.acquire({ user: 'busy' });
+  assert.equal(limiter.size(), 51);   // none of the 50 has refilled yet
+
+  c.t = 6000;
+  limiter.acquire({ user: 'late' });
+  assert.equal(limiter.size(), 2);    // busy (emptied at 2000) is still refilling, late is new
+  assert.equal(limiter.acquire({ user: 'u0' }).ok, true);
+  assert.equal(limiter.acquire({ user: 'u0' }).ok, true);
+  assert.equal(limiter.acquire({ user: 'u0' }).ok, false);
+});
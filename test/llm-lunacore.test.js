@@ -0,0 +1,152 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { lunaChatEvents, lunaChatStream, lunaErrorKind } from '../llm/lunacore.js';
+import { startLlmStub } from './support/llm-stub.js';
+
+let stub;
+before(async () => { stub = await startLlmStub(); });
+after(() => stub.close());
+beforeEach(() => { stub.requests.length = 0; });
+
+async function events(args) {
+  const out = [];
+  for await (const ev of lunaChatEvents({ baseUrl: stub.url, text: 'hi', ...args })) out.push(ev);
+  return out;
+}
+
+async function failure(args) {
+  try {
+    await events(args);
+  } catch (err) {
+    return err;
+  }
+  assert.fail('expected the stream to fail');
+}
+
+test('emits typed delta, status, tool, usage and done events', async () => {
+  stub.lunacore = {
+    chunks: [
+      { event: 'status', data: '{"message":"Searching memory"}' },
+      { event: 'tool', data: '{"name":"web_search","query":"moon"}' },
+      'The moon',
+      { event: 'delta', data: '{"delta":" is bright"}' },
+      { event: 'ping', data: 'ignored' },
+      { event: 'usage', data: '{"prompt_tokens":12,"completion_tokens":4}' }
+    ],
+    done: { model: 'luna-7b', finish_reason: 'stop' }
+  };
+  assert.deepEqual(await events(), [
+    { type: 'status', text: 'Searching memory', data: { message: 'Searching memory' } },
+    { type: 'tool', name: 'web_search', data: { name: 'web_search', query: 'moon' } },
+    { type: 'delta', text: 'The moon' },
+    { type: 'delta', text: ' is bright' },
+    { type: 'usage', promptTokens: 12, completionTokens: 4, totalTokens: 16 },
+    { type: 'done', metadata: { model: 'luna-7b', finish_reason: 'stop' } }
+  ]);
+  assert.equal(stub.requests[0].headers.accept, 'text/event-stream');
+});
+
+test('lunaChatStream yields the text and hands the rest to onEvent', async () => {
+  stub.lunacore = { chunks: ['Hi', { event: 'usage', data: '{"total_tokens":3}' }, ' you'] };
+  const seen = [];
+  let text = '';
+  for await (const delta of lunaChatStream({ baseUrl: stub.url, text: 'hi', onEvent: (ev) => seen.push(ev.type) })) {
+    text += delta;
+  }
+  assert.equal(text, 'Hi you');
+  assert.deepEqual(seen, ['usage', 'done']);
+});
+
+test('a last frame without the closing blank line still counts', async () => {
+  stub.lunacore = { chunks: ['one', { raw: 'data: two' }], done: false };
+  assert.deepEqual((await events()).map(e => e.text), ['one', 'two']);
+});
+
+test('resumes a dropped stream with Last-Event-ID', async () => {
+  stub.lunacore = (req) => (req.headers['last-event-id']
+    ? { chunks: [{ data: ' world', id: '2' }] }
+    : { chunks: [{ data: 'Hello', id: '1', retry: 10 }, { raw: 'id: 2\ndata: half a fra' }], drop: true });
+  assert.deepEqual((await events()).map(e => e.text ?? e.type), ['Hello', ' world', 'done']);
+  assert.deepEqual(stub.requests.map(r => r.headers['last-event-id']), [undefined, '1']);
+  assert.deepEqual(stub.requests[1].body, stub.requests[0].body);
+});
+
+test('resuming leaves no abort listeners behind on the caller\'s signal', async () => {
+  stub.lunacore = (req) => (Number(req.headers['last-event-id'] ?? 0) < 2
+    ? { chunks: [{ data: 'x', id: String(Number(req.headers['last-event-id'] ?? 0) + 1), retry: 0 }], drop: true }
+    : { chunks: [{ data: '!', id: '3' }] });
+  const controller = new AbortController();
+  assert.equal((await events({ signal: controller.signal })).map(e => e.text ?? e.type).join(''), 'xx!done');
+  assert.equal(stub.requests.length, 3);
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+  stub.lunacore = { status: 500 };
+  await failure({ signal: controller.signal });
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('gives up after maxResumes and without event ids', async () => {
+  stub.lunacore = { chunks: [{ data: 'Hello', id: '1', retry: 0 }], drop: true };
+  const err = await failure({ maxResumes: 2 });
+  assert.equal(lunaErrorKind(err), 'upstream');
+  assert.match(err.message, /connection lost after 2 resumes/);
+  assert.equal(stub.requests.length, 3);
+
+  stub.lunacore = { chunks: ['Hello'], drop: true };
+  assert.match((await failure()).message, /^\[LunaCore\] connection lost: /);
+});
+
+test('HTTP errors carry their kind and status', async () => {
+  stub.lunacore = { status: 401, body: 'bad key' };
+  let err = await failure();
+  assert.equal(lunaErrorKind(err), 'auth');
+  assert.equal(err.status, 401);
+  assert.equal(err.message, '[LunaCore] /discord/chat/stream 401 bad key');
+
+  stub.lunacore = { status: 429, headers: { 'Retry-After': '7' } };
+  err = await failure();
+  assert.equal(lunaErrorKind(err), 'rate_limit');
+  assert.equal(err.retryAfterMs, 7000);
+
+  stub.lunacore = { status: 502 };
+  assert.equal(lunaErrorKind(await failure()), 'upstream');
+  stub.lunacore = { status: 504 };
+  assert.equal(lunaErrorKind(await failure()), 'timeout');
+});
+
+test('error events throw instead of being shown as text', async () => {
+  stub.lunacore = { chunks: ['Partial'], error: '{"status":429,"message":"model busy"}' };
+  const err = await failure();
+  assert.equal(lunaErrorKind(err), 'rate_limit');
+  assert.equal(err.message, '[LunaCore] stream error: model busy');
+
+  stub.lunacore = { chunks: [], error: 'plain failure' };
+  const plain = await failure();
+  assert.equal(lunaErrorKind(plain), 'upstream');
+  assert.equal(plain.message, '[LunaCore] stream error: plain failure');
+});
+
+test('connection failures and timeouts are told apart from aborts', async () => {
+  assert.equal(lunaErrorKind(await failure({ baseUrl: 'http://127.0.0.1:9' })), 'upstream');
+
+  const slow = await new Promise((resolve) => {
+    import('node:http').then(({ default: http }) => {
+      const server = http.createServer(() => {});   // never answers
+      server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  });
+  try {
+    const err = await failure({ baseUrl: `http://127.0.0.1:${slow.address().port}`, timeoutMs: 50 });
+    assert.equal(lunaErrorKind(err), 'timeout');
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const aborted = await failure({ baseUrl: `http://127.0.0.1:${slow.address().port}`, signal: controller.signal });
+    assert.equal(lunaErrorKind(aborted), null);
+    assert.equal(aborted.name, 'AbortError');
+  } finally {
+    slow.closeAllConnections();
+    slow.close();
+  }
+});
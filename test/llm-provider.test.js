@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, FALLBACK_LABEL } from '../llm/provider.js';
+import { startLlmStub } from './support/llm-stub.js';
+
+let stub;
+before(async () => { stub = await startLlmStub(); });
+after(() => stub.close());
+beforeEach(() => {
+  stub.lunacore = { chunks: ['Hello', ' there'] };
+  stub.ollama = { chunks: ['Local', ' answer'] };
+  stub.requests.length = 0;
+});
+
+const provider = (opts) => createProvider({ lunacoreUrl: stub.url, ollamaUrl: stub.url, ...opts });
+
+async function collect(gen) {
+  let text = '';
+  for await (const delta of gen) text += delta;
+  return text;
+}
+
+test('streams LunaCore SSE frames and sends the request body', async () => {
+  const { stream, health } = provider();
+  const text = await collect(stream({ userId: 'u1', userName: 'Ana', guildId: 'g1', text: 'hi', userTz: 'Europe/Berlin' }));
+  assert.equal(text, 'Hello there');
+  assert.equal(stub.requests.length, 1);
+  const { path, body } = stub.requests[0];
+  assert.equal(path, '/discord/chat/stream');
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'hi' }]);
+  assert.equal(body.user_tz, 'Europe/Berlin');
+  assert.equal(health().lunacore.state, 'closed');
+});
+
+test('keeps multi-line data frames and leading spaces intact', async () => {
+  stub.lunacore = { chunks: ['line one\nline two', '  indented'] };
+  assert.equal(await collect(provider().stream({ text: 'hi' })), 'line one\nline two  indented');
+});
+
+test('falls back to Ollama NDJSON when LunaCore fails before the first chunk', async () => {
+  stub.lunacore = { status: 503, body: 'maintenance' };
+  const { stream, health } = provider();
+  const text = await collect(stream({ text: 'hi', userName: 'Ana' }));
+  assert.equal(text, `${FALLBACK_LABEL}Local answer`);
+  assert.deepEqual(stub.requests.map(r => r.path), ['/discord/chat/stream', '/api/chat']);
+  const local = stub.requests[1].body;
+  assert.equal(local.stream, true);
+  assert.equal(local.messages[0].role, 'system');
+  assert.deepEqual(local.messages.at(-1), { role: 'user', content: 'hi' });
+  assert.equal(health().lunacore.failures, 1);
+  assert.match(health().lunacore.lastError, /503 maintenance/);
+});
+
+test('an error event mid-stream is rethrown instead of falling back', async () => {
+  stub.lunacore = { chunks: ['Half'], error: 'model crashed' };
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const delta of provider().stream({ text: 'hi' })) seen.push(delta);
+  }, /stream error: model crashed/);
+  assert.deepEqual(seen, ['Half']);
+  assert.deepEqual(stub.requests.map(r => r.path), ['/discord/chat/stream']);
+});
+
+test('the breaker skips LunaCore while open and probes it again after the cooldown', async () => {
+  stub.lunacore = { status: 500 };
+  const { stream, health } = provider({ threshold: 2, cooldownMs: 50 });
+  await collect(stream({ text: 'one' }));
+  await collect(stream({ text: 'two' }));
+  assert.equal(health().lunacore.state, 'open');
+
+  stub.requests.length = 0;
+  await collect(stream({ text: 'three' }));
+  assert.deepEqual(stub.requests.map(r => r.path), ['/api/chat']);
+
+  await new Promise(r => setTimeout(r, 60));
+  stub.lunacore = { chunks: ['back'] };
+  assert.equal(await collect(stream({ text: 'four' })), 'back');
+  assert.equal(health().lunacore.state, 'closed');
+});
+
+test('reports every failure when no provider answers', async () => {
+  stub.lunacore = { status: 500, body: 'core down' };
+  stub.ollama = { status: 404, body: 'model not found' };
+  await assert.rejects(collect(provider().stream({ text: 'hi' })), (err) => {
+    assert.match(err.message, /No Luna provider available: .*core down.*model not found/);
+    assert.deepEqual(err.errors.map(e => e.kind), ['upstream', undefined]);
+    return true;
+  });
+});
+
+test('aborting stops the stream without counting a failure', async () => {
+  const { stream, health } = provider();
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(collect(stream({ text: 'hi', signal: controller.signal })));
+  assert.equal(health().lunacore.failures, 0);
+  assert.equal(stub.requests.length, 0);
+});
+
+test('an aborted half-open probe reopens the breaker instead of blocking LunaCore for good', async () => {
+  stub.lunacore = { status: 500 };
+  const { stream, health } = provider({ threshold: 1, cooldownMs: 30 });
+  await collect(stream({ text: 'one' }));
+  assert.equal(health().lunacore.state, 'open');
+
+  await new Promise(r => setTimeout(r, 40));
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(collect(stream({ text: 'stopped probe', signal: controller.signal })));
+  assert.equal(health().lunacore.state, 'open');
+
+  await new Promise(r => setTimeout(r, 40));
+  stub.lunacore = { chunks: ['a', 'b'] };
+  for await (const delta of stream({ text: 'read one chunk' })) {
+    assert.equal(delta, 'a');
+    break;
+  }
+  assert.equal(health().lunacore.state, 'open');
+
+  await new Promise(r => setTimeout(r, 40));
+  stub.requests.length = 0;
+  assert.equal(await collect(stream({ text: 'back' })), 'ab');
+  assert.deepEqual(stub.requests.map(r => r.path), ['/discord/chat/stream']);
+  assert.equal(health().lunacore.state, 'closed');
+  assert.equal(health().lunacore.failures, 0);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitForDiscord, renderStream } from '../llm/render.js';
+import { createLunaReplies } from '../llm/replies.js';
+import { createFakeChannel, sentMessage } from './support/discord.js';
+
+const fences = (chunk) => chunk.split('\n').filter(l => /^\s*(`{3,}|~{3,})/.test(l));
+
+async function* deltas(...parts) {
+  for (const p of parts) yield p;
+}
+
+test('short text stays in one chunk', () => {
+  assert.deepEqual(splitForDiscord('hello'), ['hello']);
+  assert.deepEqual(splitForDiscord(''), ['']);
+});
+
+test('paragraphs are kept whole when they fit', () => {
+  const para = (c) => `${c.repeat(60)}\n${c.repeat(60)}`;
+  const chunks = splitForDiscord([para('a'), para('b'), para('c')].join('\n\n'), 300);
+  assert.deepEqual(chunks, [`${para('a')}\n\n${para('b')}`, para('c')]);
+});
+
+test('a long code block is closed and reopened with its language in every chunk', () => {
+  const lines = Array.from({ length: 40 }, (_, i) => `console.log(${i}); // line ${i}`);
+  const text = `Here you go:\n\`\`\`js\n${lines.join('\n')}\n\`\`\`\nDone.`;
+  const chunks = splitForDiscord(text, 300);
+
+  assert.ok(chunks.length > 2);
+  for (const [i, chunk] of chunks.entries()) {
+    assert.ok(chunk.length <= 300, `chunk ${i} is ${chunk.length} long`);
+    assert.equal(fences(chunk).length % 2, 0, `chunk ${i} leaves a fence open`);
+    if (i > 0 && i < chunks.length - 1) assert.ok(chunk.startsWith('```js\n'));
+  }
+  const code = chunks.flatMap(c => c.split('\n')).filter(l => l.startsWith('console.log'));
+  assert.deepEqual(code, lines);
+});
+
+test('a single line longer than a message is cut at spaces, or anywhere without them', () => {
+  const words = Array.from({ length: 200 }, (_, i) => `word${i}`);
+  const chunks = splitForDiscord(words.join(' '), 200);
+  assert.ok(chunks.every(c => c.length <= 200));
+  assert.deepEqual(chunks.join(' ').split(' '), words);
+
+  const blob = 'x'.repeat(1000);
+  const pieces = splitForDiscord(blob, 200);
+  assert.ok(pieces.every(c => c.length <= 200));
+  assert.equal(pieces.join(''), blob);
+});
+
+test('fences inside a longer fence do not close it', () => {
+  const inner = Array.from({ length: 30 }, (_, i) => `let v${i} = ${i};`);
+  const text = `\`\`\`\`md\nExample:\n\`\`\`js\n${inner.join('\n')}\n\`\`\`\n\`\`\`\``;
+  const chunks = splitForDiscord(text, 200);
+
+  assert.ok(chunks.length > 1);
+  for (const [i, chunk] of chunks.entries()) {
+    assert.ok(chunk.length <= 200);
+    assert.ok(chunk.startsWith('````md\n'), `chunk ${i} does not reopen the outer fence`);
+    assert.ok(chunk.endsWith('\n````'), `chunk ${i} does not close the outer fence`);
+  }
+  assert.deepEqual(chunks.flatMap(c => c.split('\n')).filter(l => l.startsWith('let ')), inner);
+});
+
+test('a failed edit ends the render without throwing', async () => {
+  const channel = createFakeChannel('c1');
+  const first = sentMessage({ content: '…' }, channel);
+  first.edit = async () => { throw new Error('Unknown Message'); };
+  const { error } = console;
+  console.error = () => {};
+  let result;
+  try {
+    result = await renderStream(deltas('Hello', ' there'), first, { intervalMs: 0 });
+  } finally {
+    console.error = error;
+  }
+  assert.equal(result.error.message, 'Unknown Message');
+});
+
+test('a run whose message was deleted still expires', async () => {
+  const replies = createLunaReplies({ stream: () => deltas('Hi'), runTtlMs: 0, renderOptions: { intervalMs: 0 } });
+  const out = sentMessage({ content: '…' }, createFakeChannel('c1'));
+  const attempts = [];
+  out.edit = async (payload) => {
+    attempts.push(payload);
+    throw new Error('Unknown Message');
+  };
+  let released = 0;
+  const { error } = console;
+  console.error = () => {};
+  try {
+    const result = await replies.start(out, { ownerId: 'u1', args: { channelId: 'c1' }, release: () => released++ });
+    assert.equal(result.error.message, 'Unknown Message');
+  } finally {
+    console.error = error;
+  }
+  assert.equal(released, 1);
+  const token = attempts[0].components[0].toJSON().components[0].custom_id.split(':')[2];
+  await new Promise(r => setTimeout(r, 5));
+  assert.equal(replies.find(token), null);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSSEParser, readSSE } from '../llm/sse.js';
+
+function parseAll(...chunks) {
+  const parser = createSSEParser();
+  const events = chunks.flatMap(c => parser.push(c));
+  return { events: [...events, ...parser.end()], parser };
+}
+
+test('dispatches events on blank lines with the spec\'s field rules', () => {
+  const { events } = parseAll(
+    ': keep-alive\n',
+    'data: first\n\n',
+    'event: status\ndata:  two spaces\ndata\n\n',
+    'data:no space\nunknown: ignored\n\n'
+  );
+  assert.deepEqual(events, [
+    { event: 'message', data: 'first', id: '' },
+    { event: 'status', data: ' two spaces\n', id: '' },
+    { event: 'message', data: 'no space', id: '' }
+  ]);
+});
+
+test('handles CRLF, CR and line ends split across chunks', () => {
+  const { events } = parseAll('\uFEFFdata: a\r', '\ndata: b\r\r', 'data: c\r\n', '\r\n');
+  assert.deepEqual(events.map(e => e.data), ['a\nb', 'c']);
+});
+
+test('ids carry over to later events and retry only takes digits', () => {
+  const { events, parser } = parseAll('id: 7\ndata: a\n\n', 'data: b\n\n', 'retry: soon\nretry: 2500\nid: x\0y\n\n');
+  assert.deepEqual(events.map(e => e.id), ['7', '7']);
+  assert.equal(parser.state.lastEventId, '7');
+  assert.equal(parser.state.retry, 2500);
+});
+
+test('empty events are skipped but named ones without data are kept', () => {
+  const { events } = parseAll('\n\nid: 3\n\nevent: done\n\n');
+  assert.deepEqual(events, [{ event: 'done', data: '', id: '3' }]);
+});
+
+test('the last event is kept when the stream ends without a blank line', () => {
+  assert.deepEqual(parseAll('data: a\n\ndata: tail').events.map(e => e.data), ['a', 'tail']);
+});
+
+test('reset drops a half-received event but keeps the last id', () => {
+  const parser = createSSEParser();
+  parser.push('id: 4\ndata: done\n\ndata: half');
+  parser.reset();
+  assert.deepEqual(parser.push('data: fresh\n\n'), [{ event: 'message', data: 'fresh', id: '4' }]);
+});
+
+test('readSSE decodes multi-byte characters split across chunks', async () => {
+  const bytes = Buffer.from('data: héllo 🌙\n\n');
+  const body = [bytes.subarray(0, 8), bytes.subarray(8, 15), bytes.subarray(15)];
+  const events = [];
+  for await (const e of readSSE(body)) events.push(e);
+  assert.deepEqual(events, [{ event: 'message', data: 'héllo 🌙', id: '' }]);
+});
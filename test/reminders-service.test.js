@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { openDatabase } from '../db/open.js';
+import { createSettingsStore } from '../store/settings.js';
+import { createReminderService } from '../reminders/service.js';
+import { createFakeClient } from './support/discord.js';
+
+async function service(clientOpts, opts) {
+  const { db } = await openDatabase(':memory:');
+  const client = createFakeClient(clientOpts);
+  const reminders = createReminderService({ db, client, settings: createSettingsStore(db), ...opts });
+  return { db, client, reminders };
+}
+
+function reminder(fields = {}) {
+  const at = DateTime.utc().minus({ seconds: 5 }).toISO();
+  return {
+    user_id: 'u1', channel_id: 'c1', guild_id: 'g1', text: 'stretch', run_at_iso: at, recurrence: null,
+    created_at_iso: at, target_type: null, target_id: null, delivery: null, context_link: null, ...fields
+  };
+}
+
+test('delivers due reminders to their channel with snooze buttons and files', async (t) => {
+  const { client, reminders } = await service();
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder(), [{ name: 'notes.txt', data: Buffer.from('hi') }]);
+  reminders.save(reminder({ text: 'later', run_at_iso: DateTime.utc().plus({ hours: 1 }).toISO() }));
+
+  await reminders.runDue();
+  const [sent] = client.fakeChannel('c1').sent;
+  assert.equal(client.fakeChannel('c1').sent.length, 1);
+  assert.equal(sent.content, '⏰ <@u1> Reminder: **stretch**');
+  assert.equal(sent.components[0].components[0].custom_id, `snooze:${id}:10m`);
+  assert.deepEqual(sent.files.map(f => f.name), ['notes.txt']);
+  assert.deepEqual(sent.allowedMentions, { users: ['u1'] });
+  assert.equal(reminders.get(id).delivered, 1);
+  assert.equal(reminders.countPending('u1'), 1);
+});
+
+test('pings the target and names the creator', async (t) => {
+  const { client, reminders } = await service();
+  t.after(() => reminders.stop());
+  reminders.save(reminder({ target_type: 'role', target_id: 'r1', text: 'deploy' }));
+  await reminders.runDue();
+  const [sent] = client.fakeChannel('c1').sent;
+  assert.equal(sent.content, '⏰ <@&r1> Reminder: **deploy** (from <@u1>)');
+  assert.deepEqual(sent.allowedMentions, { roles: ['r1'] });
+});
+
+test('DM reminders go to the channel when the recipient\'s DMs are closed', async (t) => {
+  const { client, reminders } = await service({ closedDms: ['u2'] });
+  t.after(() => reminders.stop());
+  reminders.save(reminder({ delivery: 'dm', text: 'open dms' }));
+  reminders.save(reminder({ delivery: 'dm', target_type: 'user', target_id: 'u2', text: 'closed dms' }));
+
+  await reminders.runDue();
+  assert.deepEqual(client.fakeUser('u1').dms.map(m => m.content), ['⏰ <@u1> Reminder: **open dms**']);
+  const [fallback] = client.fakeChannel('c1').sent;
+  assert.match(fallback.content, /^⏰ <@u2> Reminder: \*\*closed dms\*\* \(from <@u1>\)\n-# Posted here because your DMs are closed\.$/);
+});
+
+test('a reminder claimed by another tick is not delivered twice', async (t) => {
+  const { db, client, reminders } = await service();
+  const other = createReminderService({ db, client, settings: createSettingsStore(db) });
+  t.after(() => { reminders.stop(); other.stop(); });
+  const id = reminders.save(reminder());
+
+  await Promise.all([reminders.runDue(), other.runDue()]);
+  assert.equal(client.fakeChannel('c1').sent.length, 1);
+  assert.equal(reminders.get(id).delivered, 1);
+});
+
+test('start releases claims left behind by a crash', async (t) => {
+  const { db, client, reminders } = await service();
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder());
+  db.prepare('UPDATE reminders SET claimed_at=? WHERE id=?').run(DateTime.utc().minus({ minutes: 5 }).toISO(), id);
+
+  await reminders.runDue();
+  assert.deepEqual(client.fakeChannel('c1').sent, []);
+
+  reminders.start();
+  reminders.stop();
+  assert.equal(reminders.get(id).claimed_at, null);
+  await reminders.runDue();
+  assert.equal(client.fakeChannel('c1').sent.length, 1);
+});
+
+test('reminders delivered past the grace period say they are late', async (t) => {
+  const { client, reminders } = await service(undefined, { lateGraceMs: 60_000 });
+  t.after(() => reminders.stop());
+  const due = DateTime.utc().minus({ minutes: 10 });
+  reminders.save(reminder({ text: 'late', run_at_iso: due.toISO() }));
+  reminders.save(reminder({ text: 'on time' }));
+
+  await reminders.runDue();
+  const contents = client.fakeChannel('c1').sent.map(m => m.content).sort();
+  assert.deepEqual(contents, [
+    `⏰ <@u1> Reminder: **late** _(late — was due <t:${Math.floor(due.toSeconds())}:R>)_`,
+    '⏰ <@u1> Reminder: **on time**'
+  ]);
+});
+
+test('failed sends are retried with backoff', async (t) => {
+  const { client, reminders } = await service({ missingChannels: ['gone'] });
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder({ channel_id: 'gone' }));
+
+  await reminders.runDue();
+  const row = reminders.get(id);
+  assert.equal(row.delivered, 0);
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, 'Unknown Channel');
+  assert.ok(Date.parse(row.retry_at_iso) > Date.now());
+
+  await reminders.runDue();   // the retry isn't due yet
+  assert.equal(reminders.get(id).attempts, 1);
+  assert.deepEqual(client.fakeUser('u1').dms, []);
+});
+
+test('the last attempt goes out by DM when the channel is gone', async (t) => {
+  const { client, reminders } = await service({ missingChannels: ['gone'] }, { maxAttempts: 1 });
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder({ channel_id: 'gone' }));
+
+  await reminders.runDue();
+  assert.match(client.fakeUser('u1').dms[0].content, /\*\*stretch\*\*\n-# Sent by DM because I can no longer post in <#gone>\.$/);
+  assert.equal(reminders.get(id).delivered, 1);
+});
+
+test('recurring reminders stay pending with their next run', async (t) => {
+  const { client, reminders } = await service();
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder({ recurrence: JSON.stringify({ type: 'daily', interval: 1, hour: 9, minute: 0 }) }));
+  const before = reminders.get(id).next_run_iso;
+
+  await reminders.runDue();
+  assert.equal(client.fakeChannel('c1').sent.length, 1);
+  const row = reminders.get(id);
+  assert.equal(row.delivered, 0);
+  assert.ok(row.next_run_iso > before);
+});
+
+test('job rows are handed to runJob with their channel and never go out by DM', async (t) => {
+  const runs = [];
+  const { client, reminders } = await service({ missingChannels: ['gone'] }, {
+    maxAttempts: 1,
+    runJob: async (r, channel) => { runs.push([r.job, channel.id]); }
+  });
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder({ job: 'prompt', text: 'standup checklist' }));
+  const lost = reminders.save(reminder({ job: 'digest', channel_id: 'gone' }));
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await reminders.runDue();
+  } finally {
+    console.error = error;
+  }
+
+  assert.deepEqual(runs, [['prompt', 'c1']]);
+  assert.deepEqual(client.fakeChannel('c1').sent, []);
+  assert.equal(reminders.get(id).delivered, 1);
+  assert.deepEqual(client.fakeUser('u1').dms, []);
+  assert.equal(reminders.get(lost).last_error, 'Unknown Channel');
+});
+
+test('jobs survive export and import; unknown job kinds are rejected', async (t) => {
+  const { reminders } = await service();
+  t.after(() => reminders.stop());
+  reminders.save(reminder({ job: 'summarize', job_options: '{"messages":30}', run_at_iso: DateTime.utc().plus({ days: 1 }).toISO() }));
+  const [row] = reminders.exportRows('g1');
+  assert.equal(row.job, 'summarize');
+
+  assert.deepEqual(reminders.importRows('g2', [row, { ...row, job: 'shell' }, { ...row, job_options: '{nope' }]), { added: 1, existing: 0, invalid: 2, denied: 0 });
+  assert.deepEqual(reminders.exportRows('g2').map(r => [r.job, r.job_options]), [['summarize', '{"messages":30}']]);
+});
+
+test('creations, deliveries and failed attempts go to the audit log', async (t) => {
+  const entries = [];
+  const { reminders } = await service({ missingChannels: ['gone'] }, { audit: { record: (e) => entries.push(e) } });
+  t.after(() => reminders.stop());
+  const id = reminders.save(reminder());
+  const lost = reminders.save(reminder({ channel_id: 'gone' }));
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await reminders.runDue();
+  } finally {
+    console.error = error;
+  }
+
+  // both are delivered at once, in no particular order
+  const summary = (e) => [e.action, e.subject, e.outcome ?? 'ok'];
+  assert.deepEqual(entries.slice(0, 2).map(summary), [['create', `#${id}`, 'ok'], ['create', `#${lost}`, 'ok']]);
+  assert.deepEqual(entries.slice(2).map(summary).sort(), [['deliver', `#${id}`, 'ok'], ['deliver', `#${lost}`, 'error']]);
+  assert.equal(entries.find(e => e.outcome === 'error').detail, 'attempt 1/5: Unknown Channel');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../db/open.js';
+import { createAuditLog } from '../store/audit.js';
+import { createKvStore } from '../store/kv.js';
+import { createModLogMirror } from '../commands/audit.js';
+
+async function audited(opts) {
+  const { db } = await openDatabase(':memory:');
+  const seen = [];
+  const audit = createAuditLog(db, { onRecord: (e) => seen.push(e), ...opts });
+  return { db, audit, seen, kv: createKvStore(db, { audit }) };
+}
+
+const member = (userId) => ({ userId, roles: [], isAdmin: false, canModerate: false });
+
+test('KV changes and refused writes are recorded', async () => {
+  const { audit, kv } = await audited();
+  kv.write({ guild_id: 'g1', key: 'motto', value: 'ship it', author_id: 'u1' });
+  kv.remove('g1', 'motto', 'u2');
+  kv.remove('g1', 'missing', 'u2');
+  kv.setPermission('g1', 'lock_to_author', 1);
+  kv.write({ guild_id: 'g1', key: 'rules', value: 'be nice', author_id: 'u1' });
+  assert.match(kv.writeDenial('g1', 'rules', member('u3')), /belongs to <@u1>/);
+
+  const { total, entries } = audit.query('g1');
+  assert.equal(total, 4);
+  assert.deepEqual(entries.map(e => [e.category, e.action, e.actor_id, e.subject, e.outcome]), [
+    ['permission', 'kv write', 'u3', 'rules', 'denied'],
+    ['kv', 'set', 'u1', 'rules', 'ok'],
+    ['kv', 'delete', 'u2', 'motto', 'ok'],
+    ['kv', 'set', 'u1', 'motto', 'ok']
+  ]);
+  assert.deepEqual(audit.query('g1', { failures: true }).entries.map(e => e.outcome), ['denied']);
+  assert.deepEqual(audit.query('g1', { category: 'kv', actorId: 'u2' }).entries.map(e => e.subject), ['motto']);
+  assert.equal(audit.query('g2').total, 0);
+});
+
+test('entries written inside a transaction are stored but not passed on, and roll back with it', async () => {
+  const { db, audit, kv, seen } = await audited();
+  kv.write({ guild_id: 'g1', key: 'a', value: '1', author_id: 'u1' });
+  db.transaction(() => kv.write({ guild_id: 'g1', key: 'b', value: '2', author_id: 'u1', action: 'import' }))();
+  assert.throws(() => db.transaction(() => {
+    kv.write({ guild_id: 'g1', key: 'c', value: '3', author_id: 'u1', action: 'import' });
+    throw new Error('dry run');
+  })());
+
+  assert.deepEqual(seen.map(e => e.subject), ['a']);
+  assert.deepEqual(audit.query('g1').entries.map(e => e.subject), ['b', 'a']);
+});
+
+test('stats group by category and outcome with Luna latency per provider', async () => {
+  const { audit } = await audited();
+  audit.record({ guildId: 'g1', category: 'luna', action: 'request', actorId: 'u1', provider: 'lunacore', latencyMs: 1000 });
+  audit.record({ guildId: 'g1', category: 'luna', action: 'request', actorId: 'u1', provider: 'lunacore', latencyMs: 3000 });
+  audit.record({ guildId: 'g1', category: 'luna', action: 'request', actorId: 'u2', outcome: 'error', detail: 'x'.repeat(600) });
+  audit.record({ guildId: 'g1', category: 'reminder', action: 'create', actorId: 'u2', subject: 7 });
+
+  const { groups, luna, actors } = audit.stats('g1');
+  assert.deepEqual(groups, [
+    { category: 'luna', action: 'request', outcome: 'ok', n: 2 },
+    { category: 'luna', action: 'request', outcome: 'error', n: 1 },
+    { category: 'reminder', action: 'create', outcome: 'ok', n: 1 }
+  ]);
+  assert.deepEqual(luna, [{ provider: 'lunacore', n: 2, avg_ms: 2000, max_ms: 3000 }]);
+  assert.deepEqual(actors, [{ actor_id: 'u1', n: 2 }, { actor_id: 'u2', n: 1 }]);
+  assert.equal(audit.query('g1', { failures: true }).entries[0].detail.length, 500);
+});
+
+test('prune drops entries past the retention period', async () => {
+  const { db, audit } = await audited({ retentionDays: 30 });
+  audit.record({ guildId: 'g1', category: 'kv', action: 'set' });
+  db.prepare(`UPDATE audit_log SET created_at=?`).run(new Date(Date.now() - 31 * 86_400_000).toISOString());
+  audit.record({ guildId: 'g1', category: 'kv', action: 'delete' });
+  assert.equal(audit.prune(), 1);
+  assert.deepEqual(audit.query('g1', { days: 90 }).entries.map(e => e.action), ['delete']);
+});
+
+test('a failing onRecord hook is logged, not thrown or left unhandled', async () => {
+  const { db } = await openDatabase(':memory:');
+  const failures = [];
+  const { error } = console;
+  console.error = (...args) => failures.push(args[0]);
+  try {
+    const throwing = createAuditLog(db, { onRecord: () => { throw new Error('sync'); } });
+    assert.ok(throwing.record({ guildId: 'g1', category: 'kv', action: 'set' }));
+    const rejecting = createAuditLog(db, { onRecord: async () => { throw new Error('async'); } });
+    assert.ok(rejecting.record({ guildId: 'g1', category: 'kv', action: 'set' }));
+    await new Promise(r => setImmediate(r));
+  } finally {
+    console.error = error;
+  }
+  assert.deepEqual(failures, ['[audit] onRecord failed', '[audit] onRecord failed']);
+});
+
+test('the mod-log mirror swallows a failing settings lookup', async () => {
+  const settings = { guild: () => { throw new Error('database is locked'); } };
+  const mirror = createModLogMirror({ client: {}, settings });
+  const { error } = console;
+  const failures = [];
+  console.error = (...args) => failures.push(args[0]);
+  try {
+    await mirror({ guild_id: 'g1', category: 'kv', action: 'set', outcome: 'ok', created_at: new Date().toISOString() });
+  } finally {
+    console.error = error;
+  }
+  assert.deepEqual(failures, ['[audit] could not post to the mod-log channel of guild g1']);
+});
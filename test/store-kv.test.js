@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../db/open.js';
+import { createKvStore, patternMatches } from '../store/kv.js';
+
+async function store(opts) {
+  const { db } = await openDatabase(':memory:');
+  return createKvStore(db, opts);
+}
+
+const member = (userId, extra = {}) => ({ userId, roles: [], isAdmin: false, canModerate: false, ...extra });
+
+test('writes keep a history that can be reverted', async () => {
+  const kv = await store();
+  kv.write({ guild_id: 'g1', key: 'motto', value: 'ship it', author_id: 'u1' });
+  kv.write({ guild_id: 'g1', key: 'motto', value: 'ship it twice', author_id: 'u1' });
+  assert.equal(kv.get('g1', 'motto').value, 'ship it twice');
+  assert.equal(kv.get('g2', 'motto'), undefined);
+  assert.deepEqual(kv.history('g1', 'motto', 10).map(h => h.value), ['ship it twice', 'ship it']);
+
+  assert.equal(kv.revert('g1', 'motto', null, 'u2'), 'Reverted **motto** to v1 ↩️');
+  assert.equal(kv.get('g1', 'motto').value, 'ship it');
+  assert.equal(kv.revert('g1', 'missing', null, 'u2'), 'No history for **missing**.');
+});
+
+test('deleted keys go to the trash and can be restored', async () => {
+  const kv = await store();
+  kv.write({ guild_id: 'g1', key: 'rules', value: 'be nice', author_id: 'u1' });
+  assert.equal(kv.remove('g1', 'rules', 'u1').changes, 1);
+  assert.equal(kv.get('g1', 'rules'), undefined);
+  assert.deepEqual(kv.trash('g1').map(t => t.key), ['rules']);
+
+  assert.match(kv.restore('g1', 'rules', 'u1'), /^Restored \*\*rules\*\*/);
+  assert.equal(kv.get('g1', 'rules').value, 'be nice');
+  assert.equal(kv.restore('g1', 'rules', 'u1'), '**rules** isn\'t deleted.');
+});
+
+test('write permissions: author lock, protected namespaces and writer role', async () => {
+  const kv = await store();
+  kv.write({ guild_id: 'g1', key: 'faq.join', value: 'click join', author_id: 'u1' });
+  assert.equal(kv.writeDenial('g1', 'faq.join', member('u1')), null);
+  assert.match(kv.writeDenial('g1', 'faq.join', member('u2')), /belongs to <@u1>/);
+  assert.equal(kv.writeDenial('g1', 'faq.join', member('u2', { canModerate: true })), null);
+
+  kv.protect('g1', 'rules.*');
+  assert.ok(patternMatches('rules.*', 'rules.one'));
+  assert.match(kv.writeDenial('g1', 'rules.one', member('u1')), /protected namespace/);
+  assert.equal(kv.unprotect('g1', 'rules.*'), true);
+  assert.equal(kv.unprotect('g1', 'rules.*'), false);
+
+  kv.setPermission('g1', 'writer_role_id', 'r-writer');
+  assert.match(kv.writeDenial('g1', 'new', member('u3')), /<@&r-writer> role/);
+  assert.equal(kv.writeDenial('g1', 'new', member('u3', { roles: ['r-writer'] })), null);
+  assert.equal(kv.writeDenial('g1', 'new', member('u3', { isAdmin: true })), null);
+  assert.equal(kv.writeDenial('DM-u3', 'new', member('u3')), null);
+});
+
+test('pages entries by prefix and full-text search', async () => {
+  const kv = await store();
+  for (let i = 0; i < 12; i++) {
+    kv.write({ guild_id: 'g1', key: `item${String(i).padStart(2, '0')}`, value: `value ${i}`, author_id: 'u1' });
+  }
+  kv.write({ guild_id: 'g1', key: 'wifi', value: 'password is hunter2', author_id: 'u1' });
+
+  const first = kv.queryPage({ guildId: 'g1', sort: 'name' }, 0);
+  assert.equal(first.total, 13);
+  assert.equal(first.rows.length, 10);
+  assert.equal(kv.queryPage({ guildId: 'g1', prefix: 'item1', sort: 'name' }, 0).total, 2);
+
+  const found = kv.queryPage({ guildId: 'g1', search: 'hunter2', sort: 'relevance' }, 0);
+  assert.deepEqual(found.rows.map(r => r.key), ['wifi']);
+});
+
+test('finds knowledge for a question, skipping excluded keys', async () => {
+  const kv = await store({ knowledgeLimit: 3, knowledgeChars: 500 });
+  kv.write({ guild_id: 'g1', key: 'wifi', value: 'The guest wifi password is hunter2', author_id: 'u1' });
+  kv.write({ guild_id: 'g1', key: 'secret.wifi', value: 'Admin wifi password is swordfish', author_id: 'u1' });
+  kv.write({ guild_id: 'g1', key: 'lunch', value: 'Pizza on fridays', author_id: 'u1' });
+
+  assert.deepEqual(kv.findKnowledge('g1', 'what is the wifi password?').map(r => r.key).sort(), ['secret.wifi', 'wifi']);
+  kv.excludeFromAi('g1', 'secret.*');
+  assert.deepEqual(kv.findKnowledge('g1', 'what is the wifi password?').map(r => r.key), ['wifi']);
+  assert.deepEqual(kv.findKnowledge('g1', 'hi'), []);
+  assert.deepEqual(kv.findKnowledge('g2', 'wifi password'), []);
+
+  const off = createKvStore((await openDatabase(':memory:')).db, { knowledgeLimit: 0 });
+  assert.deepEqual(off.findKnowledge('g1', 'wifi password'), []);
+});
@@ -0,0 +1,252 @@
+import { EventEmitter } from 'node:events';
+import { PermissionsBitField, RESTJSONErrorCodes } from 'discord.js';
+
+/**
+ * A fake Discord layer for driving bot.js without a gateway connection.
+ * - createFakeClient: an EventEmitter with `user`, `channels.fetch` and `users.fetch`; everything sent
+ *   through it is recorded on the fake channels and users
+ * - fakeMessage: an incoming message for handleMessage
+ * - fakeInteraction: a slash command, button, autocomplete or modal for handleInteraction
+ *
+ * Payloads are recorded as given, except that builders (embeds, buttons, modals) are turned into JSON.
+ */
+
+const toJSON = (x) => x?.toJSON?.() ?? x;
+
+function plain(payload) {
+  if (typeof payload === 'string') return { content: payload };
+  return {
+    ...payload,
+    embeds: payload?.embeds?.map(toJSON),
+    components: payload?.components?.map(toJSON)
+  };
+}
+
+// A message the bot sent: edits replace its payload, replies become new sent messages.
+export function sentMessage(payload, channel) {
+  const msg = {
+    id: String(channel.sent.length + 1),
+    channel,
+    author: channel.botUser,
+    ...plain(payload),
+    edits: [],
+    replies: [],
+    deleted: false,
+    async edit(p) {
+      msg.edits.push(plain(p));
+      Object.assign(msg, plain(p));
+      return msg;
+    },
+    async reply(p) {
+      const r = await channel.send(p);
+      msg.replies.push(r);
+      return r;
+    },
+    async delete() {
+      msg.deleted = true;
+    }
+  };
+  return msg;
+}
+
+// `history` holds earlier messages (oldest first) for messages.fetch: by id, or the newest `limit` as a Map.
+// Messages sent to it are authored by `botUser`.
+export function createFakeChannel(id, { textBased = true, sendError = null, botUser = null } = {}) {
+  const channel = {
+    id,
+    botUser,
+    sent: [],
+    history: [],
+    isTextBased: () => textBased,
+    isDMBased: () => false,
+    messages: {
+      async fetch(query) {
+        if (typeof query === 'object') {
+          const newest = channel.history.slice(-(query.limit ?? 50)).reverse();
+          return new Map(newest.map(m => [m.id, m]));
+        }
+        const found = channel.history.find(m => m.id === query);
+        if (!found) throw new Error('Unknown Message');
+        return found;
+      }
+    },
+    async send(payload) {
+      if (sendError) throw sendError;
+      const msg = sentMessage(payload, channel);
+      channel.sent.push(msg);
+      return msg;
+    }
+  };
+  return channel;
+}
+
+// A discord.js-style REST error, e.g. restError(RESTJSONErrorCodes.UnknownChannel).
+export function restError(code, message = `Discord error ${code}`) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * `channels` and `users` are created on first fetch. A channel id listed in `missingChannels` fails
+ * with Unknown Channel; a user id in `closedDms` refuses DMs like Discord does.
+ */
+export function createFakeClient({ missingChannels = [], closedDms = [] } = {}) {
+  const client = new EventEmitter();
+  const channels = new Map();
+  const users = new Map();
+  client.user = { id: 'bot', tag: 'Luna#0000' };
+
+  client.fakeChannel = (id) => {
+    if (!channels.has(id)) channels.set(id, createFakeChannel(id, { botUser: client.user }));
+    return channels.get(id);
+  };
+  client.fakeUser = (id) => {
+    if (!users.has(id)) {
+      const user = {
+        id,
+        bot: false,
+        username: `user${id}`,
+        dms: [],
+        toString: () => `<@${id}>`,
+        async send(payload) {
+          if (closedDms.includes(id)) {
+            throw restError(RESTJSONErrorCodes.CannotSendMessagesToThisUser, 'Cannot send messages to this user');
+          }
+          const msg = plain(payload);
+          user.dms.push(msg);
+          return msg;
+        }
+      };
+      users.set(id, user);
+    }
+    return users.get(id);
+  };
+
+  client.channels = {
+    async fetch(id) {
+      if (missingChannels.includes(id)) throw restError(RESTJSONErrorCodes.UnknownChannel, 'Unknown Channel');
+      return client.fakeChannel(id);
+    }
+  };
+  client.users = { fetch: async (id) => client.fakeUser(id) };
+  return client;
+}
+
+function fakeMember(roles, perms) {
+  return {
+    roles: { cache: new Map(roles.map(r => [r, { id: r }])) },
+    permissions: new PermissionsBitField(perms)
+  };
+}
+
+/**
+ * An incoming message from `userId` in `channelId` (a guild channel unless `guildId` is null).
+ * `<@id>` mentions in the content are resolved like Discord does; `attachments` are
+ * { name, url, size, contentType } objects. `replyTo` makes it a reply (without ping) to that message.
+ */
+export function fakeMessage(client, content, {
+  userId = 'u1', guildId = 'g1', channelId = 'c1', roles = [], perms = 0n, attachments = [], replyTo = null
+} = {}) {
+  const channel = client.fakeChannel(channelId);
+  const author = client.fakeUser(userId);
+  return {
+    content,
+    author,
+    channel,
+    channelId,
+    guild: guildId ? { id: guildId, name: 'Test Guild' } : null,
+    member: guildId ? fakeMember(roles, perms) : null,
+    attachments: new Map(attachments.map((a, i) => [String(i + 1), a])),
+    reference: replyTo ? { messageId: replyTo.id, channelId } : null,
+    mentions: {
+      users: new Map([...content.matchAll(/<@!?(\w+)>/g)].map(([, id]) => [id, id === client.user.id ? client.user : client.fakeUser(id)])),
+      repliedUser: replyTo?.author ?? null
+    },
+    reply: (payload) => channel.send(payload)
+  };
+}
+
+/**
+ * An interaction of `kind` 'chat' | 'context' | 'button' | 'autocomplete' | 'modal'.
+ * `options` are keyed by option name (for chat commands `sub` and `group` pick the subcommand);
+ * `fields` are modal inputs. The guild's cache holds `guildChannels` (ids, where the member has `perms`)
+ * and `guildRoles` ({ id, mentionable } objects). The bot has `appPerms` in the channel (all by default). Every reply, update, edit and follow-up lands in `calls` as [method, payload].
+ */
+export function fakeInteraction(client, kind, {
+  commandName, sub = null, group = null, options = {}, customId, fields = {}, focused,
+  userId = 'u1', guildId = 'g1', channelId = 'c1', roles = [], perms = 0n, targetMessage,
+  guildChannels = [channelId], guildRoles = [], appPerms = PermissionsBitField.All
+} = {}) {
+  const channel = client.fakeChannel(channelId);
+  const calls = [];
+  const guild = guildId && {
+    id: guildId,
+    name: 'Test Guild',
+    channels: { cache: new Map(guildChannels.map(id => [id, { id, permissionsFor: () => new PermissionsBitField(perms) }])) },
+    roles: { cache: new Map(guildRoles.map(r => [r.id, r])) }
+  };
+  const record = (method) => async (payload) => {
+    calls.push([method, plain(payload)]);
+    return sentMessage(payload, channel);
+  };
+  const option = (name) => options[name] ?? null;
+  const interaction = {
+    kind,
+    calls,
+    commandName,
+    customId,
+    targetMessage,
+    user: client.fakeUser(userId),
+    guildId,
+    guild: guild || null,
+    channelId,
+    channel,
+    member: guildId ? fakeMember(roles, perms) : null,
+    memberPermissions: guildId ? new PermissionsBitField(perms) : null,
+    appPermissions: guildId ? new PermissionsBitField(appPerms) : null,
+    deferred: false,
+    replied: false,
+    inGuild: () => Boolean(guildId),
+    isButton: () => kind === 'button',
+    isAutocomplete: () => kind === 'autocomplete',
+    isModalSubmit: () => kind === 'modal',
+    isChatInputCommand: () => kind === 'chat',
+    isMessageContextMenuCommand: () => kind === 'context',
+    options: {
+      getSubcommand: () => sub,
+      getSubcommandGroup: () => group,
+      getString: option,
+      getInteger: option,
+      getNumber: option,
+      getBoolean: option,
+      getUser: option,
+      getRole: option,
+      getChannel: option,
+      getMentionable: option,
+      getAttachment: option,
+      getFocused: (full) => (full ? focused : focused?.value)
+    },
+    fields: { getTextInputValue: (name) => fields[name] },
+    async reply(payload) {
+      interaction.replied = true;
+      return record('reply')(payload);
+    },
+    update: record('update'),
+    editReply: record('editReply'),
+    followUp: record('followUp'),
+    async deferReply() {
+      interaction.deferred = true;
+      calls.push(['deferReply']);
+    },
+    async deferUpdate() {
+      interaction.deferred = true;
+      calls.push(['deferUpdate']);
+    },
+    async showModal(modal) {
+      calls.push(['showModal', toJSON(modal)]);
+    },
+    async respond(choices) {
+      calls.push(['respond', choices]);
+    }
+  };
+  return interaction;
+}
@@ -0,0 +1,86 @@
+import http from 'node:http';
+
+/**
+ * A local HTTP server standing in for both Luna backends.
+ * - POST /discord/chat/stream answers in LunaCore's SSE protocol: one `data:` frame per chunk, then `event: done`
+ * - POST /api/chat answers in Ollama's NDJSON protocol: one `{ message: { content } }` line per chunk, then `done: true`
+ * - GET /files/<name> serves `stub.files[name]`, standing in for Discord's attachment CDN
+ *
+ * Each backend is scripted through `stub.lunacore` / `stub.ollama`, or a function of the request returning a script:
+ *   { chunks: ['Hel', 'lo'] }            streamed in order
+ *   { status: 503, body: 'down' }        an HTTP error before any chunk (`headers` are sent along)
+ *   { chunks: ['Hel'], error: 'boom' }   chunks, then a LunaCore `event: error` frame (Ollama just drops the connection)
+ *   { chunks: ['Hel'], drop: true }      chunks, then the connection is cut
+ * LunaCore chunks may also be { event, data, id, retry } objects or raw frame text ({ raw }), and `done`
+ * sets the done frame's data (objects are sent as JSON, false leaves the frame out).
+ * Requests are kept in `stub.requests` as { path, headers, body }.
+ */
+
+function sse({ event, data, id, retry }) {
+  const lines = [];
+  if (event) lines.push(`event: ${event}`);
+  if (id != null) lines.push(`id: ${id}`);
+  if (retry != null) lines.push(`retry: ${retry}`);
+  if (data != null) lines.push(...String(data).split('\n').map(l => `data: ${l}`));
+  return lines.join('\n') + '\n\n';
+}
+
+function respond(res, script, { contentType, frame, done, error }) {
+  if (script.status && script.status !== 200) {
+    res.writeHead(script.status, { 'Content-Type': 'text/plain', ...script.headers });
+    return res.end(script.body ?? '');
+  }
+  res.writeHead(200, { 'Content-Type': contentType });
+  for (const chunk of script.chunks ?? []) res.write(frame(chunk));
+  if (script.error) return error(res, script.error);
+  if (script.drop) return res.write('', () => res.destroy());   // once the chunks are flushed
+  res.end(done(script));
+}
+
+export async function startLlmStub() {
+  const stub = {
+    lunacore: { chunks: ['Hello from LunaCore'] },
+    ollama: { chunks: ['Hello from Ollama'] },
+    files: {},
+    requests: []
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const request = { path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      stub.requests.push(request);
+      const script = (s) => (typeof s === 'function' ? s(request) : s);
+      if (req.method === 'POST' && req.url === '/discord/chat/stream') {
+        return respond(res, script(stub.lunacore), {
+          contentType: 'text/event-stream',
+          frame: (chunk) => (chunk?.raw ?? (typeof chunk === 'string' ? sse({ data: chunk }) : sse(chunk))),
+          done: ({ done = '[DONE]' }) => (done === false ? '' : sse({
+            event: 'done', data: typeof done === 'object' ? JSON.stringify(done) : done
+          })),
+          error: (r, message) => r.end(sse({ event: 'error', data: message }))
+        });
+      }
+      if (req.method === 'POST' && req.url === '/api/chat') {
+        return respond(res, script(stub.ollama), {
+          contentType: 'application/x-ndjson',
+          frame: (chunk) => JSON.stringify({ message: { role: 'assistant', content: chunk }, done: false }) + '\n',
+          done: () => JSON.stringify({ message: { role: 'assistant', content: '' }, done: true }) + '\n',
+          error: (r) => r.write('', () => r.destroy())
+        });
+      }
+      const file = req.method === 'GET' && req.url.startsWith('/files/') && stub.files[decodeURIComponent(req.url.slice(7))];
+      if (file) return res.writeHead(200).end(file);
+      res.writeHead(404).end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return stub;
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { parseWhen, parseTimeOfDay } from '../time/parse.js';
+
+const NY = 'America/New_York';      // 2026: spring forward Mar 8 02:00, fall back Nov 1 02:00
+const SYD = 'Australia/Sydney';     // 2026: DST ends Apr 5 03:00 -> 02:00
+
+const at = (iso, zone = NY) => DateTime.fromISO(iso, { zone });
+const when = (text, nowIso, tz = NY) => parseWhen(text, { tz, now: at(nowIso, tz) })?.toISO() ?? null;
+
+test('relative durations', () => {
+  assert.equal(when('in 20m', '2026-03-06T12:00'), '2026-03-06T12:20:00.000-05:00');
+  assert.equal(when('in 2h30m', '2026-03-06T12:00'), '2026-03-06T14:30:00.000-05:00');
+  assert.equal(when('in an hour', '2026-03-06T12:00'), '2026-03-06T13:00:00.000-05:00');
+  assert.equal(when('in 1 day and 2 hours', '2026-03-06T12:00'), '2026-03-07T14:00:00.000-05:00');
+  assert.equal(when('in 5 parsecs', '2026-03-06T12:00'), null);
+});
+
+test('day words with and without times', () => {
+  // 2026-03-06 is a Friday
+  assert.equal(when('tomorrow 8am', '2026-03-06T12:00'), '2026-03-07T08:00:00.000-05:00');
+  assert.equal(when('tmrw 7:45 pm', '2026-03-06T12:00'), '2026-03-07T19:45:00.000-05:00');
+  assert.equal(when('noon tomorrow', '2026-03-06T12:00'), '2026-03-07T12:00:00.000-05:00');
+  assert.equal(when('tomorrow', '2026-03-06T12:00'), '2026-03-07T09:00:00.000-05:00');
+  assert.equal(when('next friday 17:00', '2026-03-04T12:00'), '2026-03-06T17:00:00.000-05:00');
+  assert.equal(when('friday', '2026-03-06T12:00'), '2026-03-13T09:00:00.000-04:00');
+  assert.equal(when('this friday 5pm', '2026-03-06T12:00'), '2026-03-06T17:00:00.000-05:00');
+  assert.equal(when('today', '2026-03-06T12:00'), null);
+});
+
+test('tonight defaults to the evening', () => {
+  assert.equal(when('tonight', '2026-03-06T12:00'), '2026-03-06T20:00:00.000-05:00');
+  assert.equal(when('tonight 9', '2026-03-06T12:00'), '2026-03-06T21:00:00.000-05:00');
+  assert.equal(when('tonight at 11:30pm', '2026-03-06T12:00'), '2026-03-06T23:30:00.000-05:00');
+});
+
+test('12-hour and bare times roll to the next occurrence', () => {
+  assert.equal(when('at 5pm', '2026-03-06T12:00'), '2026-03-06T17:00:00.000-05:00');
+  assert.equal(when('5pm', '2026-03-06T18:00'), '2026-03-07T17:00:00.000-05:00');
+  assert.equal(when('12am tomorrow', '2026-03-06T12:00'), '2026-03-07T00:00:00.000-05:00');
+  assert.deepEqual(parseTimeOfDay('12pm'), { hour: 12, minute: 0, meridiem: true });
+  assert.deepEqual(parseTimeOfDay('8:05 a.m.'), { hour: 8, minute: 5, meridiem: true });
+  assert.equal(parseTimeOfDay('13pm'), null);
+  assert.equal(parseTimeOfDay('25:00'), null);
+});
+
+test('absolute dates keep working', () => {
+  assert.equal(when('2026-03-09 14:00', '2026-03-06T12:00'), '2026-03-09T14:00:00.000-04:00');
+  assert.equal(when('2026-03-09 at 2pm', '2026-03-06T12:00'), '2026-03-09T14:00:00.000-04:00');
+  assert.equal(when('2026-02-30 10:00', '2026-03-06T12:00'), null);
+});
+
+test('DST: hour durations are elapsed time, day durations keep wall-clock time', () => {
+  // 01:30 EST + 2h crosses the 02:00 -> 03:00 jump
+  assert.equal(when('in 2h', '2026-03-08T01:30'), '2026-03-08T04:30:00.000-04:00');
+  // 09:00 EST + 1 day is 09:00 EDT, only 23h later
+  assert.equal(when('in 1 day', '2026-03-07T09:00'), '2026-03-08T09:00:00.000-04:00');
+  assert.equal(when('tomorrow 8am', '2026-03-07T12:00'), '2026-03-08T08:00:00.000-04:00');
+});
+
+test('DST: nonexistent and ambiguous wall-clock times', () => {
+  // 02:30 doesn't exist on spring-forward day; pushed forward to 03:30 EDT
+  assert.equal(when('tomorrow 2:30am', '2026-03-07T12:00'), '2026-03-08T03:30:00.000-04:00');
+  assert.equal(when('2026-03-08 02:30', '2026-03-06T12:00'), '2026-03-08T03:30:00.000-04:00');
+  // 01:30 happens twice on fall-back day; the first (EDT) one is used
+  assert.equal(when('tomorrow 1:30am', '2026-10-31T12:00'), '2026-11-01T01:30:00.000-04:00');
+  // southern hemisphere: Sydney falls back in April
+  assert.equal(when('tomorrow 9am', '2026-04-04T12:00', SYD), '2026-04-05T09:00:00.000+10:00');
+  assert.equal(when('in 3h', '2026-04-05T01:00', SYD), '2026-04-05T03:00:00.000+10:00');
+});
+
+test('rejects unknown input and invalid zones', () => {
+  assert.equal(when('whenever', '2026-03-06T12:00'), null);
+  assert.equal(when('', '2026-03-06T12:00'), null);
+  assert.equal(parseWhen('tomorrow', { tz: 'Mars/Olympus' }), null);
+});
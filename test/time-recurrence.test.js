@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { parseRecurrence, nextOccurrence, describeRecurrence } from '../time/recurrence.js';
+
+const NY = 'America/New_York';      // 2026: spring forward Mar 8 02:00, fall back Nov 1 02:00
+
+const at = (iso, zone = NY) => DateTime.fromISO(iso, { zone });
+
+// The next `n` runs of `text` after `fromIso`, as ISO strings in `tz`.
+function runs(text, fromIso, n, { tz = NY, anchor } = {}) {
+  const rule = typeof text === 'string' ? parseRecurrence(text) : text;
+  const out = [];
+  let after = at(fromIso, tz);
+  for (let i = 0; i < n; i++) {
+    const next = nextOccurrence(rule, after, { tz, anchor: anchor && at(anchor, tz) });
+    if (!next) break;
+    out.push(next.toISO());
+    after = next;
+  }
+  return out;
+}
+
+test('human forms parse into rules', () => {
+  const weekdays = [1, 2, 3, 4, 5];
+  assert.deepEqual(parseRecurrence('every weekday 09:30'), { type: 'weekly', interval: 1, days: weekdays, hour: 9, minute: 30 });
+  assert.deepEqual(parseRecurrence('Daily 08:00'), { type: 'daily', interval: 1, hour: 8, minute: 0 });
+  assert.deepEqual(parseRecurrence('every 3 days 9am'), { type: 'daily', interval: 3, hour: 9, minute: 0 });
+  assert.deepEqual(parseRecurrence('every weekend at 10'), { type: 'weekly', interval: 1, days: [6, 7], hour: 10, minute: 0 });
+  assert.deepEqual(parseRecurrence('every mon, wed and fri 6:15pm'), { type: 'weekly', interval: 1, days: [1, 3, 5], hour: 18, minute: 15 });
+  assert.deepEqual(parseRecurrence('every 2 weeks on friday 17:00'), { type: 'weekly', interval: 2, days: [5], hour: 17, minute: 0 });
+  assert.deepEqual(parseRecurrence('first Monday of the month 09:00'), { type: 'monthly-nth', nth: 1, weekday: 1, hour: 9, minute: 0 });
+  assert.deepEqual(parseRecurrence('last friday of every month 16:00'), { type: 'monthly-nth', nth: -1, weekday: 5, hour: 16, minute: 0 });
+  assert.deepEqual(parseRecurrence('every month on the 15th 10:00'), { type: 'monthly-day', day: 15, hour: 10, minute: 0 });
+  assert.deepEqual(parseRecurrence('31st of each month at 9pm'), { type: 'monthly-day', day: 31, hour: 21, minute: 0 });
+  assert.deepEqual(parseRecurrence('each tuesday', { defaultTime: { hour: 7, minute: 45 } }), { type: 'weekly', interval: 1, days: [2], hour: 7, minute: 45 });
+});
+
+test('cron expressions parse, with 0 and 7 both meaning Sunday', () => {
+  assert.deepEqual(parseRecurrence('cron 30 9 * * 1-5'), {
+    type: 'cron', expr: '30 9 * * 1-5', minutes: [30], hours: [9],
+    months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], doms: null, dows: [1, 2, 3, 4, 5]
+  });
+  const rule = parseRecurrence('cron 0,30 8-9 1,15 jan-mar sun,7');
+  assert.deepEqual([rule.minutes, rule.hours, rule.doms, rule.months, rule.dows], [[0, 30], [8, 9], [1, 15], [1, 2, 3], [7]]);
+  assert.deepEqual(parseRecurrence('cron */20 * * * *').minutes, [0, 20, 40]);
+});
+
+test('unknown or out-of-range schedules are rejected', () => {
+  for (const text of [
+    '', 'sometimes', 'every 0 days', 'every blursday', 'every 2 weeks on funday', 'every 0 weeks on monday',
+    'fifth monday of the month', 'first blursday of the month', 'every month on the 32nd', 'every monday 25:00',
+    'every monday 13pm', 'cron 61 * * * *', 'cron * * *', 'cron 0 9 * * 8', 'cron 0 9 10-5 * *'
+  ]) {
+    assert.equal(parseRecurrence(text), null, text);
+  }
+});
+
+test('cron ORs day-of-month and day-of-week when both are restricted', () => {
+  // 2026-03-07 is a Saturday
+  assert.deepEqual(runs('cron 0 9 10 * 5', '2026-03-07T12:00', 3), [
+    '2026-03-10T09:00:00.000-04:00',   // the 10th, a Tuesday
+    '2026-03-13T09:00:00.000-04:00',   // a Friday
+    '2026-03-20T09:00:00.000-04:00'
+  ]);
+  assert.deepEqual(runs('cron 0 9 10 * *', '2026-03-07T12:00', 2), ['2026-03-10T09:00:00.000-04:00', '2026-04-10T09:00:00.000-04:00']);
+  assert.deepEqual(runs('cron 0 9 * * 5', '2026-03-07T12:00', 2), ['2026-03-13T09:00:00.000-04:00', '2026-03-20T09:00:00.000-04:00']);
+  assert.equal(nextOccurrence(parseRecurrence('cron 0 0 30 2 *'), at('2026-01-01T00:00')), null);
+});
+
+test('every N days or weeks keeps the phase of the first run', () => {
+  const anchor = '2026-03-13T17:00';   // a Friday
+  assert.deepEqual(runs('every 2 weeks on friday 17:00', '2026-03-14T00:00', 3, { anchor }), [
+    '2026-03-27T17:00:00.000-04:00',
+    '2026-04-10T17:00:00.000-04:00',
+    '2026-04-24T17:00:00.000-04:00'
+  ]);
+  assert.deepEqual(runs('every 2 weeks on mon and fri 08:00', '2026-03-13T09:00', 3, { anchor }), [
+    '2026-03-23T08:00:00.000-04:00',
+    '2026-03-27T08:00:00.000-04:00',
+    '2026-04-06T08:00:00.000-04:00'
+  ]);
+  assert.deepEqual(runs('every 3 days 9am', '2026-03-06T10:00', 3, { anchor: '2026-03-06T09:00' }), [
+    '2026-03-09T09:00:00.000-04:00',
+    '2026-03-12T09:00:00.000-04:00',
+    '2026-03-15T09:00:00.000-04:00'
+  ]);
+});
+
+test('monthly days fall on the last day of shorter months', () => {
+  assert.deepEqual(runs('every month on the 31st 10:00', '2026-01-31T12:00', 4, { tz: 'UTC' }), [
+    '2026-02-28T10:00:00.000Z',
+    '2026-03-31T10:00:00.000Z',
+    '2026-04-30T10:00:00.000Z',
+    '2026-05-31T10:00:00.000Z'
+  ]);
+  assert.deepEqual(runs('every month on the 30th 10:00', '2028-02-01T00:00', 1, { tz: 'UTC' }), ['2028-02-29T10:00:00.000Z']);
+});
+
+test('nth and last weekdays of the month', () => {
+  assert.deepEqual(runs('first monday of the month 09:00', '2026-10-01T00:00', 3), [
+    '2026-10-05T09:00:00.000-04:00',
+    '2026-11-02T09:00:00.000-05:00',
+    '2026-12-07T09:00:00.000-05:00'
+  ]);
+  assert.deepEqual(runs('last friday of the month 16:00', '2026-02-01T00:00', 2), [
+    '2026-02-27T16:00:00.000-05:00',
+    '2026-03-27T16:00:00.000-04:00'
+  ]);
+});
+
+test('wall-clock times hold across spring-forward', () => {
+  assert.deepEqual(runs('every weekday 09:30', '2026-03-05T10:00', 3), [
+    '2026-03-06T09:30:00.000-05:00',
+    '2026-03-09T09:30:00.000-04:00',
+    '2026-03-10T09:30:00.000-04:00'
+  ]);
+  // 02:30 doesn't exist on Mar 8 and is pushed to 03:30
+  assert.deepEqual(runs('daily 02:30', '2026-03-07T03:00', 3), [
+    '2026-03-08T03:30:00.000-04:00',
+    '2026-03-09T02:30:00.000-04:00',
+    '2026-03-10T02:30:00.000-04:00'
+  ]);
+});
+
+test('wall-clock times hold across fall-back, and a repeated hour fires once', () => {
+  assert.deepEqual(runs('every 2 weeks on friday 17:00', '2026-10-23T18:00', 2, { anchor: '2026-10-23T17:00' }), [
+    '2026-11-06T17:00:00.000-05:00',
+    '2026-11-20T17:00:00.000-05:00'
+  ]);
+  assert.deepEqual(runs('daily 01:30', '2026-10-31T12:00', 2), [
+    '2026-11-01T01:30:00.000-04:00',
+    '2026-11-02T01:30:00.000-05:00'
+  ]);
+});
+
+test('rules are evaluated in the owner\'s timezone', () => {
+  // 01:00 UTC on Friday 2026-03-06 is already 10:00 in Tokyo
+  const next = nextOccurrence(parseRecurrence('every weekday 09:30'), '2026-03-06T01:00:00Z', { tz: 'Asia/Tokyo' });
+  assert.equal(next.toISO(), '2026-03-09T09:30:00.000+09:00');
+});
+
+test('describeRecurrence labels each kind of rule', () => {
+  const label = (text) => describeRecurrence(parseRecurrence(text));
+  assert.equal(label('every weekday 09:30'), 'every weekday at 09:30');
+  assert.equal(label('every 2 weeks on friday 17:00'), 'every 2 weeks on Friday at 17:00');
+  assert.equal(label('first monday of the month 10:00'), 'first Monday of the month at 10:00');
+  assert.equal(label('every month on the 31st 8am'), 'every month on day 31 at 08:00');
+  assert.equal(label('cron 30 9 * * 1-5'), 'cron `30 9 * * 1-5`');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { searchZones, resolveZone, meetingWindows } from '../time/zones.js';
+
+const utc = (iso) => DateTime.fromISO(iso, { zone: 'utc' });
+const span = (w) => `${w.start.toISO({ suppressMilliseconds: true })}/${w.end.toISO({ suppressMilliseconds: true })}`;
+
+test('search ranks city matches first', () => {
+  assert.equal(searchZones('tokyo')[0], 'Asia/Tokyo');
+  assert.equal(searchZones('new york')[0], 'America/New_York');
+  assert.ok(searchZones('europe/ber').includes('Europe/Berlin'));
+  assert.equal(searchZones('').length > 0, true);
+  assert.deepEqual(searchZones('zzzz'), []);
+});
+
+test('resolves exact names, cities and unambiguous input only', () => {
+  assert.equal(resolveZone('asia/ho_chi_minh'), 'Asia/Ho_Chi_Minh');
+  assert.equal(resolveZone('Berlin'), 'Europe/Berlin');
+  assert.equal(resolveZone('ho chi minh'), 'Asia/Ho_Chi_Minh');
+  assert.equal(resolveZone('utc'), 'UTC');
+  assert.equal(resolveZone('america'), null);
+  assert.equal(resolveZone('Mars/Olympus'), null);
+  assert.equal(resolveZone(''), null);
+});
+
+test('meeting windows are the intersection of working hours', () => {
+  // Monday 2026-03-02: New York 09-17 EST = 14-22 UTC, Berlin 09-17 CET = 08-16 UTC
+  const windows = meetingWindows(['America/New_York', 'Europe/Berlin'], { from: utc('2026-03-02T00:00'), days: 1 });
+  assert.deepEqual(windows.map(span), ['2026-03-02T14:00:00Z/2026-03-02T16:00:00Z']);
+});
+
+test('meeting windows skip local weekends and follow DST', () => {
+  // Friday 2026-03-06 to Tuesday 2026-03-10; US clocks spring forward on Sunday Mar 8, Europe's don't yet
+  const windows = meetingWindows(['America/New_York', 'Europe/London'], { from: utc('2026-03-06T00:00'), days: 4 });
+  assert.deepEqual(windows.map(span), [
+    '2026-03-06T14:00:00Z/2026-03-06T17:00:00Z',
+    '2026-03-09T13:00:00Z/2026-03-09T17:00:00Z'
+  ]);
+});
+
+test('no overlap when working days never meet', () => {
+  assert.deepEqual(meetingWindows(['Pacific/Honolulu', 'Asia/Kolkata'], { from: utc('2026-03-02T00:00'), days: 2 }), []);
+});
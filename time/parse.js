@@ -0,0 +1,152 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Natural-language reminder times, resolved in the caller's timezone.
+ * - parseWhen: "in 2h30m", "tomorrow 8am", "next friday 17:00", "tonight",
+ *   "2025-03-09 14:00" -> Luxon DateTime in `tz`, or null if not understood
+ * - parseTimeOfDay: "8am", "17:00", "noon" -> { hour, minute }
+ *
+ * Durations in hours/minutes/seconds are real elapsed time ("in 2h" across a
+ * DST change is still 120 minutes away); days/weeks keep the wall-clock time.
+ * Wall-clock times that don't exist (spring-forward gap) are pushed forward by Luxon.
+ */
+
+const DEFAULT_HOUR = 9;      // "tomorrow", "friday" without a time
+const TONIGHT_HOUR = 20;     // bare "tonight"
+
+const WEEKDAYS = {
+  mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5,
+  sat: 6, saturday: 6, sun: 7, sunday: 7
+};
+
+const UNITS = {
+  s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds',
+  m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+  h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+  d: 'days', day: 'days', days: 'days',
+  w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks'
+};
+
+/** "8am", "8:30 pm", "17:00", "noon", "midnight" -> { hour, minute, meridiem } or null. */
+export function parseTimeOfDay(input) {
+  const s = String(input ?? '').trim().toLowerCase().replace(/\./g, '');
+  if (s === 'noon') return { hour: 12, minute: 0, meridiem: true };
+  if (s === 'midnight') return { hour: 0, minute: 0, meridiem: true };
+
+  const m = s.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = m[2] ? Number(m[2]) : 0;
+  if (minute > 59) return null;
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[3].startsWith('p') ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute, meridiem: Boolean(m[3]) };
+}
+
+function parseDuration(s) {
+  const dur = {};
+  let rest = s.replace(/\b(?:an?)\b/g, '1').replace(/\band\b|,/g, ' ').trim();
+  if (!rest) return null;
+  while (rest) {
+    const m = rest.match(/^(\d+)\s*([a-z]+)\s*/);
+    if (!m || !UNITS[m[2]]) return null;
+    const unit = UNITS[m[2]];
+    dur[unit] = (dur[unit] || 0) + Number(m[1]);
+    rest = rest.slice(m[0].length);
+  }
+  return dur;
+}
+
+function atTime(day, { hour, minute }) {
+  return DateTime.fromObject(
+    { year: day.year, month: day.month, day: day.day, hour, minute },
+    { zone: day.zone }
+  );
+}
+
+// Resolves a day word to a start-of-day DateTime; `next`/bare weekdays mean the first one after today.
+function resolveDay(word, now) {
+  const today = now.startOf('day');
+  if (word === 'today' || word === 'tonight') return today;
+  if (word === 'tomorrow' || word === 'tmr' || word === 'tmrw') return today.plus({ days: 1 });
+
+  const m = word.match(/^(?:(next|this)\s+)?([a-z]+)$/);
+  const weekday = m && WEEKDAYS[m[2]];
+  if (!weekday) return null;
+  let ahead = (weekday - today.weekday + 7) % 7;
+  // "this friday" on a Friday is today; "friday"/"next friday" always move forward
+  if (ahead === 0 && m[1] !== 'this') ahead = 7;
+  return today.plus({ days: ahead });
+}
+
+const DAY_WORD = '(today|tonight|tomorrow|tmrw?|(?:next\\s+|this\\s+)?[a-z]+)';
+const DAY_FORMS = [
+  [new RegExp(`^${DAY_WORD}(?:\\s+(?:at\\s+)?(.+))?$`), (m) => [m[1], m[2]]],
+  [new RegExp(`^(?:at\\s+)?(.+?)\\s+${DAY_WORD}$`), (m) => [m[2], m[1]]]
+];
+
+/**
+ * Parse a reminder time. `now` defaults to the current instant and is only
+ * injectable for tests. The result may be in the past ("today 8am" at noon);
+ * callers decide whether that's an error.
+ */
+export function parseWhen(input, { tz = 'UTC', now = DateTime.now() } = {}) {
+  const s = String(input ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!s) return null;
+  const base = now.setZone(tz);
+  if (!base.isValid) return null;
+  let m;
+
+  // absolute: 2025-03-09 14:00 / 2025-03-09 at 2pm / 2025-03-09
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:\s+(?:at\s+)?(.+))?$/))) {
+    const time = m[4] ? parseTimeOfDay(m[4]) : { hour: DEFAULT_HOUR, minute: 0 };
+    if (!time) return null;
+    const dt = DateTime.fromObject(
+      { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), hour: time.hour, minute: time.minute },
+      { zone: tz }
+    );
+    return dt.isValid ? dt : null;
+  }
+
+  // relative: in 20m / in 2h30m / in an hour / in 1 day and 2 hours
+  if ((m = s.match(/^in\s+(.+)$/))) {
+    const dur = parseDuration(m[1]);
+    return dur ? base.plus(dur).set({ millisecond: 0 }) : null;
+  }
+
+  // day word with optional time on either side: tomorrow 8am / next friday at 17:00 / noon tomorrow
+  for (const [re, pick] of DAY_FORMS) {
+    if (!(m = s.match(re))) continue;
+    const [word, timeText] = pick(m);
+    const day = resolveDay(word, base);
+    if (!day) continue;
+
+    let time = timeText ? parseTimeOfDay(timeText) : null;
+    if (timeText && !time) return null;
+    if (word === 'tonight') {
+      if (!time) time = { hour: TONIGHT_HOUR, minute: 0 };
+      // "tonight 9" means 21:00
+      else if (!time.meridiem && time.hour < 12) time = { ...time, hour: time.hour + 12 };
+    }
+    if (!time) {
+      if (word === 'today') return null;
+      time = { hour: DEFAULT_HOUR, minute: 0 };
+    }
+    return atTime(day, time);
+  }
+
+  // bare time: 5pm / at 17:30 -> the next time the clock shows it
+  if ((m = s.match(/^(?:at\s+)?(.+)$/))) {
+    const time = parseTimeOfDay(m[1]);
+    if (!time) return null;
+    const today = atTime(base, time);
+    return today > base ? today : atTime(base.plus({ days: 1 }), time);
+  }
+
+  return null;
+}
@@ -0,0 +1,260 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Recurring reminder rules.
+ * - parseRecurrence: human ("every weekday 09:30") or cron ("cron 30 9 * * 1-5") text -> rule object
+ * - nextOccurrence: next run strictly after a given instant, evaluated in the owner's timezone
+ * - describeRecurrence: short human label for listings
+ *
+ * Rules are plain JSON-serialisable objects so they can be stored in the
+ * `reminders.recurrence` column and re-read on every delivery.
+ */
+
+const WEEKDAYS = {
+  mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5,
+  sat: 6, saturday: 6, sun: 7, sunday: 7
+};
+const WEEKDAY_NAMES = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// How far ahead we search before deciding a rule never fires (e.g. cron "0 0 30 2 *").
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function pad(n) { return String(n).padStart(2, '0'); }
+
+/** Pull a trailing "09:30", "at 9", "9:30pm" off the text. */
+function splitTime(text) {
+  const m = text.match(/^(.*?)(\s+at)?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return { body: text, time: null };
+  let hour = Number(m[3]);
+  const minute = m[4] ? Number(m[4]) : 0;
+  const ampm = m[5];
+  // a bare number without "at", ":" or am/pm is more likely a count ("every 2") than a time
+  if (!m[2] && !m[4] && !ampm) return { body: text, time: null };
+  if (ampm) {
+    if (hour < 1 || hour > 12) return { body: text, time: null };
+    hour = (hour % 12) + (ampm === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return { body: text, time: null };
+  return { body: m[1].trim(), time: { hour, minute } };
+}
+
+function parseWeekdayList(text) {
+  const parts = text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean);
+  if (!parts.length) return null;
+  const days = [];
+  for (const p of parts) {
+    const d = WEEKDAYS[p.replace(/s$/, '')] ?? WEEKDAYS[p];
+    if (!d) return null;
+    if (!days.includes(d)) days.push(d);
+  }
+  return days.sort((a, b) => a - b);
+}
+
+function parseCronField(field, min, max, { names = {} } = {}) {
+  const out = new Set();
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!m) return null;
+    const step = m[2] ? Number(m[2]) : 1;
+    let lo = min, hi = max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-').map(v => (v in names ? names[v] : Number(v)));
+      if (!Number.isInteger(a) || (b !== undefined && !Number.isInteger(b))) return null;
+      lo = a;
+      hi = b ?? (m[2] ? max : a);
+    }
+    if (lo < min || hi > max || lo > hi || step < 1) return null;
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return [...out].sort((a, b) => a - b);
+}
+
+function parseCron(expr) {
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const [mi, h, dom, mon, dow] = fields;
+  const minutes = parseCronField(mi, 0, 59);
+  const hours = parseCronField(h, 0, 23);
+  const doms = parseCronField(dom, 1, 31);
+  const months = parseCronField(mon, 1, 12, {
+    names: { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 }
+  });
+  const dows = parseCronField(dow, 0, 7, {
+    names: { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 }
+  });
+  if (!minutes || !hours || !doms || !months || !dows) return null;
+  return {
+    type: 'cron',
+    expr: fields.join(' '),
+    minutes, hours, months,
+    // null means "unrestricted"; cron ORs day-of-month and day-of-week only when both are set
+    doms: dom === '*' ? null : doms,
+    // cron uses 0/7 for Sunday, Luxon uses 7
+    dows: dow === '*' ? null : [...new Set(dows.map(d => (d === 0 ? 7 : d)))].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Parse a recurrence description. Returns null when the text isn't understood.
+ * `defaultTime` fills in rules that don't name a time of day.
+ *
+ * Accepted forms (case-insensitive, leading "every"/"each" optional):
+ *   daily 08:00 | every 3 days 9am | every weekday 09:30 | every weekend at 10
+ *   every monday 9:00 | every mon, wed and fri 18:00 | every 2 weeks on friday 17:00
+ *   first monday of the month 09:00 | last friday of every month 16:00
+ *   every month on the 15th 10:00 | cron 30 9 * * 1-5
+ */
+export function parseRecurrence(input, { defaultTime = { hour: 9, minute: 0 } } = {}) {
+  const raw = String(input ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!raw) return null;
+
+  if (raw.startsWith('cron ')) return parseCron(raw.slice(5));
+
+  const { body: withPrefix, time } = splitTime(raw);
+  const { hour, minute } = time || defaultTime;
+  const body = withPrefix.replace(/^(?:every|each)\s+/, '');
+  let m;
+
+  if (body === 'day' || body === 'daily') {
+    return { type: 'daily', interval: 1, hour, minute };
+  }
+  if ((m = body.match(/^(\d+) days$/))) {
+    const interval = Number(m[1]);
+    if (interval < 1) return null;
+    return { type: 'daily', interval, hour, minute };
+  }
+  if (/^(?:weekday|weekdays|work ?day|work ?days)$/.test(body)) {
+    return { type: 'weekly', interval: 1, days: [1, 2, 3, 4, 5], hour, minute };
+  }
+  if (/^(?:weekend|weekends)$/.test(body)) {
+    return { type: 'weekly', interval: 1, days: [6, 7], hour, minute };
+  }
+  if ((m = body.match(/^(?:(\d+) weeks|week|weekly)(?: on)? (.+)$/))) {
+    const interval = m[1] ? Number(m[1]) : 1;
+    const days = parseWeekdayList(m[2]);
+    if (!days || interval < 1) return null;
+    return { type: 'weekly', interval, days, hour, minute };
+  }
+  if ((m = body.match(/^(first|second|third|fourth|last|1st|2nd|3rd|4th) ([a-z]+) of (?:the|each|every) month$/))) {
+    const weekday = WEEKDAYS[m[2]];
+    if (!weekday) return null;
+    return { type: 'monthly-nth', nth: ORDINALS[m[1]], weekday, hour, minute };
+  }
+  if ((m = body.match(/^(?:month|monthly)(?: on)?(?: the)? (\d{1,2})(?:st|nd|rd|th)?$/))
+    || (m = body.match(/^(\d{1,2})(?:st|nd|rd|th)? of (?:the|each|every) month$/))) {
+    const day = Number(m[1]);
+    if (day < 1 || day > 31) return null;
+    return { type: 'monthly-day', day, hour, minute };
+  }
+  const days = parseWeekdayList(body);
+  if (days) return { type: 'weekly', interval: 1, days, hour, minute };
+
+  return null;
+}
+
+// Calendar-day arithmetic done in UTC so DST transitions can't skew day counts.
+function civilDay(dt) {
+  return DateTime.utc(dt.year, dt.month, dt.day);
+}
+
+function matchesDate(rule, date, anchor) {
+  switch (rule.type) {
+    case 'daily': {
+      const diff = Math.round(civilDay(date).diff(civilDay(anchor), 'days').days);
+      return diff >= 0 && diff % rule.interval === 0;
+    }
+    case 'weekly': {
+      if (!rule.days.includes(date.weekday)) return false;
+      const weeks = Math.round(civilDay(date).startOf('week').diff(civilDay(anchor).startOf('week'), 'weeks').weeks);
+      return weeks >= 0 && weeks % rule.interval === 0;
+    }
+    case 'monthly-nth': {
+      if (date.weekday !== rule.weekday) return false;
+      if (rule.nth === -1) return date.day + 7 > date.daysInMonth;
+      return Math.ceil(date.day / 7) === rule.nth;
+    }
+    case 'monthly-day':
+      // short months fire on their last day instead of being skipped
+      return date.day === Math.min(rule.day, date.daysInMonth);
+    case 'cron': {
+      if (!rule.months.includes(date.month)) return false;
+      const domOk = rule.doms ? rule.doms.includes(date.day) : null;
+      const dowOk = rule.dows ? rule.dows.includes(date.weekday) : null;
+      if (domOk === null && dowOk === null) return true;
+      if (domOk === null) return dowOk;
+      if (dowOk === null) return domOk;
+      return domOk || dowOk;
+    }
+    default:
+      return false;
+  }
+}
+
+function timesOfDay(rule) {
+  if (rule.type !== 'cron') return [{ hour: rule.hour, minute: rule.minute }];
+  const out = [];
+  for (const hour of rule.hours) for (const minute of rule.minutes) out.push({ hour, minute });
+  return out;
+}
+
+// Accepts a Luxon DateTime, JS Date, epoch ms or ISO string.
+function toZone(value, tz) {
+  if (DateTime.isDateTime(value)) return value.setZone(tz);
+  if (typeof value === 'string') return DateTime.fromISO(value, { zone: 'utc' }).setZone(tz);
+  return DateTime.fromJSDate(value instanceof Date ? value : new Date(value), { zone: 'utc' }).setZone(tz);
+}
+
+/**
+ * Next occurrence strictly after `after`, as a DateTime in `tz`.
+ * `anchor` (the reminder's first run) fixes the phase of "every N days/weeks".
+ * Wall-clock times are resolved in `tz`, so 09:30 stays 09:30 across DST shifts;
+ * a time that doesn't exist on a spring-forward day is pushed forward by Luxon.
+ * Returns null if the rule never fires within the search window.
+ */
+export function nextOccurrence(rule, after, { tz = 'UTC', anchor } = {}) {
+  const from = toZone(after, tz);
+  if (!from.isValid) return null;
+  const anchorDt = anchor ? toZone(anchor, tz) : from;
+  const times = timesOfDay(rule);
+
+  let day = from.startOf('day');
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = day.plus({ days: 1 })) {
+    if (!matchesDate(rule, day, anchorDt)) continue;
+    for (const { hour, minute } of times) {
+      const candidate = DateTime.fromObject(
+        { year: day.year, month: day.month, day: day.day, hour, minute },
+        { zone: tz }
+      );
+      if (candidate > from) return candidate;
+    }
+  }
+  return null;
+}
+
+/** Short human label for a stored rule, e.g. "every 2 weeks on Friday at 17:00". */
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+  const at = rule.type === 'cron' ? '' : ` at ${pad(rule.hour)}:${pad(rule.minute)}`;
+  switch (rule.type) {
+    case 'daily':
+      return (rule.interval === 1 ? 'every day' : `every ${rule.interval} days`) + at;
+    case 'weekly': {
+      const names = rule.days.map(d => WEEKDAY_NAMES[d]);
+      let on = names.join(', ');
+      if (rule.days.join() === '1,2,3,4,5') on = 'weekday';
+      else if (rule.days.join() === '6,7') on = 'weekend day';
+      return (rule.interval === 1 ? `every ${on}` : `every ${rule.interval} weeks on ${on}`) + at;
+    }
+    case 'monthly-nth':
+      return `${ORDINAL_NAMES[rule.nth]} ${WEEKDAY_NAMES[rule.weekday]} of the month${at}`;
+    case 'monthly-day':
+      return `every month on day ${rule.day}${at}`;
+    case 'cron':
+      return `cron \`${rule.expr}\``;
+    default:
+      return 'custom schedule';
+  }
+}
@@ -0,0 +1,92 @@
+import { DateTime } from 'luxon';
+
+/**
+ * IANA timezone lookup and working-hours overlap.
+ * - searchZones: "tokyo", "new york", "europe/ber" -> ranked zone names for autocomplete
+ * - resolveZone: exact (case-insensitive) name or an unambiguous search hit, else null
+ * - meetingWindows: time ranges where every zone is inside working hours on a weekday
+ */
+
+// ICU still lists some zones under their pre-rename names; offer the names people search for
+const RENAMED = {
+  'Asia/Calcutta': 'Asia/Kolkata', 'Asia/Saigon': 'Asia/Ho_Chi_Minh', 'Europe/Kiev': 'Europe/Kyiv',
+  'Asia/Katmandu': 'Asia/Kathmandu', 'Asia/Rangoon': 'Asia/Yangon', 'Atlantic/Faeroe': 'Atlantic/Faroe',
+  'America/Godthab': 'America/Nuuk', 'Pacific/Truk': 'Pacific/Chuuk', 'Pacific/Ponape': 'Pacific/Pohnpei',
+  'Pacific/Enderbury': 'Pacific/Kanton'
+};
+const ZONES = [...new Set(['UTC', ...Intl.supportedValuesOf('timeZone').map(z => RENAMED[z] ?? z)])];
+// suggested before anything is typed
+const COMMON_ZONES = [
+  'UTC', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'America/Sao_Paulo', 'Europe/London',
+  'Europe/Berlin', 'Europe/Moscow', 'Asia/Kolkata', 'Asia/Ho_Chi_Minh', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney'
+];
+const SLOT_MINUTES = 15;
+
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/[\s_]+/g, ' ');
+// "America/Argentina/Buenos_Aires" -> "buenos aires"
+const cityOf = (zone) => norm(zone.split('/').pop());
+
+/** Zone names matching `query`, best first: city starts with it, then name starts with it, then contains. */
+export function searchZones(query, limit = 25) {
+  const q = norm(query);
+  if (!q) return COMMON_ZONES.slice(0, limit);
+  const tiers = [[], [], []];
+  for (const zone of ZONES) {
+    const name = norm(zone);
+    if (cityOf(zone).startsWith(q)) tiers[0].push(zone);
+    else if (name.startsWith(q)) tiers[1].push(zone);
+    else if (name.includes(q)) tiers[2].push(zone);
+  }
+  return tiers.flat().slice(0, limit);
+}
+
+/** A valid zone name for `input`: exact match, exact city, or the only search result. */
+export function resolveZone(input) {
+  const q = norm(input);
+  if (!q) return null;
+  const exact = ZONES.find(z => norm(z) === q);
+  if (exact) return exact;
+  try {
+    // any other name ICU knows, e.g. "Etc/GMT+5" or an old alias, in its canonical spelling
+    const canonical = new Intl.DateTimeFormat('en', { timeZone: String(input).trim() }).resolvedOptions().timeZone;
+    return RENAMED[canonical] ?? canonical;
+  } catch {
+    // not a zone name; try it as a city below
+  }
+  const byCity = ZONES.filter(z => cityOf(z) === q);
+  if (byCity.length === 1) return byCity[0];
+  const hits = searchZones(q, 2);
+  return hits.length === 1 ? hits[0] : null;
+}
+
+/** "Asia/Tokyo (UTC+09:00)" using the offset in effect now. */
+export function zoneLabel(zone) {
+  return `${zone} (UTC${DateTime.now().setZone(zone).toFormat('ZZ')})`;
+}
+
+/**
+ * Windows in [from, from + days) where every zone's local time is within [startHour, endHour)
+ * on a Monday-Friday. Evaluated in 15-minute slots, so DST changes are handled per slot.
+ * Returns [{ start, end }] as UTC DateTimes.
+ */
+export function meetingWindows(zones, { from = DateTime.utc(), days = 7, startHour = 9, endHour = 17 } = {}) {
+  const first = DateTime.fromMillis(Math.ceil(from.toMillis() / (SLOT_MINUTES * 60_000)) * SLOT_MINUTES * 60_000, { zone: 'utc' });
+  const slots = (days * 24 * 60) / SLOT_MINUTES;
+  const windows = [];
+  let open = null;
+
+  for (let i = 0; i <= slots; i++) {
+    const t = first.plus({ minutes: i * SLOT_MINUTES });
+    const ok = i < slots && zones.every(zone => {
+      const local = t.setZone(zone);
+      const minutes = local.hour * 60 + local.minute;
+      return local.weekday <= 5 && minutes >= startHour * 60 && minutes < endHour * 60;
+    });
+    if (ok && !open) open = t;
+    if (!ok && open) {
+      windows.push({ start: open, end: t });
+      open = null;
+    }
+  }
+  return windows;
+}